@@ -213,10 +213,113 @@ export function createSfx({ enabled = true, masterVolume = 0.55, debug = null }
         };
     };
 
+    const playArmorHit = (worldPos) => {
+        if (!enabled || muted) return;
+        const ctx = getAudioContext();
+        if (!ctx || !audioMasterGain || ctx.state !== 'running') return;
+
+        const now = ctx.currentTime;
+        const { out, cleanup: cleanupOut } = makeSfxOut(worldPos);
+        const target = out || audioMasterGain;
+
+        // Metallic "clank": two inharmonic partials with a fast decay
+        const dur = 0.22;
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(0.3, now + 0.004);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + dur);
+
+        const oscA = ctx.createOscillator();
+        oscA.type = 'square';
+        oscA.frequency.setValueAtTime(1180, now);
+        const oscB = ctx.createOscillator();
+        oscB.type = 'sine';
+        oscB.frequency.setValueAtTime(1870, now);
+        oscB.frequency.exponentialRampToValueAtTime(1600, now + dur);
+
+        const hp = ctx.createBiquadFilter();
+        hp.type = 'highpass';
+        hp.frequency.setValueAtTime(600, now);
+
+        oscA.connect(hp);
+        oscB.connect(hp);
+        hp.connect(gain);
+        gain.connect(target);
+
+        oscA.start(now);
+        oscB.start(now);
+        oscA.stop(now + dur + 0.02);
+        oscB.stop(now + dur + 0.02);
+
+        oscA.onended = () => {
+            try { oscA.disconnect(); } catch {}
+            try { oscB.disconnect(); } catch {}
+            try { hp.disconnect(); } catch {}
+            try { gain.disconnect(); } catch {}
+            cleanupOut();
+        };
+    };
+
+    const playDryFire = () => {
+        if (!enabled || muted) return;
+        const ctx = getAudioContext();
+        if (!ctx || !audioMasterGain || ctx.state !== 'running') return;
+
+        const now = ctx.currentTime;
+        const { out, cleanup: cleanupOut } = makeSfxOut(null);
+        const target = out || audioMasterGain;
+
+        // Empty "click": a tiny high-passed noise tick plus a short low blip
+        const dur = 0.03;
+        const buf = ctx.createBuffer(1, Math.floor(ctx.sampleRate * dur), ctx.sampleRate);
+        const d = buf.getChannelData(0);
+        for (let i = 0; i < d.length; i++) d[i] = (Math.random() * 2 - 1) * (1 - i / d.length);
+        const src = ctx.createBufferSource();
+        src.buffer = buf;
+
+        const hp = ctx.createBiquadFilter();
+        hp.type = 'highpass';
+        hp.frequency.setValueAtTime(2500, now);
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.25, now);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + dur);
+
+        const osc = ctx.createOscillator();
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(180, now);
+        const blipGain = ctx.createGain();
+        blipGain.gain.setValueAtTime(0.0001, now);
+        blipGain.gain.exponentialRampToValueAtTime(0.08, now + 0.003);
+        blipGain.gain.exponentialRampToValueAtTime(0.0001, now + 0.05);
+
+        src.connect(hp);
+        hp.connect(gain);
+        gain.connect(target);
+        osc.connect(blipGain);
+        blipGain.connect(target);
+
+        src.start(now);
+        src.stop(now + dur + 0.01);
+        osc.start(now);
+        osc.stop(now + 0.06);
+
+        osc.onended = () => {
+            try { src.disconnect(); } catch {}
+            try { hp.disconnect(); } catch {}
+            try { gain.disconnect(); } catch {}
+            try { osc.disconnect(); } catch {}
+            try { blipGain.disconnect(); } catch {}
+            cleanupOut();
+        };
+    };
+
     return {
         unlock,
         playShoot,
         playExplosion,
+        playArmorHit,
+        playDryFire,
         setEnabled,
         setMuted,
         setMasterVolume,
@@ -0,0 +1,394 @@
+/**
+ * Winter scenery around the arena (visual only; the sim's ground is still the flat y = 0 plane):
+ * - gradient sky dome with a sun/moon glow (and stars on dark presets), colored by the lighting preset
+ * - snow terrain: flat under the arena and everywhere a shot can land (so nothing visibly passes through a
+ *   drift the sim doesn't have), rolling drifts further out
+ * - instanced pine trees and rocks as a backdrop, kept clear of the same area
+ * - falling snow: one Points draw whose flakes are moved and wrapped around the camera in the vertex
+ *   shader, drifting with the level wind
+ *
+ * Everything is procedural (no textures or models), so it works offline. Three.js is passed in (like
+ * CANNON for sim.js), and placement is seeded, so the same layout always gets the same scenery.
+ */
+
+const TERRAIN_SIZE = 240;
+const TERRAIN_SEGMENTS = 96;
+const TERRAIN_FLAT_MARGIN = 3; // flat snow kept around the arena before the drifts start
+const TERRAIN_RAMP = 14; // distance over which the drifts grow to full height
+const TERRAIN_HEIGHT = 3.5;
+const SKY_RADIUS = 400;
+const MAX_TREES = 160;
+const MAX_ROCKS = 60;
+const SCENERY_MARGIN = 7; // no trees/rocks this close to the arena
+const SCENERY_RADIUS = 100;
+const MAX_SNOWFLAKES = 3000;
+const SNOW_BOX = { x: 44, y: 22, z: 44 }; // volume around the camera the flakes wrap in
+const SNOW_FALL_SPEED = 1.3; // m/s
+
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hash2(seed, x, z) {
+    let h = Math.imul(seed ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(x, 0xc2b2ae35) ^ Math.imul(z, 0x27d4eb2f);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x2c1b3c6d);
+    h ^= h >>> 12;
+    return (h >>> 0) / 4294967296;
+}
+
+function valueNoise(seed, x, z) {
+    // Smoothly interpolated lattice noise in [0, 1)
+    const ix = Math.floor(x);
+    const iz = Math.floor(z);
+    const fx = x - ix;
+    const fz = z - iz;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sz = fz * fz * (3 - 2 * fz);
+    const a = hash2(seed, ix, iz);
+    const b = hash2(seed, ix + 1, iz);
+    const c = hash2(seed, ix, iz + 1);
+    const d = hash2(seed, ix + 1, iz + 1);
+    return a + (b - a) * sx + (c - a) * sz + (a - b - c + d) * sx * sz;
+}
+
+function smoothstep(e0, e1, x) {
+    const t = Math.max(0, Math.min(1, (x - e0) / (e1 - e0)));
+    return t * t * (3 - 2 * t);
+}
+
+const SKY_VERTEX = `
+    varying vec3 vDir;
+    void main() {
+        vDir = normalize(position);
+        vec4 clip = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        gl_Position = clip.xyww; // always on the far plane
+    }
+`;
+
+const SKY_FRAGMENT = `
+    uniform vec3 uTop;
+    uniform vec3 uHorizon;
+    uniform vec3 uBottom;
+    uniform vec3 uSunColor;
+    uniform vec3 uSunDir;
+    uniform float uStars;
+    varying vec3 vDir;
+    void main() {
+        vec3 dir = normalize(vDir);
+        float h = dir.y;
+        vec3 col = h > 0.0
+            ? mix(uHorizon, uTop, pow(smoothstep(0.0, 1.0, h), 0.6))
+            : mix(uHorizon, uBottom, smoothstep(0.0, -0.25, h));
+        float s = max(dot(dir, uSunDir), 0.0);
+        col += uSunColor * (pow(s, 600.0) * 1.2 + pow(s, 12.0) * 0.25);
+        vec3 cell = floor(dir * 220.0);
+        float r = fract(sin(dot(cell, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+        col += vec3(step(0.9965, r) * smoothstep(0.02, 0.25, h) * uStars * 0.8);
+        gl_FragColor = vec4(col, 1.0);
+    }
+`;
+
+const SNOW_VERTEX = `
+    attribute float aSpeed;
+    attribute float aPhase;
+    uniform vec3 uOffset;
+    uniform vec3 uCenter;
+    uniform vec3 uBox;
+    uniform float uTime;
+    uniform float uSize;
+    varying float vFade;
+    void main() {
+        vec3 p = position + uOffset * aSpeed;
+        p.x += sin(uTime * 0.8 + aPhase) * 0.35;
+        p.z += cos(uTime * 0.6 + aPhase * 1.7) * 0.35;
+        // Wrap into the box around the camera, so the flakes never run out
+        p = mod(p - uCenter + uBox * 0.5, uBox) - uBox * 0.5;
+        vFade = 1.0 - smoothstep(0.3, 0.5, length(p / uBox));
+        vec4 mvPosition = viewMatrix * vec4(p + uCenter, 1.0);
+        gl_PointSize = uSize * (10.0 / max(0.5, -mvPosition.z));
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const SNOW_FRAGMENT = `
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    varying float vFade;
+    void main() {
+        vec2 c = gl_PointCoord - vec2(0.5);
+        float d = length(c);
+        if (d > 0.5) discard;
+        gl_FragColor = vec4(uColor, uOpacity * vFade * (1.0 - d * 1.6));
+    }
+`;
+
+/**
+ * options:
+ * - THREE: the three.js module
+ * - scene: where the scenery goes
+ * - seed: placement seed (same seed + arena = same trees)
+ *
+ * Returns { applyLighting(lighting), setArena(box, reach), setQuality(tier, { pixelRatio }), update(dt, { camera, wind }) }.
+ */
+export function createEnvironment({ THREE, scene, seed = 1, debug = null } = {}) {
+    if (!THREE || !scene) throw new Error('createEnvironment requires THREE and a scene');
+
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    // Arena footprint on XZ (platforms + shooter); everything outside it may rise and hold scenery
+    const arena = { minX: -6, maxX: 6, minZ: -30, maxZ: 4 };
+    // Circle shots can land in (see sim.getMaxShotRange), kept flat and clear too
+    const reach = { x: 0, z: 0, radius: 0 };
+    let arenaSet = false;
+    let sceneryFraction = 1;
+
+    // Distance outside the play area (the arena box or the shot reach, whichever is closer)
+    const distanceOutside = (x, z) => {
+        const dx = Math.max(arena.minX - x, 0, x - arena.maxX);
+        const dz = Math.max(arena.minZ - z, 0, z - arena.maxZ);
+        const outsideReach = Math.max(0, Math.hypot(x - reach.x, z - reach.z) - reach.radius);
+        return Math.min(Math.hypot(dx, dz), outsideReach);
+    };
+
+    const heightAt = (x, z) => {
+        const ramp = smoothstep(TERRAIN_FLAT_MARGIN, TERRAIN_FLAT_MARGIN + TERRAIN_RAMP, distanceOutside(x, z));
+        if (ramp <= 0) return 0;
+        const n = valueNoise(seed, x / 22, z / 22) * 0.6 + valueNoise(seed + 1, x / 9, z / 9) * 0.3 + valueNoise(seed + 2, x / 4, z / 4) * 0.1;
+        return n * TERRAIN_HEIGHT * ramp;
+    };
+
+    // Sky dome
+    const skyUniforms = {
+        uTop: { value: new THREE.Color(0x5d9fd8) },
+        uHorizon: { value: new THREE.Color(0xcfe6f5) },
+        uBottom: { value: new THREE.Color(0xe8f0f6) },
+        uSunColor: { value: new THREE.Color(0xffffff) },
+        uSunDir: { value: new THREE.Vector3(0, 1, 0) },
+        uStars: { value: 0 },
+    };
+    const sky = new THREE.Mesh(
+        new THREE.SphereGeometry(SKY_RADIUS, 32, 16),
+        new THREE.ShaderMaterial({
+            uniforms: skyUniforms,
+            vertexShader: SKY_VERTEX,
+            fragmentShader: SKY_FRAGMENT,
+            side: THREE.BackSide,
+            depthWrite: false,
+            fog: false,
+        })
+    );
+    sky.renderOrder = -1;
+    sky.frustumCulled = false;
+    scene.add(sky);
+
+    // Terrain (heights are rebuilt when the arena changes)
+    const terrainGeometry = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, TERRAIN_SEGMENTS, TERRAIN_SEGMENTS);
+    terrainGeometry.rotateX(-Math.PI / 2);
+    const terrain = new THREE.Mesh(
+        terrainGeometry,
+        new THREE.MeshStandardMaterial({ color: 0xf2f6fb, roughness: 0.92, metalness: 0 })
+    );
+    terrain.receiveShadow = true;
+    scene.add(terrain);
+
+    // Backdrop: pines (trunk + foliage + snow cap share one matrix per tree) and rocks
+    const trunkGeometry = new THREE.CylinderGeometry(0.14, 0.2, 1, 6);
+    trunkGeometry.translate(0, 0.5, 0);
+    const foliageGeometry = new THREE.ConeGeometry(1, 2.6, 8);
+    foliageGeometry.translate(0, 2.2, 0);
+    const capGeometry = new THREE.ConeGeometry(0.55, 1.1, 8);
+    capGeometry.translate(0, 3.1, 0);
+    const rockGeometry = new THREE.DodecahedronGeometry(1, 0);
+    rockGeometry.scale(1, 0.6, 1);
+
+    const makeInstanced = (geometry, params, count) => {
+        const mesh = new THREE.InstancedMesh(geometry, new THREE.MeshStandardMaterial(params), count);
+        mesh.count = 0;
+        scene.add(mesh);
+        return mesh;
+    };
+    const trunks = makeInstanced(trunkGeometry, { color: 0x4a3424, roughness: 0.9 }, MAX_TREES);
+    const foliage = makeInstanced(foliageGeometry, { color: 0x2f5d46, roughness: 0.85, flatShading: true }, MAX_TREES);
+    const caps = makeInstanced(capGeometry, { color: 0xf4f8fc, roughness: 0.9, flatShading: true }, MAX_TREES);
+    const rocks = makeInstanced(rockGeometry, { color: 0x8d959e, roughness: 0.95, flatShading: true }, MAX_ROCKS);
+
+    const placeScenery = () => {
+        // Same seed + arena = same layout; the quality tier only decides how many of them are drawn.
+        const rand = mulberry32(seed * 7919 + 17);
+        const m = new THREE.Matrix4();
+        const q = new THREE.Quaternion();
+        const pos = new THREE.Vector3();
+        const scale = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 1, 0);
+        const tint = new THREE.Color();
+        const cx = (arena.minX + arena.maxX) / 2;
+        const cz = (arena.minZ + arena.maxZ) / 2;
+
+        const spot = () => {
+            for (let tries = 0; tries < 40; tries++) {
+                const a = rand() * Math.PI * 2;
+                const r = Math.sqrt(rand()) * SCENERY_RADIUS;
+                const x = cx + Math.cos(a) * r;
+                const z = cz + Math.sin(a) * r;
+                if (distanceOutside(x, z) < SCENERY_MARGIN) continue;
+                return { x, z };
+            }
+            return null;
+        };
+
+        let trees = 0;
+        for (let i = 0; i < MAX_TREES; i++) {
+            const s = spot();
+            if (!s) continue;
+            const size = 0.8 + rand() * 1.2;
+            pos.set(s.x, heightAt(s.x, s.z) - 0.1, s.z);
+            q.setFromAxisAngle(up, rand() * Math.PI * 2);
+            scale.set(size, size * (0.9 + rand() * 0.4), size);
+            m.compose(pos, q, scale);
+            trunks.setMatrixAt(trees, m);
+            foliage.setMatrixAt(trees, m);
+            caps.setMatrixAt(trees, m);
+            foliage.setColorAt(trees, tint.setHSL(0.4 + rand() * 0.05, 0.35, 0.22 + rand() * 0.08));
+            trees++;
+        }
+        let rockCount = 0;
+        for (let i = 0; i < MAX_ROCKS; i++) {
+            const s = spot();
+            if (!s) continue;
+            const size = 0.3 + rand() * 1.1;
+            pos.set(s.x, heightAt(s.x, s.z) + size * 0.1, s.z);
+            q.setFromEuler(new THREE.Euler(rand() * 0.4, rand() * Math.PI * 2, rand() * 0.4));
+            scale.set(size * (0.8 + rand() * 0.6), size, size * (0.8 + rand() * 0.6));
+            m.compose(pos, q, scale);
+            rocks.setMatrixAt(rockCount++, m);
+        }
+        for (const mesh of [trunks, foliage, caps, rocks]) {
+            mesh.instanceMatrix.needsUpdate = true;
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+            mesh.computeBoundingSphere();
+        }
+        const shownTrees = Math.round(trees * sceneryFraction);
+        trunks.count = shownTrees;
+        foliage.count = shownTrees;
+        caps.count = shownTrees;
+        rocks.count = Math.round(rockCount * sceneryFraction);
+        return { trees, rocks: rockCount };
+    };
+
+    const rebuildTerrain = () => {
+        const attr = terrainGeometry.getAttribute('position');
+        for (let i = 0; i < attr.count; i++) attr.setY(i, heightAt(attr.getX(i), attr.getZ(i)));
+        attr.needsUpdate = true;
+        terrainGeometry.computeVertexNormals();
+        terrainGeometry.computeBoundingSphere();
+    };
+
+    // Falling snow
+    const snowPositions = new Float32Array(MAX_SNOWFLAKES * 3);
+    const snowSpeeds = new Float32Array(MAX_SNOWFLAKES);
+    const snowPhases = new Float32Array(MAX_SNOWFLAKES);
+    const snowRand = mulberry32(seed + 101);
+    for (let i = 0; i < MAX_SNOWFLAKES; i++) {
+        snowPositions[i * 3 + 0] = (snowRand() - 0.5) * SNOW_BOX.x;
+        snowPositions[i * 3 + 1] = (snowRand() - 0.5) * SNOW_BOX.y;
+        snowPositions[i * 3 + 2] = (snowRand() - 0.5) * SNOW_BOX.z;
+        snowSpeeds[i] = 0.6 + snowRand() * 0.8;
+        snowPhases[i] = snowRand() * Math.PI * 2;
+    }
+    const snowGeometry = new THREE.BufferGeometry();
+    snowGeometry.setAttribute('position', new THREE.BufferAttribute(snowPositions, 3));
+    snowGeometry.setAttribute('aSpeed', new THREE.BufferAttribute(snowSpeeds, 1));
+    snowGeometry.setAttribute('aPhase', new THREE.BufferAttribute(snowPhases, 1));
+    const snowUniforms = {
+        uOffset: { value: new THREE.Vector3() },
+        uCenter: { value: new THREE.Vector3() },
+        uBox: { value: new THREE.Vector3(SNOW_BOX.x, SNOW_BOX.y, SNOW_BOX.z) },
+        uTime: { value: 0 },
+        uSize: { value: 3.5 },
+        uColor: { value: new THREE.Color(0xffffff) },
+        uOpacity: { value: 0.85 },
+    };
+    const snow = new THREE.Points(
+        snowGeometry,
+        new THREE.ShaderMaterial({
+            uniforms: snowUniforms,
+            vertexShader: SNOW_VERTEX,
+            fragmentShader: SNOW_FRAGMENT,
+            transparent: true,
+            depthWrite: false,
+        })
+    );
+    snow.frustumCulled = false;
+    snow.renderOrder = 2;
+    scene.add(snow);
+
+    return {
+        /** Sky, snow tint and scenery colors from the resolved lighting preset (see lighting.js). */
+        applyLighting(lighting) {
+            const horizon = new THREE.Color(lighting.fogColor);
+            skyUniforms.uTop.value.set(lighting.background);
+            skyUniforms.uHorizon.value.copy(horizon);
+            skyUniforms.uBottom.value.copy(horizon).lerp(new THREE.Color(lighting.groundColor), 0.3);
+            skyUniforms.uSunColor.value.set(lighting.sunColor);
+            const el = (lighting.sunElevationDeg * Math.PI) / 180;
+            const az = (lighting.sunAzimuthDeg * Math.PI) / 180;
+            skyUniforms.uSunDir.value.set(Math.sin(az) * Math.cos(el), Math.sin(el), -Math.cos(az) * Math.cos(el));
+            // Stars only on dark skies
+            const top = skyUniforms.uTop.value;
+            skyUniforms.uStars.value = 1 - smoothstep(0.05, 0.15, top.r * 0.3 + top.g * 0.59 + top.b * 0.11);
+            snowUniforms.uColor.value.set(0xffffff).lerp(new THREE.Color(lighting.skyColor), 0.25);
+        },
+
+        /**
+         * Arena footprint { min: { x, z }, max: { x, z } } (a THREE.Box3 works) and optional shot reach
+         * { x, z, radius } (shooter position + longest shot): flattens the snow under both and moves the scenery away.
+         */
+        setArena(box, { x = 0, z = 0, radius = 0 } = {}) {
+            const next = { minX: box.min.x, maxX: box.max.x, minZ: box.min.z, maxZ: box.max.z };
+            const nextReach = { x, z, radius: Number.isFinite(radius) ? Math.max(0, radius) : TERRAIN_SIZE };
+            const same =
+                next.minX === arena.minX && next.maxX === arena.maxX && next.minZ === arena.minZ && next.maxZ === arena.maxZ &&
+                nextReach.x === reach.x && nextReach.z === reach.z && nextReach.radius === reach.radius;
+            if (arenaSet && same) return;
+            arenaSet = true;
+            Object.assign(arena, next);
+            Object.assign(reach, nextReach);
+            rebuildTerrain();
+            const placed = placeScenery();
+            log('[SnowballBlitz] environment rebuilt', { arena: { ...arena }, reach: { ...reach }, ...placed });
+        },
+
+        /** Quality tier (see quality.js): flake count and how much of the backdrop is drawn. */
+        setQuality(tier, { pixelRatio = 1 } = {}) {
+            snowGeometry.setDrawRange(0, Math.min(MAX_SNOWFLAKES, tier.snowflakes));
+            snowUniforms.uSize.value = 3.5 * pixelRatio;
+            sceneryFraction = tier.scenery;
+            placeScenery();
+        },
+
+        /** Per frame: keep the sky and the snow volume around the camera; the snow drifts with the wind { x, z }. */
+        update(dt, { camera, wind = null }) {
+            sky.position.copy(camera.position);
+            snowUniforms.uCenter.value.copy(camera.position);
+            snowUniforms.uTime.value += dt;
+            const o = snowUniforms.uOffset.value;
+            o.x += (wind ? wind.x * 0.6 : 0) * dt;
+            o.y -= SNOW_FALL_SPEED * dt;
+            o.z += (wind ? wind.z * 0.6 : 0) * dt;
+        },
+    };
+}
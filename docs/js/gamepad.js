@@ -0,0 +1,211 @@
+/**
+ * Gamepad input (Gamepad API, "standard" button layout):
+ * - right stick aims (left stick too, whichever is pushed further), with a radial deadzone and a response curve
+ * - buttons map to actions (defaults below: RT / A fire, LT / B zoom, LB / RB cycle the projectile type,
+ *   Y / Back restart, Start pauses); a fire trigger's depth is reported so it can drive the charge when analog
+ * - rumble where the browser and pad support it
+ *
+ * The first connected pad is used; pads are picked up / dropped on gamepadconnected / gamepaddisconnected.
+ * Browsers only report pads after a button press on the page.
+ *
+ * This module is intentionally dependency-free (main.js maps the polled state to game actions).
+ */
+
+export const GAMEPAD_BUTTONS = {
+    fire: [7, 0], // RT, A
+    zoom: [6, 1], // LT, B
+    prevProjectile: [4], // LB
+    nextProjectile: [5], // RB
+    restart: [3, 8], // Y, Back / Select
+    pause: [9], // Start
+};
+
+/** Standard-layout button names by index. */
+export const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L-stick', 'R-stick',
+    'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home',
+];
+
+const TRIGGERS = [6, 7]; // analog on most pads
+
+/**
+ * Stick vector after a radial deadzone and a response curve: 0 inside `deadzone`, then (rescaled) magnitude
+ * raised to `curve` (1 = linear, 2 = fine control near the center), direction kept. Returns { x, y }.
+ */
+export function shapeStick(x, y, { deadzone = 0.15, curve = 2 } = {}) {
+    const mag = Math.hypot(x, y);
+    if (!(mag > deadzone)) return { x: 0, y: 0 };
+    const scaled = Math.pow(Math.min(1, (mag - deadzone) / (1 - deadzone)), curve);
+    return { x: (x / mag) * scaled, y: (y / mag) * scaled };
+}
+
+/**
+ * options:
+ * - deadzone / curve: see shapeStick()
+ * - buttons: { action: [button indexes] } (GAMEPAD_BUTTONS by default; see also setButtons())
+ * - triggerThreshold: trigger depth that counts as pressed
+ * - onConnect(info) / onDisconnect(info): info is { id, index, rumble }
+ */
+export function createGamepadInput({
+    deadzone = 0.15,
+    curve = 2,
+    buttons = GAMEPAD_BUTTONS,
+    triggerThreshold = 0.1,
+    onConnect = null,
+    onDisconnect = null,
+    debug = null,
+} = {}) {
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    const supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    let index = null; // navigator.getGamepads() slot in use
+    let mapping = buttons;
+    let prevHeld = {}; // action -> held last poll (edge detection)
+    let prevButtons = []; // raw button -> held last poll
+    let triggerAnalog = false; // a fire trigger has reported a partial value, so its depth is meaningful
+
+    const readPads = () => {
+        try {
+            return Array.from(navigator.getGamepads() || []);
+        } catch {
+            return [];
+        }
+    };
+
+    const canRumble = (pad) => !!(pad && (pad.vibrationActuator || (pad.hapticActuators && pad.hapticActuators.length)));
+    const describe = (pad) => ({ id: pad.id, index: pad.index, rumble: canRumble(pad) });
+
+    const use = (pad) => {
+        index = pad.index;
+        prevHeld = {};
+        prevButtons = [];
+        triggerAnalog = false;
+        log('[SnowballBlitz] gamepad connected', describe(pad));
+        if (typeof onConnect === 'function') onConnect(describe(pad));
+    };
+
+    const onConnected = (event) => {
+        if (index === null && event.gamepad) use(event.gamepad);
+    };
+
+    const onDisconnected = (event) => {
+        const pad = event.gamepad;
+        if (!pad || pad.index !== index) return;
+        index = null;
+        prevHeld = {};
+        prevButtons = [];
+        log('[SnowballBlitz] gamepad disconnected', { id: pad.id, index: pad.index });
+        if (typeof onDisconnect === 'function') onDisconnect(describe(pad));
+        // Fall back to another pad that is still plugged in
+        const other = readPads().find((p) => p && p.connected && p.index !== pad.index);
+        if (other) use(other);
+    };
+
+    if (supported && typeof window !== 'undefined') {
+        window.addEventListener('gamepadconnected', onConnected);
+        window.addEventListener('gamepaddisconnected', onDisconnected);
+    }
+
+    const getPad = () => {
+        if (!supported) return null;
+        const pads = readPads();
+        if (index === null) {
+            // Some browsers skip the connected event for pads that were already plugged in
+            const found = pads.find((p) => p && p.connected);
+            if (found) use(found);
+        }
+        const pad = index !== null ? pads[index] : null;
+        return pad && pad.connected ? pad : null;
+    };
+
+    const buttonValue = (pad, i) => {
+        const b = pad.buttons[i];
+        if (!b) return 0;
+        if (typeof b !== 'object') return b; // very old implementations report plain numbers
+        return b.value || (b.pressed ? 1 : 0);
+    };
+
+    return {
+        get connected() {
+            return getPad() !== null;
+        },
+
+        /**
+         * Read the pad once per frame. Returns null without a pad, else:
+         * { aim: { x, y } (shaped, -1..1, +y = stick down), trigger: depth of a trigger bound to fire 0..1,
+         *   triggerAnalog, held / pressed (went down since the last poll) / released: { action: bool } for the
+         *   mapped actions, buttonsPressed: [raw indexes that went down] (for rebinding) }.
+         */
+        poll() {
+            const pad = getPad();
+            if (!pad) return null;
+
+            const axes = pad.axes || [];
+            const left = shapeStick(axes[0] || 0, axes[1] || 0, { deadzone, curve });
+            const right = shapeStick(axes[2] || 0, axes[3] || 0, { deadzone, curve });
+            const aim = Math.hypot(right.x, right.y) >= Math.hypot(left.x, left.y) ? right : left;
+
+            const fireTriggers = (mapping.fire || []).filter((i) => TRIGGERS.includes(i));
+            const trigger = Math.max(0, ...fireTriggers.map((i) => buttonValue(pad, i)));
+            if (trigger > 0.02 && trigger < 0.98) triggerAnalog = true;
+
+            const isDown = (i) => buttonValue(pad, i) > (TRIGGERS.includes(i) ? triggerThreshold : 0.5);
+            const buttonsDown = pad.buttons.map((_, i) => isDown(i));
+            const buttonsPressed = [];
+            buttonsDown.forEach((down, i) => {
+                if (down && !prevButtons[i]) buttonsPressed.push(i);
+            });
+            prevButtons = buttonsDown;
+
+            const held = {};
+            const pressed = {};
+            const released = {};
+            for (const [action, indexes] of Object.entries(mapping)) {
+                held[action] = indexes.some((i) => buttonsDown[i]);
+                pressed[action] = held[action] && !prevHeld[action];
+                released[action] = !held[action] && !!prevHeld[action];
+            }
+            prevHeld = held;
+            return { aim, trigger, triggerAnalog, held, pressed, released, buttonsPressed };
+        },
+
+        /** Replace the action -> buttons mapping (e.g. after rebinding). */
+        setButtons(next) {
+            mapping = next && typeof next === 'object' ? next : GAMEPAD_BUTTONS;
+            // Buttons already down don't count as pressed for their new action
+            prevHeld = {};
+            for (const [action, indexes] of Object.entries(mapping)) prevHeld[action] = indexes.some((i) => prevButtons[i]);
+        },
+
+        /** Short vibration (strength 0..1); ignored where unsupported. */
+        rumble({ strength = 0.5, durationMs = 120 } = {}) {
+            const pad = getPad();
+            if (!pad) return;
+            const s = Math.max(0, Math.min(1, strength));
+            try {
+                if (pad.vibrationActuator && typeof pad.vibrationActuator.playEffect === 'function') {
+                    pad.vibrationActuator
+                        .playEffect('dual-rumble', { duration: durationMs, strongMagnitude: s, weakMagnitude: Math.min(1, s * 1.5) })
+                        .catch(() => {});
+                } else if (pad.hapticActuators && pad.hapticActuators[0]) {
+                    pad.hapticActuators[0].pulse(s, durationMs).catch(() => {});
+                }
+            } catch {
+                // ignore
+            }
+        },
+
+        dispose() {
+            if (supported && typeof window !== 'undefined') {
+                window.removeEventListener('gamepadconnected', onConnected);
+                window.removeEventListener('gamepaddisconnected', onDisconnected);
+            }
+        },
+    };
+}
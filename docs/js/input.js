@@ -0,0 +1,250 @@
+/**
+ * Input actions: every device maps onto the same named actions, so the game only ever reacts to
+ * "fire", "restart", "aim"... and never to a particular key or button.
+ * - Bindings per device type: keyboard key codes (KeyboardEvent.code), mouse buttons (MouseEvent.button),
+ *   gamepad buttons (standard layout index). Touch uses fixed gestures (drag aims, pinch zooms); mouse look
+ *   (pointer lock) is the mouse's aim profile while the cursor is captured and shares the mouse's buttons.
+ * - Aim preferences per device type: sensitivity (multiplier) and invert-Y
+ * - Persist in localStorage (silently memory-only when storage is unavailable); stored data is validated
+ *   against the defaults, so old or hand-edited entries can't break the controls
+ *
+ * This module is intentionally dependency-free apart from the gamepad button layout.
+ */
+
+import { GAMEPAD_BUTTON_NAMES, GAMEPAD_BUTTONS } from './gamepad.js';
+
+const DEFAULT_STORAGE_KEY = 'snowballblitz:controls';
+
+/** Action id -> label. Hold actions (fire, zoom, aim*) also report their release. */
+export const INPUT_ACTIONS = {
+    fire: 'Fire',
+    zoom: 'Zoom (hold)',
+    restart: 'Restart',
+    pause: 'Pause',
+    fullscreen: 'Fullscreen',
+    nextProjectile: 'Next projectile',
+    prevProjectile: 'Previous projectile',
+    aimLeft: 'Aim left',
+    aimRight: 'Aim right',
+    aimUp: 'Aim up',
+    aimDown: 'Aim down',
+};
+
+export const INPUT_DEVICES = {
+    keyboard: 'Keyboard',
+    mouse: 'Mouse',
+    mouseLook: 'Mouse look (pointer lock)',
+    touch: 'Touch',
+    gamepad: 'Gamepad',
+};
+
+/** Actions each device can bind (touch and mouse look have none: aim preferences only). */
+export const DEFAULT_BINDINGS = {
+    keyboard: {
+        fire: ['Space'],
+        zoom: ['KeyZ'],
+        restart: ['KeyR'],
+        pause: ['KeyP'],
+        fullscreen: ['KeyF'],
+        nextProjectile: ['KeyQ'],
+        prevProjectile: [],
+        aimLeft: ['ArrowLeft'],
+        aimRight: ['ArrowRight'],
+        aimUp: ['ArrowUp'],
+        aimDown: ['ArrowDown'],
+    },
+    mouse: {
+        fire: [],
+        zoom: [2],
+    },
+    gamepad: GAMEPAD_BUTTONS,
+    mouseLook: {},
+    touch: {},
+};
+
+/**
+ * Aim speed at sensitivity 1, in radians per device unit: per pixel dragged (mouse, touch), per pixel of
+ * captured movement (mouse look) or per second at full deflection (gamepad stick, held aim keys). The sign is
+ * each device's natural direction before invert-Y (dragging down raises the aim; mouse look, stick and arrow
+ * down lower it; +pitch aims down).
+ */
+const AIM_BASE = {
+    keyboard: { yaw: -1.2, pitch: 0.8 },
+    mouse: { yaw: -0.005, pitch: -0.005 },
+    mouseLook: { yaw: -0.0025, pitch: 0.0025 },
+    touch: { yaw: -0.005, pitch: -0.005 },
+    gamepad: { yaw: -2.2, pitch: 1.4 },
+};
+
+export const SENSITIVITY_RANGE = { min: 0.1, max: 5 };
+const DEFAULT_PREFS = { sensitivity: 1, invertY: false };
+
+const KEY_LABELS = {
+    Space: 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Enter: 'Enter',
+    ShiftLeft: 'L-Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'L-Ctrl',
+    ControlRight: 'R-Ctrl',
+    AltLeft: 'L-Alt',
+    AltRight: 'R-Alt',
+};
+const MOUSE_LABELS = ['Left button', 'Middle button', 'Right button', 'Back button', 'Forward button'];
+
+/** Human-readable name of a bound code ('KeyR' -> 'R', mouse 2 -> 'Right button', gamepad 7 -> 'RT'). */
+export function describeBinding(device, code) {
+    if (device === 'mouse') return MOUSE_LABELS[code] || `Button ${code}`;
+    if (device === 'gamepad') return GAMEPAD_BUTTON_NAMES[code] || `Button ${code}`;
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    const m = /^(?:Key|Digit|Numpad)(.+)$/.exec(code);
+    return m ? m[1] : code;
+}
+
+const isValidCode = (device, code) => {
+    if (device === 'keyboard') return typeof code === 'string' && /^[A-Za-z0-9]{1,24}$/.test(code);
+    return Number.isInteger(code) && code >= 0 && code < 32;
+};
+
+function normalizeDevice(device, raw) {
+    const bindings = {};
+    for (const [action, codes] of Object.entries(DEFAULT_BINDINGS[device])) {
+        const stored = raw && raw.bindings && raw.bindings[action];
+        bindings[action] = Array.isArray(stored) ? stored.filter((c) => isValidCode(device, c)).slice(0, 4) : [...codes];
+    }
+    const s = raw && typeof raw.sensitivity === 'number' && Number.isFinite(raw.sensitivity) ? raw.sensitivity : DEFAULT_PREFS.sensitivity;
+    return {
+        bindings,
+        sensitivity: Math.max(SENSITIVITY_RANGE.min, Math.min(SENSITIVITY_RANGE.max, s)),
+        invertY: raw && typeof raw.invertY === 'boolean' ? raw.invertY : DEFAULT_PREFS.invertY,
+    };
+}
+
+export function createInputBindings({ storageKey = DEFAULT_STORAGE_KEY, debug = null } = {}) {
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    const load = () => {
+        let parsed = null;
+        try {
+            const raw = localStorage.getItem(storageKey);
+            parsed = raw ? JSON.parse(raw) : null;
+        } catch {
+            // ignore (defaults)
+        }
+        const out = {};
+        for (const device of Object.keys(INPUT_DEVICES)) {
+            out[device] = normalizeDevice(device, parsed && typeof parsed === 'object' ? parsed[device] : null);
+        }
+        return out;
+    };
+
+    const devices = load();
+    const listeners = new Set();
+
+    const save = () => {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(devices));
+        } catch {
+            // ignore
+        }
+    };
+
+    const changed = (device, what) => {
+        save();
+        log('[SnowballBlitz] controls changed', { device, ...what });
+        for (const fn of listeners) {
+            try {
+                fn(device, what);
+            } catch {
+                // ignore
+            }
+        }
+    };
+
+    return {
+        /** Actions bound to a key code / button on a device (usually zero or one). */
+        actionsFor(device, code) {
+            const d = devices[device];
+            if (!d) return [];
+            return Object.keys(d.bindings).filter((action) => d.bindings[action].includes(code));
+        },
+
+        /** { action: [codes] } for a device (copy). */
+        getBindings(device) {
+            const d = devices[device];
+            return d ? Object.fromEntries(Object.entries(d.bindings).map(([a, codes]) => [a, [...codes]])) : {};
+        },
+
+        /**
+         * Bind `code` to `action` on a device, replacing the action's previous binding. The code is taken away
+         * from any other action so one key never does two things. Returns whether it changed.
+         */
+        setBinding(device, action, code) {
+            const d = devices[device];
+            if (!d || !(action in d.bindings) || !isValidCode(device, code)) return false;
+            if (d.bindings[action].length === 1 && d.bindings[action][0] === code) return false;
+            for (const codes of Object.values(d.bindings)) {
+                const i = codes.indexOf(code);
+                if (i >= 0) codes.splice(i, 1);
+            }
+            d.bindings[action] = [code];
+            changed(device, { action, code });
+            return true;
+        },
+
+        getPrefs(device) {
+            const d = devices[device];
+            return d ? { sensitivity: d.sensitivity, invertY: d.invertY } : { ...DEFAULT_PREFS };
+        },
+
+        /** 'sensitivity' (number, clamped to SENSITIVITY_RANGE) or 'invertY' (boolean). */
+        setPref(device, key, value) {
+            const d = devices[device];
+            if (!d) return false;
+            if (key === 'sensitivity' && typeof value === 'number' && Number.isFinite(value)) {
+                value = Math.max(SENSITIVITY_RANGE.min, Math.min(SENSITIVITY_RANGE.max, value));
+            } else if (!(key === 'invertY' && typeof value === 'boolean')) {
+                return false;
+            }
+            if (d[key] === value) return false;
+            d[key] = value;
+            changed(device, { [key]: value });
+            return true;
+        },
+
+        /** Back to the default bindings and preferences for one device. */
+        resetDevice(device) {
+            if (!devices[device]) return;
+            devices[device] = normalizeDevice(device, null);
+            changed(device, { reset: true });
+        },
+
+        /**
+         * Aim change for `dx`/`dy` device units (pixels dragged, or stick deflection / key direction times
+         * seconds), with the device's sensitivity and invert-Y applied. Returns { yaw, pitch } in radians to add.
+         */
+        aimDelta(device, dx, dy) {
+            const d = devices[device];
+            const base = AIM_BASE[device];
+            if (!d || !base) return { yaw: 0, pitch: 0 };
+            const invert = d.invertY ? -1 : 1;
+            return { yaw: dx * base.yaw * d.sensitivity, pitch: dy * base.pitch * d.sensitivity * invert };
+        },
+
+        /** Listen for binding / preference changes; returns an unsubscribe function. */
+        onChange(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        },
+    };
+}
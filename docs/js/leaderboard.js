@@ -0,0 +1,343 @@
+/**
+ * Local high-score tables (per level / mode / config).
+ *
+ * Boards are keyed by `${levelId}|${mode}|${configHash}` so changing the rules (gravity, scoring, waves...)
+ * starts a fresh table instead of mixing incomparable scores. Each board keeps the top 10:
+ *   { id, name, score, accuracy (0..1), timeLeftSec, wave, date (ISO) }
+ *
+ * Storage: localStorage when it works, IndexedDB when it doesn't (e.g. quota / disabled), memory as a last
+ * resort; a save that fails later moves on to the next one and saves there. Saves are stamped (`savedAt`) and
+ * loading picks the newest copy, so boards that moved to IndexedDB stay there after a reload. Stored data that
+ * can't be read (corrupt JSON) is set aside under `<key>:corrupt` and the boards start empty on the same
+ * storage. Everything lives in one JSON document, which is also the export/import format:
+ *   { "format": "snowballblitz-leaderboard", "version": 1, "boards": { "<key>": { levelId, levelName, mode, configHash, entries } } }
+ *
+ * This module is intentionally dependency-free.
+ */
+
+export const LEADERBOARD_FORMAT = 'snowballblitz-leaderboard';
+export const LEADERBOARD_SIZE = 10;
+const DEFAULT_STORAGE_KEY = 'snowballblitz:leaderboard';
+const IDB_NAME = 'snowballblitz';
+const IDB_STORE = 'kv';
+
+function stableStringify(value) {
+    // Key order must not change the hash.
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Short stable hash (FNV-1a, 32-bit hex) of a config object.
+ */
+export function hashConfig(config) {
+    const text = stableStringify(config ?? null);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+export function getBoardKey({ levelId, mode, configHash }) {
+    return `${levelId}|${mode}|${configHash}`;
+}
+
+function compareEntries(a, b) {
+    // Higher score first; ties go to more time left, then the earlier run.
+    return b.score - a.score || b.timeLeftSec - a.timeLeftSec || String(a.date).localeCompare(String(b.date));
+}
+
+function normalizeEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const score = Number(raw.score);
+    if (!Number.isFinite(score)) return null;
+    const accuracy = Number(raw.accuracy);
+    const timeLeftSec = Number(raw.timeLeftSec);
+    const wave = Number(raw.wave);
+    const date = typeof raw.date === 'string' && !Number.isNaN(Date.parse(raw.date)) ? raw.date : new Date(0).toISOString();
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : `${date}-${score}`,
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 24) : 'Player',
+        score,
+        accuracy: Number.isFinite(accuracy) ? Math.max(0, Math.min(1, accuracy)) : 0,
+        timeLeftSec: Number.isFinite(timeLeftSec) ? Math.max(0, timeLeftSec) : 0,
+        wave: Number.isFinite(wave) ? Math.max(1, Math.floor(wave)) : 1,
+        date,
+    };
+}
+
+function normalizeData(raw) {
+    const boards = {};
+    const src = raw && typeof raw === 'object' && raw.boards && typeof raw.boards === 'object' ? raw.boards : {};
+    for (const [key, b] of Object.entries(src)) {
+        if (!b || typeof b !== 'object') continue;
+        const entries = (Array.isArray(b.entries) ? b.entries : []).map(normalizeEntry).filter(Boolean);
+        entries.sort(compareEntries);
+        const [levelId = '', mode = '', configHash = ''] = key.split('|');
+        boards[key] = {
+            levelId: typeof b.levelId === 'string' ? b.levelId : levelId,
+            levelName: typeof b.levelName === 'string' ? b.levelName : levelId,
+            mode: typeof b.mode === 'string' ? b.mode : mode,
+            configHash: typeof b.configHash === 'string' ? b.configHash : configHash,
+            entries: entries.slice(0, LEADERBOARD_SIZE),
+        };
+    }
+    return { format: LEADERBOARD_FORMAT, version: 1, boards };
+}
+
+function createLocalStorageBackend(key) {
+    // Probe once: private modes / disabled storage throw on write.
+    const probe = `${key}:probe`;
+    localStorage.setItem(probe, '1');
+    localStorage.removeItem(probe);
+    return {
+        name: 'localStorage',
+        async load() {
+            const text = localStorage.getItem(key);
+            if (!text) return null;
+            try {
+                return JSON.parse(text);
+            } catch {
+                // Keep the unreadable copy for recovery instead of overwriting it with the next save
+                try {
+                    localStorage.setItem(`${key}:corrupt`, text);
+                } catch {
+                    // ignore
+                }
+                localStorage.removeItem(key);
+                throw new Error(`stored leaderboard is not valid JSON (moved to ${key}:corrupt)`);
+            }
+        },
+        async save(data) {
+            localStorage.setItem(key, JSON.stringify(data));
+        },
+    };
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function createIndexedDbBackend(key) {
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not available');
+    const open = indexedDB.open(IDB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(IDB_STORE);
+    const db = await idbRequest(open);
+    const store = (mode) => db.transaction(IDB_STORE, mode).objectStore(IDB_STORE);
+    return {
+        name: 'indexedDB',
+        async load() {
+            return (await idbRequest(store('readonly').get(key))) || null;
+        },
+        async save(data) {
+            await idbRequest(store('readwrite').put(data, key));
+        },
+    };
+}
+
+function createMemoryBackend() {
+    let saved = null;
+    return {
+        name: 'memory',
+        async load() {
+            return saved;
+        },
+        async save(data) {
+            saved = data;
+        },
+    };
+}
+
+export function createLeaderboard({ storageKey = DEFAULT_STORAGE_KEY, debug = null } = {}) {
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    const errorMessage = (err) => (err && err.message ? err.message : String(err));
+
+    let data = normalizeData(null);
+    let backend = null;
+    const stores = []; // backends that opened, in order of preference (memory last, never fails)
+    let ready = null;
+    let saving = Promise.resolve();
+
+    const candidates = [
+        () => createLocalStorageBackend(storageKey),
+        () => createIndexedDbBackend(storageKey),
+        () => createMemoryBackend(),
+    ];
+
+    const save = async () => {
+        while (backend) {
+            try {
+                // Stamped so the next load can tell which storage holds the newest boards
+                await backend.save({ ...data, savedAt: new Date().toISOString() });
+                return;
+            } catch (err) {
+                log('[SnowballBlitz] WARN: failed to save leaderboard, trying next storage', {
+                    backend: backend.name,
+                    error: errorMessage(err),
+                });
+                backend = stores[stores.indexOf(backend) + 1] || null;
+            }
+        }
+    };
+
+    const persist = () => {
+        if (!backend) return;
+        // One save at a time, so a fallback never races a later save
+        saving = saving.then(save);
+    };
+
+    const init = () => {
+        if (ready) return ready;
+        ready = (async () => {
+            for (const make of candidates) {
+                try {
+                    stores.push(await make());
+                } catch (err) {
+                    log('[SnowballBlitz] leaderboard storage unavailable', { error: errorMessage(err) });
+                }
+            }
+            // A failed save moves the boards down the list, so the newest save wins, not the first storage
+            // (ties and unstamped older saves go to the preferred one)
+            let newest = null;
+            for (const store of stores) {
+                let raw = null;
+                try {
+                    raw = await store.load();
+                } catch (err) {
+                    // The storage works but its contents don't: keep it and start over rather than switching silently
+                    log('[SnowballBlitz] WARN: could not read saved leaderboard, starting empty', {
+                        backend: store.name,
+                        error: errorMessage(err),
+                    });
+                }
+                if (!raw) continue;
+                const savedAt = Date.parse(raw.savedAt) || 0;
+                if (!newest || savedAt > newest.savedAt) newest = { store, raw, savedAt };
+            }
+            backend = newest ? newest.store : stores[0];
+            data = normalizeData(newest ? newest.raw : null);
+            log('[SnowballBlitz] leaderboard ready', { backend: backend.name, boards: Object.keys(data.boards).length });
+        })();
+        return ready;
+    };
+
+    const ensureBoard = (key, { levelId, levelName, mode, configHash }) => {
+        if (!data.boards[key]) data.boards[key] = { levelId, levelName, mode, configHash, entries: [] };
+        const board = data.boards[key];
+        if (levelName) board.levelName = levelName;
+        return board;
+    };
+
+    return {
+        init,
+
+        get backend() {
+            return backend ? backend.name : null;
+        },
+
+        /** Entries (best first) for a board key; [] when it doesn't exist yet. */
+        getEntries(key) {
+            const board = data.boards[key];
+            return board ? board.entries.map((e) => ({ ...e })) : [];
+        },
+
+        /** [{ key, levelId, levelName, mode, configHash, best, count }] sorted by level then mode. */
+        listBoards() {
+            return Object.entries(data.boards)
+                .map(([key, b]) => ({
+                    key,
+                    levelId: b.levelId,
+                    levelName: b.levelName,
+                    mode: b.mode,
+                    configHash: b.configHash,
+                    best: b.entries.length ? b.entries[0].score : 0,
+                    count: b.entries.length,
+                }))
+                .sort((a, b) => a.levelName.localeCompare(b.levelName) || a.mode.localeCompare(b.mode));
+        },
+
+        /**
+         * Add a finished run. Returns { entry, rank (1-based, null if it didn't make the table), isBest }.
+         * `isBest` means it beat the previous #1 (the first entry on an empty board counts too).
+         */
+        submit(meta, raw) {
+            const entry = normalizeEntry({
+                ...raw,
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                date: new Date().toISOString(),
+            });
+            const key = getBoardKey(meta);
+            const board = ensureBoard(key, meta);
+            const prevBest = board.entries.length ? board.entries[0].score : null;
+
+            board.entries.push(entry);
+            board.entries.sort(compareEntries);
+            board.entries = board.entries.slice(0, LEADERBOARD_SIZE);
+            const idx = board.entries.indexOf(entry);
+            persist();
+
+            const rank = idx >= 0 ? idx + 1 : null;
+            return { key, entry, rank, isBest: rank === 1 && (prevBest === null || entry.score > prevBest) };
+        },
+
+        rename(key, entryId, name) {
+            const board = data.boards[key];
+            const entry = board && board.entries.find((e) => e.id === entryId);
+            if (!entry) return false;
+            entry.name = normalizeEntry({ ...entry, name }).name;
+            persist();
+            return true;
+        },
+
+        exportJSON() {
+            return JSON.stringify(data, null, 2);
+        },
+
+        /**
+         * Merge boards from an exported file (duplicates by id are skipped). Returns the number of entries added
+         * (ones that made a top 10).
+         */
+        importJSON(text) {
+            let raw;
+            try {
+                raw = JSON.parse(text);
+            } catch {
+                throw new Error('Leaderboard file is not valid JSON');
+            }
+            if (!raw || raw.format !== LEADERBOARD_FORMAT) throw new Error('Not a Snowball Blitz leaderboard');
+            const incoming = normalizeData(raw);
+            let added = 0;
+            for (const [key, b] of Object.entries(incoming.boards)) {
+                const board = ensureBoard(key, b);
+                const ids = new Set(board.entries.map((e) => e.id));
+                const imported = new Set();
+                for (const e of b.entries) {
+                    if (ids.has(e.id)) continue;
+                    ids.add(e.id);
+                    board.entries.push(e);
+                    imported.add(e);
+                }
+                board.entries.sort(compareEntries);
+                board.entries = board.entries.slice(0, LEADERBOARD_SIZE);
+                added += board.entries.filter((e) => imported.has(e)).length;
+            }
+            persist();
+            return added;
+        },
+    };
+}
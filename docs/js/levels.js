@@ -0,0 +1,255 @@
+/**
+ * Level data helpers (data-driven stages).
+ *
+ * Levels live in docs/levels/*.json and are listed in docs/levels/index.json:
+ *   { "levels": [ { "id": "gauntlet", "name": "Gauntlet", "file": "gauntlet.json" } ] }
+ *
+ * Level file format (all distances in world units, +Y up, shooter faces -Z):
+ *   {
+ *     "id": "gauntlet",
+ *     "name": "Gauntlet",
+ *     "timeLimitSec": 60,
+ *     "shooter": { "x": 0, "z": 0 },
+ *     "wind": { "directionDeg": 90, "strength": 1.5, "gustStrength": 2, "gustAngleDeg": 30, "gustPeriodSec": 3 },
+ *     "lighting": "night",
+ *     "platforms": [ { "size": { "w": 12, "h": 1, "d": 6 }, "position": { "x": 0, "y": 0.5, "z": -4 } } ],
+ *     "targets": [ { "type": "standard", "position": { "x": 0, "y": 1, "z": -4 } } ],
+ *     "waves": [ { "bonusTimeSec": 15, "platforms": [ ... ], "targets": [ ... ] } ]
+ *   }
+ *
+ * Notes:
+ * - Platform `position` is the box center (like CANNON.Box / THREE.BoxGeometry).
+ * - Target `position.y` is where the snowman stands; omit it to snap onto the highest platform below.
+ * - The top-level platforms/targets are wave 1; `waves` (optional) lists waves 2, 3, ... A wave without
+ *   `platforms` keeps the previous layout. Past the end of the list the last wave repeats (the game
+ *   raises difficulty on its own, see getWaveLayout()).
+ * - The built-in "classic" level is generated from targets.minDistance/maxDistance so the tuning panel
+ *   can still move the original 3-step layout around.
+ * - A target may carry a `motion` block (slide / bob / carousel / popup, see targetMotion.js).
+ * - `wind` (optional) pushes projectiles for the whole level; see wind.js. Levels without it are calm.
+ * - `lighting` (optional) picks a lighting preset, with overrides; see lighting.js. Levels without it use the
+ *   config's `lighting` preset.
+ * - This module is intentionally dependency-free (no Three.js / cannon-es required).
+ */
+
+import { normalizeMotion } from './targetMotion.js';
+import { normalizeWind } from './wind.js';
+import { normalizeLighting } from './lighting.js';
+
+export const BUILTIN_LEVEL_ID = 'classic';
+export const DEFAULT_TARGET_TYPE = 'standard';
+const LEVEL_INDEX_URL = 'levels/index.json';
+const LEVELS_BASE_URL = 'levels/';
+
+function toFiniteNumber(value, fallback) {
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+function getTopAt(platforms, x, z) {
+    // Highest platform top surface containing (x, z); 0 = ground.
+    let top = 0;
+    for (const p of platforms) {
+        const hw = p.size.w / 2;
+        const hd = p.size.d / 2;
+        if (Math.abs(x - p.position.x) > hw || Math.abs(z - p.position.z) > hd) continue;
+        top = Math.max(top, p.position.y + p.size.h / 2);
+    }
+    return top;
+}
+
+function normalizePlatform(raw) {
+    const size = raw?.size || {};
+    const pos = raw?.position || {};
+    const w = toFiniteNumber(size.w, NaN);
+    const h = toFiniteNumber(size.h, NaN);
+    const d = toFiniteNumber(size.d, NaN);
+    if (!(w > 0) || !(h > 0) || !(d > 0)) return null;
+    return {
+        size: { w, h, d },
+        position: {
+            x: toFiniteNumber(pos.x, 0),
+            y: toFiniteNumber(pos.y, h / 2),
+            z: toFiniteNumber(pos.z, 0),
+        },
+    };
+}
+
+function normalizeWave(raw, prevPlatforms) {
+    const ownPlatforms = Array.isArray(raw?.platforms)
+        ? raw.platforms.map(normalizePlatform).filter(Boolean)
+        : null;
+    const platforms = ownPlatforms && ownPlatforms.length ? ownPlatforms : null;
+    const targets = (Array.isArray(raw?.targets) ? raw.targets : [])
+        .map((t) => normalizeTarget(t, platforms || prevPlatforms))
+        .filter(Boolean);
+    if (!targets.length) return null;
+    const bonus = toFiniteNumber(raw?.bonusTimeSec, NaN);
+    return {
+        platforms,
+        targets,
+        bonusTimeSec: Number.isFinite(bonus) && bonus >= 0 ? bonus : null,
+    };
+}
+
+function normalizeTarget(raw, platforms) {
+    const pos = raw?.position || {};
+    const x = toFiniteNumber(pos.x, NaN);
+    const z = toFiniteNumber(pos.z, NaN);
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return null;
+    const y = toFiniteNumber(pos.y, getTopAt(platforms, x, z));
+    const type = typeof raw?.type === 'string' && raw.type ? raw.type : DEFAULT_TARGET_TYPE;
+    return { type, position: { x, y, z }, motion: normalizeMotion(raw?.motion) };
+}
+
+/**
+ * Validate + fill defaults. Invalid platforms/targets are dropped (not fatal) so a typo in one entry
+ * doesn't take the whole stage down; a level with no targets at all is rejected.
+ */
+export function normalizeLevel(raw, { fallbackId = 'level', fallbackTimeLimitSec = 60 } = {}) {
+    if (!raw || typeof raw !== 'object') throw new Error('Level must be a JSON object');
+
+    const platforms = (Array.isArray(raw.platforms) ? raw.platforms : [])
+        .map(normalizePlatform)
+        .filter(Boolean);
+    const targets = (Array.isArray(raw.targets) ? raw.targets : [])
+        .map((t) => normalizeTarget(t, platforms))
+        .filter(Boolean);
+    if (!targets.length) throw new Error('Level has no valid targets');
+
+    const waves = [];
+    let prevPlatforms = platforms;
+    for (const w of Array.isArray(raw.waves) ? raw.waves : []) {
+        const wave = normalizeWave(w, prevPlatforms);
+        if (!wave) continue;
+        if (wave.platforms) prevPlatforms = wave.platforms;
+        waves.push(wave);
+    }
+
+    const timeLimitSec = toFiniteNumber(raw.timeLimitSec, fallbackTimeLimitSec);
+    const id = typeof raw.id === 'string' && raw.id ? raw.id : fallbackId;
+
+    return {
+        id,
+        name: typeof raw.name === 'string' && raw.name ? raw.name : id,
+        timeLimitSec: timeLimitSec > 0 ? timeLimitSec : fallbackTimeLimitSec,
+        shooter: {
+            x: toFiniteNumber(raw?.shooter?.x, 0),
+            z: toFiniteNumber(raw?.shooter?.z, 0),
+        },
+        wind: normalizeWind(raw.wind),
+        lighting: normalizeLighting(raw.lighting),
+        platforms,
+        targets,
+        waves,
+        builtin: false,
+    };
+}
+
+/**
+ * Layout for a 1-based wave number: { platforms, targets, bonusTimeSec, repeated }.
+ * `bonusTimeSec` is null when the level doesn't specify one; `repeated` is true once the
+ * level's own wave list has run out and the last layout is being reused.
+ */
+export function getWaveLayout(level, waveNumber) {
+    const waves = Array.isArray(level?.waves) ? level.waves : [];
+    if (waveNumber <= 1 || !waves.length) {
+        return {
+            platforms: level.platforms,
+            targets: level.targets,
+            bonusTimeSec: null,
+            repeated: waveNumber > 1,
+        };
+    }
+
+    const idx = Math.min(waveNumber - 2, waves.length - 1);
+    // Walk back to the most recent wave that defines its own platforms.
+    let platforms = level.platforms;
+    for (let i = idx; i >= 0; i--) {
+        if (waves[i].platforms) {
+            platforms = waves[i].platforms;
+            break;
+        }
+    }
+    return {
+        platforms,
+        targets: waves[idx].targets,
+        bonusTimeSec: waves[idx].bonusTimeSec,
+        repeated: waveNumber - 2 >= waves.length,
+    };
+}
+
+/**
+ * The original hardcoded 3-step / 9-snowman layout, derived from a distance range.
+ */
+export function buildClassicLevel({ minDistance = 10, maxDistance = 26, timeLimitSec = 60 } = {}) {
+    // Preserve the "3 steps" feel from the original layout.
+    const minD = Math.max(0.1, Math.min(minDistance, maxDistance));
+    const maxD = Math.max(minD, maxDistance);
+    const steps = [minD, minD + 0.5 * (maxD - minD), maxD];
+    const widths = [12, 10, 8];
+    const spreads = [3.0, 2.5, 2.0];
+
+    const platforms = [];
+    const targets = [];
+    steps.forEach((d, i) => {
+        platforms.push({
+            size: { w: widths[i], h: 1.0, d: 6 },
+            position: { x: 0, y: 0.5 + i, z: -d },
+        });
+        // Top surface of step i is y = i + 1
+        for (const dx of [-spreads[i], 0, spreads[i]]) {
+            targets.push({ type: DEFAULT_TARGET_TYPE, position: { x: dx, y: i + 1, z: -d }, motion: null });
+        }
+    });
+
+    return {
+        id: BUILTIN_LEVEL_ID,
+        name: 'Classic Steps',
+        timeLimitSec,
+        shooter: { x: 0, z: 0 },
+        wind: null,
+        lighting: null,
+        platforms,
+        targets,
+        waves: [],
+        builtin: true,
+    };
+}
+
+async function fetchJSON(url) {
+    // Fetch is relative to docs/index.html (base URL), so this works on GitHub Pages too.
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+/**
+ * Returns [{ id, name, file }] from docs/levels/index.json (empty list if missing/invalid).
+ */
+export async function loadLevelIndex({ url = LEVEL_INDEX_URL, debug = null } = {}) {
+    try {
+        const json = await fetchJSON(url);
+        const list = Array.isArray(json?.levels) ? json.levels : [];
+        return list
+            .filter((l) => l && typeof l.id === 'string' && typeof l.file === 'string')
+            .map((l) => ({ id: l.id, name: typeof l.name === 'string' ? l.name : l.id, file: l.file }));
+    } catch (err) {
+        if (typeof debug === 'function') {
+            debug('[SnowballBlitz] WARN: failed to load level index', {
+                url,
+                error: err && err.message ? err.message : String(err),
+            });
+        }
+        return [];
+    }
+}
+
+export async function loadLevelFile(entry, { fallbackTimeLimitSec = 60 } = {}) {
+    const json = await fetchJSON(`${LEVELS_BASE_URL}${entry.file}`);
+    const level = normalizeLevel(json, { fallbackId: entry.id, fallbackTimeLimitSec });
+    // The index is the source of truth for ids (used by the level select + saved choice).
+    level.id = entry.id;
+    if (!json?.name && entry.name) level.name = entry.name;
+    return level;
+}
@@ -0,0 +1,156 @@
+/**
+ * Lighting presets (sky, ambient, sun, fog, lanterns).
+ *
+ * The default preset comes from config (`lighting.preset`); a level may pick its own with a `lighting` entry,
+ * either a preset id or a preset id plus overrides:
+ *   "lighting": "night"
+ *   "lighting": { "preset": "overcast", "sunIntensity": 0.5, "fogFar": 40 }
+ *
+ * Overridable fields (colors are CSS hex strings, angles in degrees):
+ * - background, fogColor, fogNear, fogFar (fogFar 0 = no fog)
+ * - skyColor, groundColor, ambientIntensity: hemisphere fill light
+ * - sunColor, sunIntensity, sunElevationDeg, sunAzimuthDeg: the shadow-casting directional light
+ *   (azimuth uses the wind convention: 0 = downrange (-Z), 90 = right (+X))
+ * - lanterns: how many lantern posts to put along the platforms (0 = none), lanternColor, lanternIntensity,
+ *   lanternDistance
+ *
+ * This module is intentionally dependency-free (main.js builds the Three.js lights from the resolved values).
+ */
+
+export const LIGHTING_PRESETS = {
+    morning: {
+        name: 'Morning',
+        background: '#87ceeb',
+        fogColor: '#cfe6f5',
+        fogNear: 45,
+        fogFar: 130,
+        skyColor: '#ffffff',
+        groundColor: '#b7c7d6',
+        ambientIntensity: 0.6,
+        sunColor: '#fff1d6',
+        sunIntensity: 0.9,
+        sunElevationDeg: 42,
+        sunAzimuthDeg: 120,
+        lanterns: 0,
+        lanternColor: '#ffb35c',
+        lanternIntensity: 8,
+        lanternDistance: 10,
+    },
+    overcast: {
+        name: 'Overcast',
+        background: '#a9b4bf',
+        fogColor: '#a9b4bf',
+        fogNear: 18,
+        fogFar: 60,
+        skyColor: '#dfe6ee',
+        groundColor: '#8f9aa5',
+        ambientIntensity: 0.9,
+        sunColor: '#e6ecf2',
+        sunIntensity: 0.35,
+        sunElevationDeg: 65,
+        sunAzimuthDeg: 150,
+        lanterns: 0,
+        lanternColor: '#ffb35c',
+        lanternIntensity: 8,
+        lanternDistance: 10,
+    },
+    night: {
+        name: 'Night',
+        background: '#0b1426',
+        fogColor: '#0b1426',
+        fogNear: 16,
+        fogFar: 55,
+        skyColor: '#4a5f8c',
+        groundColor: '#111722',
+        ambientIntensity: 0.35,
+        sunColor: '#9fb6ff', // moonlight
+        sunIntensity: 0.3,
+        sunElevationDeg: 55,
+        sunAzimuthDeg: -140,
+        lanterns: 6,
+        lanternColor: '#ffb35c',
+        lanternIntensity: 10,
+        lanternDistance: 11,
+    },
+};
+
+export const DEFAULT_LIGHTING_PRESET = 'morning';
+
+const COLOR_KEYS = ['background', 'fogColor', 'skyColor', 'groundColor', 'sunColor', 'lanternColor'];
+const NUMBER_KEYS = {
+    fogNear: { min: 0, max: 1000 },
+    fogFar: { min: 0, max: 1000 },
+    ambientIntensity: { min: 0, max: 10 },
+    sunIntensity: { min: 0, max: 10 },
+    sunElevationDeg: { min: 5, max: 85 },
+    sunAzimuthDeg: { min: -360, max: 360 },
+    lanterns: { min: 0, max: 8 },
+    lanternIntensity: { min: 0, max: 100 },
+    lanternDistance: { min: 0, max: 100 },
+};
+
+function toFiniteNumber(value, fallback) {
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * Validate a raw level/config `lighting` entry: { preset, ...overrides } with unknown presets, bad colors and
+ * out-of-range numbers dropped. Returns null when there's nothing usable (the default preset applies).
+ */
+export function normalizeLighting(raw) {
+    if (typeof raw === 'string') raw = { preset: raw };
+    if (!raw || typeof raw !== 'object') return null;
+
+    const out = {};
+    if (typeof raw.preset === 'string' && LIGHTING_PRESETS[raw.preset]) out.preset = raw.preset;
+    for (const key of COLOR_KEYS) {
+        if (isHexColor(raw[key])) out[key] = raw[key];
+    }
+    for (const [key, { min, max }] of Object.entries(NUMBER_KEYS)) {
+        const n = toFiniteNumber(raw[key], NaN);
+        if (Number.isFinite(n)) out[key] = Math.max(min, Math.min(max, n));
+    }
+    if (Number.isFinite(out.lanterns)) out.lanterns = Math.floor(out.lanterns);
+    return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Full set of lighting values: the level's entry over the config default over the built-in preset.
+ * A level that names a preset starts from that preset (config overrides only apply to the config preset).
+ */
+export function resolveLighting(configLighting, levelLighting) {
+    const base = normalizeLighting(configLighting) || {};
+    const level = normalizeLighting(levelLighting) || {};
+    const presetId = level.preset || base.preset || DEFAULT_LIGHTING_PRESET;
+    const inherit = !level.preset || level.preset === base.preset ? base : {};
+    const { name, ...values } = LIGHTING_PRESETS[presetId];
+    return { ...values, ...inherit, ...level, preset: presetId, name };
+}
+
+/**
+ * Lantern posts along the platforms, nearest first: one at each front corner of a platform (just outside it,
+ * standing on the ground), up to `max`. Returns [{ x, z }].
+ */
+export function getLanternPositions(platforms, { max = 6, shooter = { x: 0, z: 0 } } = {}) {
+    if (!(max > 0)) return [];
+    const spots = [];
+    for (const p of Array.isArray(platforms) ? platforms : []) {
+        const hw = p.size.w / 2 + 0.5;
+        const front = p.position.z + p.size.d / 2;
+        for (const side of [-1, 1]) spots.push({ x: p.position.x + side * hw, z: front });
+    }
+    const dist = (s) => Math.hypot(s.x - shooter.x, s.z - shooter.z);
+    // Drop near-duplicates (stacked platforms share corners)
+    const picked = [];
+    for (const s of spots.sort((a, b) => dist(a) - dist(b))) {
+        if (picked.some((q) => Math.hypot(q.x - s.x, q.z - s.z) < 1.5)) continue;
+        picked.push(s);
+        if (picked.length >= max) break;
+    }
+    return picked;
+}
@@ -9,15 +9,27 @@ import * as CANNON from 'https://cdn.jsdelivr.net/npm/cannon-es@0.20.0/dist/cann
 import { createBgm, createSfx } from './audio.js';
 import { createUI } from './ui.js';
 import { createTuningPanel } from './tuning.js';
+import { createPool } from './pool.js';
+import { createSettings } from './settings.js';
+import { createQualityGovernor, QUALITY_MODES, QUALITY_TIERS } from './quality.js';
+import { DEFAULT_LIGHTING_PRESET, getLanternPositions, normalizeLighting, resolveLighting } from './lighting.js';
+import { createEnvironment } from './environment.js';
+import { createGamepadInput } from './gamepad.js';
+import { createInputBindings, describeBinding, INPUT_ACTIONS, INPUT_DEVICES } from './input.js';
+import { checkTrajectoryPrediction, createSimulation, FIXED_DT, getSnowmanDims, MAX_AIM_PITCH, MIN_AIM_PITCH } from './sim.js';
+import { getMaxWindStrength } from './wind.js';
+import { createLeaderboard, getBoardKey, hashConfig } from './leaderboard.js';
+import { createReplayPlayer, createReplayRecorder, parseReplay, REPLAY_SPEEDS, serializeReplay } from './replay.js';
+import { BUILTIN_LEVEL_ID, buildClassicLevel, loadLevelFile, loadLevelIndex } from './levels.js';
 import { VERSION } from './version.js?v=0.1.7';
 
 // Scene setup
 let scene, camera, renderer;
-let world; // Cannon.js physics world
-let ground; // Ground plane
+let environment = null; // sky, snow terrain, backdrop trees/rocks, falling snow (see environment.js)
 let player; // Player character
+let windsock = null; // { group, pivot } next to the player; hidden on calm levels
 
-// Timing (for physics + lifetimes)
+// Timing (frame delta; the simulation turns it into fixed ticks)
 const clock = new THREE.Clock();
 
 // Camera control variables
@@ -32,8 +44,37 @@ let cameraOrbitPitch = Math.PI / 10; // radians; configurable via camera.orbitPi
 // Aim control variables (projectile orientation)
 let aimYaw = 0; // Horizontal aim (yaw) in radians
 let aimPitch = Math.PI / 6; // Vertical aim (pitch) in radians; +pitch aims down with our convention
-const minAimPitch = -Math.PI / 3; // aim up limit
-const maxAimPitch = Math.PI / 3; // aim down limit
+const minAimPitch = MIN_AIM_PITCH; // aim up limit
+const maxAimPitch = MAX_AIM_PITCH; // aim down limit
+
+// Zoom aiming (hold the zoom button or right mouse, or pinch out): a narrower FOV from a first-person point over
+// the right shoulder. Drag sensitivity scales with the FOV so the crosshair moves the same way on screen.
+const BASE_FOV = 75;
+const ZOOM_FOV = 28;
+const ZOOM_SHOULDER = 0.45; // metres right of the shooter's axis
+const ZOOM_EYE_BACK = 0.5; // metres behind it
+const ZOOM_BLEND_SEC = 0.15;
+const PINCH_ZOOM_RATIO = 1.25; // finger spread change that zooms in (1 / ratio zooms back out)
+const zoomInputs = new Set(); // 'button' | 'pinch' | device type (zoom action held) currently holding the zoom
+let zoomBlend = 0; // 0 = normal view .. 1 = fully zoomed
+let pinchStartDist = 0;
+
+// Cinematic cameras (settings: followCam, killCam). Blends run 0 (aiming view) .. 1 (fully on the effect).
+const FOLLOW_CAM_BACK = 4; // metres behind the ball, along its velocity
+const FOLLOW_CAM_UP = 1.5;
+const FOLLOW_CAM_LINGER_SEC = 0.4; // keep watching the landing spot before easing back
+const KILL_CAM_TIME_SCALE = 0.25; // sim speed during a multi-kill
+const KILL_CAM_HOLD_SEC = 1.2; // real seconds of slow motion after each kill
+const KILL_CAM_MAX_SEC = 2.5; // real-time cap per shot
+let followBlend = 0;
+let followLingerSec = 0;
+let followActive = false; // a ball was in flight last frame (its pose is in followPose)
+const followPose = { position: new THREE.Vector3(), look: new THREE.Vector3(), dir: new THREE.Vector3(0, 0, -1) };
+let killCam = null; // { shot, focus, side, holdSec, elapsedSec } while a multi-kill plays in slow motion
+let killBlend = 0;
+let timeScale = 1; // applied to the sim step (and world effects) while the kill cam runs
+let predictedKills = 0; // snowmen the current aim would knock out (from the trajectory prediction)
+const shotPredictedKills = new WeakMap(); // sim shot -> predictedKills when it was fired
 
 // Input state
 let isDragging = false;
@@ -41,49 +82,80 @@ let lastMouseX = 0;
 let lastMouseY = 0;
 let lastTouchX = 0;
 let lastTouchY = 0;
-const rotationSpeed = 0.005; // Sensitivity for camera rotation
-
-// Projectiles
-const projectiles = []; // { mesh: THREE.Mesh, body: CANNON.Body, age: number, trailPoints: THREE.Points, trailGeom: THREE.BufferGeometry, trailPositions: Float32Array, trailAge: Float32Array }
-const projectileRadius = 0.15;
-let projectileSpeed = 18; // configurable (see docs/config/game.json)
-const projectileMaxAgeSec = 8;
-const MAX_TRAIL_POINTS = 30; // Number of points in the trail
-const TRAIL_DURATION = 0.4; // Duration in seconds for trail particles to fade
-
-// Platforms & targets
-const platforms = []; // { mesh: THREE.Mesh, body: CANNON.Body }
-const targets = []; // { mesh: THREE.Group, body: CANNON.Body, alive: boolean }
 
-// UI
-const SCORE_PER_TARGET = 50;
-
-// Timer + game state
-const TIME_LIMIT_SEC = 60;
-let timeRemainingSec = TIME_LIMIT_SEC;
+// Devices -> named actions (fire, restart, pause, zoom, aim...): bindings, sensitivity and invert-Y per device
+// type, rebindable on the controls screen; see input.js
+const input = createInputBindings({ debug: (m, d) => debugLog(m, d) });
+const heldKeyActions = new Map(); // key code -> actions it pressed (released on keyup / blur)
+const heldMouseActions = new Map(); // mouse button -> actions it pressed
+const aimKeys = new Set(); // aimLeft / aimRight / aimUp / aimDown held
+let rebinding = null; // { device, action } while the controls screen waits for a key / button
+const CONTROL_SENSITIVITIES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+let toggleFullscreen = null; // set up with the fullscreen button
+let pointerLocked = false; // mouse look active (setting mouseLook + the canvas holds the pointer lock)
+
+// Gamepad (see gamepad.js)
+let gamepad = null;
+let gamepadCharging = false; // the current trigger / A pull started a charge
+let analogCharge = null; // 0..1 while an analog trigger sets the charge (deepest point of the pull)
+
+// Paused (Start on a gamepad): the sim and world effects stop, the pause screen is shown
+let paused = false;
+
+// Projectile visuals (sim projectile record -> pooled { mesh, trailPoints, trailGeom, trailPositions, trailAge, trailIndex })
+const projectileVisuals = new Map();
+const MAX_TRAIL_POINTS = 30; // Points per trail buffer (the quality tier decides how many are used)
+const TRAIL_DURATION = 0.4; // Duration in seconds for trail particles to fade
+// Pools (see pool.js): fixed upper bounds, so rapid fire reuses instead of allocating
+const MAX_PROJECTILE_VISUALS = 48;
+const MAX_PARTICLE_BURSTS = 16;
+const MAX_DEBRIS_VISUALS = 48; // more live sim pieces than this: the oldest stop being drawn
+const BURST_PARTICLES = 60; // buffer size; the quality tier decides how many are used
+let projectilePool = null;
+let burstPool = null;
+let debrisPool = null;
+let debrisGeometries = null; // unit geometry per snowman part shape, scaled per piece
+let perfStatsEl = null; // debug-only quality tier + pool counters line
+let perfStatsTimer = 0;
+
+// Levels (docs/levels/index.json + the built-in classic layout)
+const LEVEL_STORAGE_KEY = 'snowballblitz:level';
+let levelCatalog = []; // [{ id, name, file }] (built-in first)
+let currentLevel = null; // normalized level (see levels.js)
+
+// Platform + target meshes (keyed by the simulation's records)
+const platformMeshes = new Map(); // platform record -> THREE.Mesh
+const targetMeshes = new Map(); // target record -> THREE.Group
+const debrisMeshes = new Map(); // sim debris record -> pooled { mesh, piece } (fades out over its last moments)
+const DEBRIS_FADE_SEC = 0.5;
+
+// Lighting rig (presets from config/level, see lighting.js); shadows + lanterns follow the quality tier
+let lightingConfig = { preset: DEFAULT_LIGHTING_PRESET }; // config `lighting` (default for levels without one)
+let lighting = null; // resolved values currently shown
+let hemiLight = null;
+let sunLight = null;
+const lanterns = []; // { group, light } posts along the platforms (night)
+let lightingLayoutDirty = false; // platforms or rules changed: refit the shadow camera, move the lanterns, re-flatten the snow
+const SHADOW_MARGIN = 1.5; // world units around the arena kept inside the shadow camera
+
+// Timer + game state (rules live in sim.js; see createSimulation())
+const DEFAULT_TIME_LIMIT_SEC = 60;
 let fireButtonEl = null;
-let gameState = 'playing'; // 'playing' | 'ended'
 
-// Particle bursts (snow explosion)
-const particleBursts = []; // { points, geom, positions, velocities, age, duration, material }
-
-// Collision groups
-const CG_PROJECTILE = 1;
-const CG_TARGET = 2;
-const CG_WORLD = 4;
+// Hold-to-charge (config `charge.enabled`): the hold is timed here; the sim only gets the 0..1 charge on release
+let chargeHeldSec = null; // null = not charging
 
-// Body lookup tables (by cannon body id)
-const projectileByBodyId = new Map(); // id -> projectile record
-const targetByBodyId = new Map(); // id -> target record
-const worldBodyIds = new Set(); // ids of ground/platform bodies
-
-// Collision-driven projectile removal
-const projectilesToRemove = new Set(); // body.id values
+// Particle bursts (snow explosion)
+const particleBursts = []; // active pooled bursts: { points, geom, positions, velocities, count, age, duration, material }
 
 // Trajectory visualization
-let trajectoryLine = null;
+let trajectoryLine = null; // screen-space ribbon mesh (see setupTrajectoryLine)
 let trajectoryReticle = null;
 const trajectoryPoints = []; // array of THREE.Vector3 reused each update
+const pierceMarkers = []; // ground rings under the snowmen the current arc passes through (pooled)
+const TRAJECTORY_WIDTH_PX = 7; // ribbon width on screen
+const TRAJECTORY_DASH = { size: 0.6, gap: 0.4, speed: 2.5 }; // world units; dashes flow toward the landing point
+const TRAJECTORY_FADE_START = 0.6; // fraction of the arc after which it fades out
 let trajectoryMaxTimeSec = 3.0;
 let trajectorySegmentLength = 0.35; // desired spacing between arc points (world units)
 let trajectoryMaxPoints = 80;
@@ -132,14 +204,65 @@ const DEFAULT_GAME_CONFIG = {
     snowman: { height: 1.2 },
     trajectory: { maxTimeSec: 3.0, segmentLength: 0.35, maxPoints: 80 },
     targets: { minDistance: 10, maxDistance: 26 },
+    scoring: { perTarget: 50, pierceMultipliers: [1, 2, 3, 4] },
+    targetTypes: {
+        standard: { hp: 1 },
+        armored: { hp: 3, points: 100 },
+        golden: { hp: 1, points: 250 },
+        friendly: { hp: 1, points: 0, penaltyScore: 100, penaltyTimeSec: 5, countsForWave: false },
+    },
+    waves: { maxWaves: 5, bonusTimeSec: 15, bonusTimeDecaySec: 2, minBonusTimeSec: 5, targetScaleStep: 0.08, minTargetScale: 0.6 },
+    ammo: { mode: 'infinite', magazineSize: 6, reloadTimeSec: 1.5, fireCooldownSec: 0 },
+    charge: { enabled: false, minSpeed: 25, maxSpeed: 60, fullChargeSec: 1 },
+    debris: { maxPieces: 24, lifetimeSec: 2.5 },
+    lighting: { preset: 'morning' },
+    projectileTypes: {
+        standard: { name: 'Snowball' },
+        ice: { name: 'Ice ball', bounces: 1, restitution: 0.7, color: '#9fe3ff' },
+        slush: { name: 'Slush bomb', splashRadius: 1.6, speedScale: 0.9, color: '#c7d3dc' },
+        cluster: { name: 'Cluster ball', cluster: 3, clusterSpreadDeg: 12, color: '#ffd23f' },
+        heavy: { name: 'Heavy ball', speedScale: 0.7, radius: 0.3, mass: 1, color: '#7a5cff' },
+    },
 };
 let gameConfig = DEFAULT_GAME_CONFIG;
-let gravity = new CANNON.Vec3(0, -9.8, 0); // configurable
 const shooterPosition = new THREE.Vector3(0, 0, 0); // fixed on ground (XZ)
 let targetMinDistance = DEFAULT_GAME_CONFIG.targets.minDistance;
 let targetMaxDistance = DEFAULT_GAME_CONFIG.targets.maxDistance;
 let playerHeight = DEFAULT_GAME_CONFIG.player.height;
-let snowmanHeight = DEFAULT_GAME_CONFIG.snowman.height;
+
+// Game rules (physics, targets, scoring, waves, timer). Rendering below only mirrors its events.
+const sim = createSimulation({ CANNON, config: DEFAULT_GAME_CONFIG, debug: (m, d) => debugLog(m, d) });
+
+// Every match is recorded (seed + config + aim/fire by tick) so it can be replayed; see replay.js
+const replayRecorder = createReplayRecorder({ sim, getConfig: () => getLiveGameConfig() });
+let replayPlayer = null; // set while watching a replay (live input is ignored)
+let replayResume = null; // { config, level, projectileType } restored when the replay is closed
+
+// Local high scores, one board per level / mode / rules hash; see leaderboard.js
+const leaderboard = createLeaderboard({ debug: (m, d) => debugLog(m, d) });
+const PLAYER_NAME_KEY = 'snowballblitz:playerName';
+let lastLeaderboardResult = null; // { key, entry } of the most recent submit (highlighted on the screen)
+
+// Device-local player preferences (settings screen); see settings.js
+const settings = createSettings({
+    defaults: {
+        quality: 'auto', // 'auto' | 'low' | 'medium' | 'high'
+        qualityAutoTier: '', // tier the governor last settled on ('' = guess from the device)
+        followCam: false, // camera rides behind each shot
+        killCam: true, // slow motion + side view when a shot pierces several snowmen
+        mouseLook: false, // pointer lock: mouse movement aims, left click fires
+    },
+    debug: (m, d) => debugLog(m, d),
+});
+
+// Render quality: adaptive governor (or a pinned tier) driving pixel ratio, particles, trails, trajectory points
+let quality = null;
+let qualityTier = QUALITY_TIERS[QUALITY_TIERS.length - 1];
+let rendererAntialias = false; // what the WebGL context was created with
+
+function newMatchSeed() {
+    return Math.floor(Math.random() * 0x7fffffff) + 1;
+}
 
 function isFiniteNumber(n) {
     return typeof n === 'number' && Number.isFinite(n);
@@ -159,13 +282,6 @@ function toRadians(deg) {
     return (deg * Math.PI) / 180;
 }
 
-function getTargetStepDistances() {
-    // Preserve the "3 steps" feel from the original layout.
-    const minD = Math.max(0.1, Math.min(targetMinDistance, targetMaxDistance));
-    const maxD = Math.max(minD, targetMaxDistance);
-    return [minD, minD + 0.5 * (maxD - minD), maxD];
-}
-
 function rebuildPlayerMesh() {
     if (!player) return;
     const h = clampNumber(toFiniteNumber(playerHeight, 2.0), { min: 0.2, max: 50 });
@@ -181,33 +297,13 @@ function rebuildPlayerMesh() {
     if (camera) updateCameraPosition();
 }
 
-function getSnowmanDims(h) {
-    // Original snowman height is ~1.19 units:
-    // - body radius 0.45 (body bottom at y=0, top at y=0.9)
-    // - head center at y=0.91, head radius 0.28 (top at y=1.19)
-    const baseH = 1.19;
-    const scale = h / baseH;
-    const bodyR = 0.45 * scale;
-    const headR = 0.28 * scale;
-    const gap = 0.18 * scale;
-    const noseR = 0.06 * scale;
-    const noseL = 0.25 * scale;
-    const colliderR = 0.55 * scale;
-    return { bodyR, headR, gap, noseR, noseL, colliderR };
-}
-
 function applyGameConfig(cfg) {
     const next = cfg || DEFAULT_GAME_CONFIG;
 
-    const speed = next?.projectile?.initialSpeed;
-    if (isFiniteNumber(speed) && speed > 0) projectileSpeed = speed;
-
-    const gx = next?.physics?.gravity?.x;
-    const gy = next?.physics?.gravity?.y;
-    const gz = next?.physics?.gravity?.z;
-    if (isFiniteNumber(gx) && isFiniteNumber(gy) && isFiniteNumber(gz)) {
-        gravity = new CANNON.Vec3(gx, gy, gz);
-    }
+    // Rules (projectile, gravity, snowman size, scoring, target/projectile types, waves, ammo, charge, debris) are validated by the sim;
+    // it respawns the current wave itself when the snowman size changes.
+    sim.applyConfig(next);
+    lightingLayoutDirty = true; // launch speed / gravity change how far shots reach (flat snow, see environment.js)
 
     // Audio volumes (0..1)
     const bgmVol = next?.audio?.bgmVolume;
@@ -227,7 +323,11 @@ function applyGameConfig(cfg) {
     if (isFiniteNumber(segLen) && segLen > 0) trajectorySegmentLength = segLen;
     if (isFiniteNumber(maxPts) && maxPts >= 4) trajectoryMaxPoints = Math.floor(maxPts);
 
-    // Player height (visual)
+    // Lighting preset for levels that don't pick their own (visual only)
+    lightingConfig = normalizeLighting(next?.lighting) || { preset: DEFAULT_LIGHTING_PRESET };
+    if (sunLight) applyLighting();
+
+    // Player height (visual; the sim uses it for the spawn point)
     const nextPlayerH = next?.player?.height;
     if (isFiniteNumber(nextPlayerH) && nextPlayerH > 0) {
         const prev = playerHeight;
@@ -235,15 +335,6 @@ function applyGameConfig(cfg) {
         if (player && prev !== playerHeight) rebuildPlayerMesh();
     }
 
-    // Snowman height (visual + collider)
-    const nextSnowmanH = next?.snowman?.height;
-    let snowmanChanged = false;
-    if (isFiniteNumber(nextSnowmanH) && nextSnowmanH > 0) {
-        const prev = snowmanHeight;
-        snowmanHeight = nextSnowmanH;
-        snowmanChanged = prev !== snowmanHeight;
-    }
-
     // Camera tuning (pitch is configured in degrees)
     const camDistance = next?.camera?.distance;
     const camHeight = next?.camera?.height;
@@ -264,7 +355,7 @@ function applyGameConfig(cfg) {
     
     if (camera && player) updateCameraPosition();
 
-    // Targets distance range (keeps target direction/layout pattern fixed)
+    // Targets distance range (only drives the built-in classic level; level files place targets explicitly)
     // Supports both new shape: targets:{minDistance,maxDistance} and legacy array form (derive distances).
     let nextMinD = toFiniteNumber(next?.targets?.minDistance, targetMinDistance);
     let nextMaxD = toFiniteNumber(next?.targets?.maxDistance, targetMaxDistance);
@@ -286,25 +377,22 @@ function applyGameConfig(cfg) {
         }
     }
     if (isFiniteNumber(nextMinD) && isFiniteNumber(nextMaxD)) {
+        const prevMinD = targetMinDistance;
+        const prevMaxD = targetMaxDistance;
         targetMinDistance = Math.max(0.1, nextMinD);
         targetMaxDistance = Math.max(targetMinDistance, nextMaxD);
-        if (world) replacePlatformsAndTargets();
-    }
-
-    // If snowman size changed, respawn targets so mesh/collider match.
-    if (snowmanChanged && world) {
-        clearTargets();
-        createTargets();
-    }
-
-    // If physics world already exists, apply live.
-    if (world) {
-        world.gravity.set(gravity.x, gravity.y, gravity.z);
+        const changed = prevMinD !== targetMinDistance || prevMaxD !== targetMaxDistance;
+        if (!currentLevel || (currentLevel.builtin && changed)) {
+            currentLevel = getClassicLevel();
+            // Rebuilding the classic layout restarts the match (like picking a level).
+            if (scene) sim.setLevel(currentLevel, { seed: newMatchSeed() });
+        }
     }
 
-        debugLog('[SnowballBlitz] config applied', {
-        projectileSpeed,
-        gravity: { x: gravity.x, y: gravity.y, z: gravity.z },
+    const rules = sim.getConfig();
+    debugLog('[SnowballBlitz] config applied', {
+        projectileSpeed: rules.projectile.initialSpeed,
+        gravity: rules.physics.gravity,
         camera: {
             distance: cameraDistance,
             height: cameraHeight,
@@ -316,20 +404,30 @@ function applyGameConfig(cfg) {
             sfxVolume: sfx.masterVolume,
         },
         player: { height: playerHeight },
-        snowman: { height: snowmanHeight },
+        snowman: rules.snowman,
         trajectory: {
             maxTimeSec: trajectoryMaxTimeSec,
             segmentLength: trajectorySegmentLength,
             maxPoints: trajectoryMaxPoints,
         },
         targets: { minDistance: targetMinDistance, maxDistance: targetMaxDistance },
+        scoring: rules.scoring,
+        targetTypes: Object.keys(rules.targetTypes),
+        waves: rules.waves,
+        ammo: rules.ammo,
+        charge: rules.charge,
+        debris: rules.debris,
+        lighting: lightingConfig,
+        projectileTypes: Object.keys(rules.projectileTypes),
     });
+    updateProjectileSelect();
 }
 
 function getLiveGameConfig() {
+    const rules = sim.getConfig();
     return {
-        projectile: { initialSpeed: projectileSpeed },
-        physics: { gravity: { x: gravity.x, y: gravity.y, z: gravity.z } },
+        projectile: rules.projectile,
+        physics: rules.physics,
         camera: {
             distance: cameraDistance,
             height: cameraHeight,
@@ -341,18 +439,28 @@ function getLiveGameConfig() {
             sfxVolume: Math.round(sfx.masterVolume * 100) / 100,
         },
         player: { height: playerHeight },
-        snowman: { height: snowmanHeight },
+        snowman: rules.snowman,
         trajectory: {
             maxTimeSec: trajectoryMaxTimeSec,
             segmentLength: trajectorySegmentLength,
             maxPoints: trajectoryMaxPoints,
         },
         targets: { minDistance: targetMinDistance, maxDistance: targetMaxDistance },
+        scoring: rules.scoring,
+        targetTypes: rules.targetTypes,
+        waves: rules.waves,
+        ammo: rules.ammo,
+        charge: rules.charge,
+        debris: rules.debris,
+        lighting: lightingConfig,
+        projectileTypes: rules.projectileTypes,
     };
 }
 
 function setLiveGameConfig(cfg) {
     applyGameConfig(cfg);
+    // Mid-match tuning changes the rules, so the replay has to know about it.
+    replayRecorder.recordConfig(getLiveGameConfig());
 }
 
 async function loadGameConfig() {
@@ -429,27 +537,40 @@ async function init() {
     // Load config early so physics + trajectory match.
     await loadGameConfig();
 
+    // Level list + initial level (sets shooter position and time limit before the player is built)
+    const fileLevels = await loadLevelIndex({ debug: debugLog });
+    levelCatalog = [
+        { id: BUILTIN_LEVEL_ID, name: getClassicLevel().name, file: null },
+        ...fileLevels.filter((l) => l.id !== BUILTIN_LEVEL_ID),
+    ];
+    applyLevelSettings(await resolveLevel(getInitialLevelId()));
+
     // Create Three.js scene
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x87CEEB); // Sky blue
+    scene.background = new THREE.Color(0x87CEEB); // Sky blue (the lighting preset sets the real one)
     
     // Create camera (perspective camera for 3D)
     const aspect = window.innerWidth / window.innerHeight;
-    camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+    camera = new THREE.PerspectiveCamera(BASE_FOV, aspect, 0.1, 1000);
     ui.setCamera(camera);
     
     // Create player character
     createPlayer();
+    createWindsock();
     
     // Setup camera to follow player
     updateCameraPosition();
     
+    // Quality tier first: antialiasing can only be chosen when the renderer is created
+    setupQuality();
+
     // Create renderer
     const canvas = document.getElementById('game-canvas');
+    rendererAntialias = qualityTier.antialias;
     try {
         renderer = new THREE.WebGLRenderer({
             canvas: canvas,
-            antialias: true,
+            antialias: rendererAntialias,
             powerPreference: 'high-performance',
         });
     } catch (err) {
@@ -460,23 +581,17 @@ async function init() {
         return;
     }
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    applyQualityTier(qualityTier);
     
+    // Create environment (before the lights, which color its sky)
+    setupEnvironment();
+
     // Setup lighting
     setupLighting();
     
-    // Create environment
-    createEnvironment();
-    
-    // Setup physics world
-    setupPhysics();
-
-    // Collision handlers
-    setupCollisionHandlers();
+    // Mirror simulation events (platforms, targets, projectiles, score, waves) into the scene + HUD
+    setupSimulationEvents();
 
-    // Build tiered platforms + static targets
-    createPlatformsAndTargets();
-    
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
     
@@ -491,11 +606,17 @@ async function init() {
     setupTrajectoryLine();
     setupTrajectoryReticle();
 
+    // Reusable projectile / trail / burst instances
+    setupVisualPools();
+
     // HUD + overlay
-    ui.init({ timeLimitSec: TIME_LIMIT_SEC, onRestart: resetGame });
+    ui.init({ timeLimitSec: currentLevel.timeLimitSec, onRestart: resetGame });
     const versionEl = document.getElementById('hud-version');
     if (versionEl) versionEl.textContent = `v${VERSION}`;
 
+    // Start the match on the current level (platforms + targets arrive as sim events)
+    sim.setLevel(currentLevel, { seed: newMatchSeed() });
+
     // On-screen debug line (only with ?debug=1)
     if (DEBUG) {
         const uiOverlay = document.getElementById('ui-overlay');
@@ -511,6 +632,19 @@ async function init() {
         debugEl.style.pointerEvents = 'none';
         debugEl.textContent = 'Debug: ready';
         uiOverlay.appendChild(debugEl);
+
+        // Quality tier + pool counters just above it (refreshed a few times per second in animate())
+        perfStatsEl = document.createElement('div');
+        perfStatsEl.style.position = 'absolute';
+        perfStatsEl.style.left = '8px';
+        perfStatsEl.style.bottom = '40px';
+        perfStatsEl.style.padding = '4px 8px';
+        perfStatsEl.style.background = 'rgba(0,0,0,0.45)';
+        perfStatsEl.style.color = '#cfe8ff';
+        perfStatsEl.style.fontSize = '11px';
+        perfStatsEl.style.borderRadius = '6px';
+        perfStatsEl.style.pointerEvents = 'none';
+        uiOverlay.appendChild(perfStatsEl);
     }
 
     // Debug tuning panel (only with ?debug=1)
@@ -521,14 +655,32 @@ async function init() {
             setConfig: setLiveGameConfig,
             defaultConfig: DEFAULT_GAME_CONFIG,
             fileConfig: gameConfig,
+            replay: { getReplay: getReplayFile, loadReplay: (text) => startReplay(parseReplay(text)) },
+            getStats: () => sim.getStats(),
+            // Fires a grid of shots in a scratch sim (same config, level and ball type) against their predictions
+            checkTrajectory: () => checkTrajectoryPrediction({
+                CANNON,
+                config: getLiveGameConfig(),
+                level: currentLevel,
+                seed: sim.seed,
+                type: sim.projectileType,
+            }),
             debug: (m, d) => debugLog(m, d),
         });
     }
 
     // Fire button UI (desktop + mobile)
     setupFireButton();
+    setupZoomButton();
+    setupGamepad();
+    setupPointerLock();
     setupFullscreenButton();
     setupAudioMuteButtons();
+    setupLevelSelect();
+    setupProjectileSelect();
+    setupLeaderboardButton();
+    setupSettingsButton();
+    leaderboard.init();
 
     debugLog('[SnowballBlitz] init() complete');
     
@@ -536,225 +688,617 @@ async function init() {
     animate();
 }
 
-function endGame(reason) {
-    if (gameState === 'ended') return;
-    gameState = 'ended';
-    timeRemainingSec = 0;
-    ui.updateTimer(0, gameState);
-    if (fireButtonEl) fireButtonEl.disabled = true;
-    ui.showEnd({ reason, finalScore: ui.getScore() });
-    debugLog('[SnowballBlitz] game ended', { reason, score: ui.getScore() });
+function setupSimulationEvents() {
+    // The sim never touches Three.js or the DOM; everything visible follows its events.
+    sim.on('platformAdded', ({ platform }) => addPlatformMesh(platform));
+    sim.on('platformRemoved', ({ platform }) => removePlatformMesh(platform));
+    sim.on('targetAdded', ({ target }) => addTargetMesh(target));
+    sim.on('targetRemoved', ({ target }) => removeTargetMesh(target));
+    sim.on('targetHit', ({ target }) => {
+        damageTarget(target);
+        rumbleHit(0.25);
+    });
+    sim.on('targetDestroyed', (result) => {
+        destroyTarget(result);
+        startKillCam(result);
+        rumbleHit(0.4 + 0.15 * ((result.chain || 1) - 1));
+    });
+    sim.on('projectileSpawned', ({ projectile }) => {
+        addProjectileVisual(projectile);
+        if (projectile.parentId === null) shotPredictedKills.set(projectile.shot, predictedKills);
+    });
+    sim.on('projectileRemoved', ({ projectile }) => removeProjectileVisual(projectile));
+    sim.on('debrisSpawned', ({ debris }) => addDebrisMesh(debris));
+    sim.on('debrisRemoved', ({ debris }) => removeDebrisMesh(debris));
+    sim.on('projectileExploded', ({ position }) => {
+        if (!isReplaySeeking()) spawnSnowExplosion(new THREE.Vector3(position.x, position.y, position.z));
+    });
+    sim.on('projectileTypeChanged', updateProjectileSelect);
+    sim.on('score', ({ score }) => ui.setScore(score));
+    sim.on('waveStarted', onWaveStarted);
+    sim.on('ammo', (ammo) => {
+        ui.setAmmo(ammo);
+        updateFireButton();
+    });
+    sim.on('dryFire', () => {
+        if (!isReplaySeeking()) sfx.playDryFire();
+    });
+    sim.on('ended', endGame);
+    sim.on('reset', onGameReset);
 }
 
-function resetGame() {
-    // Remove projectiles
-    for (let i = projectiles.length - 1; i >= 0; i--) removeProjectile(i);
-
-    // Remove remaining targets
-    for (const t of targets) {
-        if (!t.alive) continue;
-        scene.remove(t.mesh);
-        world.removeBody(t.body);
-        t.alive = false;
-    }
-    targetByBodyId.clear();
-    targets.length = 0;
-
-    // Respawn targets on existing platforms
-    createTargets();
-
-    // Reset score/time/state
-    ui.setScore(0);
-    gameState = 'playing';
-    timeRemainingSec = TIME_LIMIT_SEC;
-    ui.updateTimer(timeRemainingSec, gameState);
-    if (fireButtonEl) fireButtonEl.disabled = false;
-    ui.hideEnd();
+function endGame({ reason, score, wave, timeRemainingSec, stats }) {
+    ui.updateTimer(0, sim.state);
+    releasePointerLock(); // the end screen needs a cursor
+    cancelCharge();
+    updateFireButton();
+    // Replays never touch the leaderboard (the live run was already submitted).
+    const record = replayPlayer ? null : submitScore({ score, wave, timeRemainingSec, stats });
+    ui.showEnd({ reason, finalScore: score, wave, stats, record });
+    debugLog('[SnowballBlitz] game ended', { reason, score, wave, stats, rank: record ? record.rank : null });
+}
 
-    debugLog('[SnowballBlitz] game reset');
+function loadPlayerName() {
+    try {
+        return localStorage.getItem(PLAYER_NAME_KEY) || 'Player';
+    } catch {
+        return 'Player';
+    }
 }
 
-function setupLighting() {
-    // Ambient light (soft overall illumination)
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    scene.add(ambientLight);
-    
-    // Directional light (sun-like)
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(10, 10, 5);
-    directionalLight.castShadow = true;
-    scene.add(directionalLight);
+function savePlayerName(name) {
+    try {
+        localStorage.setItem(PLAYER_NAME_KEY, name);
+    } catch {
+        // ignore
+    }
 }
 
-function createPlayer() {
-    // Create player character as a cylinder (placeholder)
-    const playerGeometry = new THREE.CylinderGeometry(0.5, 0.5, playerHeight, 16);
-    const playerMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x4169E1, // Royal blue
-        roughness: 0.7,
-        metalness: 0.3
-    });
-    player = new THREE.Mesh(playerGeometry, playerMaterial);
-    // Keep feet on the ground at shooterPosition
-    player.position.set(shooterPosition.x, playerHeight * 0.5, shooterPosition.z);
-    player.castShadow = true;
-    scene.add(player);
+function getCurrentBoardMeta() {
+    const config = sim.getConfig();
+    return {
+        levelId: currentLevel.id,
+        levelName: currentLevel.name || currentLevel.id,
+        mode: config.waves.maxWaves > 0 ? 'waves' : 'endless',
+        configHash: hashConfig(config),
+    };
 }
 
-function createEnvironment() {
-    // Create ground plane
-    const groundGeometry = new THREE.PlaneGeometry(50, 50);
-    const groundMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x90EE90, // Light green
-        roughness: 0.8,
-        metalness: 0.2
+function submitScore({ score, wave, timeRemainingSec, stats }) {
+    const name = loadPlayerName();
+    const result = leaderboard.submit(getCurrentBoardMeta(), {
+        name,
+        score,
+        wave,
+        accuracy: stats ? stats.accuracy : 0,
+        timeLeftSec: timeRemainingSec,
     });
-    ground = new THREE.Mesh(groundGeometry, groundMaterial);
-    ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
-    ground.position.y = 0;
-    ground.receiveShadow = true;
-    scene.add(ground);
-    
-    // Add some basic reference objects (will be replaced later)
-    const helper = new THREE.GridHelper(50, 50, 0x888888, 0x444444);
-    scene.add(helper);
+    lastLeaderboardResult = result;
+    return {
+        rank: result.rank,
+        isBest: result.isBest,
+        name,
+        onRename: (next) => {
+            leaderboard.rename(result.key, result.entry.id, next);
+            savePlayerName(next.trim() || 'Player');
+        },
+    };
 }
 
-function setupPhysics() {
-    // Create cannon-es physics world
-    world = new CANNON.World();
-    world.gravity.set(gravity.x, gravity.y, gravity.z);
-    world.allowSleep = true;
-    
-    // Create ground physics body
-    const groundShape = new CANNON.Plane();
-    const groundBody = new CANNON.Body({ mass: 0 }); // Static body
-    groundBody.addShape(groundShape);
-    groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-    groundBody.collisionFilterGroup = CG_WORLD;
-    groundBody.collisionFilterMask = CG_PROJECTILE;
-    world.addBody(groundBody);
-    worldBodyIds.add(groundBody.id);
-}
-
-function setupCollisionHandlers() {
-    // Note: cannon-es emits beginContact when two bodies start touching.
-    world.addEventListener('beginContact', (event) => {
-        const bodyA = event.bodyA;
-        const bodyB = event.bodyB;
-        if (!bodyA || !bodyB) return;
-
-        const projA = projectileByBodyId.get(bodyA.id);
-        const projB = projectileByBodyId.get(bodyB.id);
-
-        // Debug: log only when a projectile is involved
-        if (projA || projB) {
-            debugLog('[SnowballBlitz] beginContact', {
-                a: { id: bodyA.id, group: bodyA.collisionFilterGroup },
-                b: { id: bodyB.id, group: bodyB.collisionFilterGroup },
-                projA: !!projA,
-                projB: !!projB,
-                isTargetA: targetByBodyId.has(bodyA.id),
-                isTargetB: targetByBodyId.has(bodyB.id),
-                isWorldA: worldBodyIds.has(bodyA.id),
-                isWorldB: worldBodyIds.has(bodyB.id),
-            });
-        }
+function openLeaderboard() {
+    // Opens on the board of the last finished run, else the one being played.
+    ui.showLeaderboard({
+        boards: leaderboard.listBoards(),
+        selectedKey: lastLeaderboardResult ? lastLeaderboardResult.key : getBoardKey(getCurrentBoardMeta()),
+        highlightId: lastLeaderboardResult ? lastLeaderboardResult.entry.id : null,
+        getEntries: (key) => leaderboard.getEntries(key),
+        onExport: () => {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            return { filename: `snowballblitz-leaderboard-${stamp}.json`, text: leaderboard.exportJSON() };
+        },
+        onImport: (text) => {
+            const added = leaderboard.importJSON(text);
+            debugLog('[SnowballBlitz] leaderboard imported', { added });
+            return { boards: leaderboard.listBoards(), message: `Imported ${added} ${added === 1 ? 'entry' : 'entries'}` };
+        },
+    });
+}
 
-        if (projA) handleProjectileContact(projA, bodyB);
-        if (projB) handleProjectileContact(projB, bodyA);
+function setupLeaderboardButton() {
+    const btn = document.getElementById('leaderboard-button');
+    if (!btn) return;
+    btn.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (ui.leaderboardOpen) ui.hideLeaderboard();
+        else openLeaderboard();
     });
+}
 
-    // Disable collision response for projectile<->target (piercing) while still allowing
-    // projectile<->world to collide normally.
-    world.addEventListener('preSolve', (event) => {
-        const eqs = event.contactEquations || event.contactEquation || event.contacts;
-        if (!Array.isArray(eqs)) return;
+function guessQualityTier() {
+    // First run on 'auto': phones/tablets and small CPUs start one tier down and let the governor go from there.
+    try {
+        const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+        const cores = navigator.hardwareConcurrency || 8;
+        return coarse || cores <= 4 ? 'medium' : 'high';
+    } catch {
+        return 'high';
+    }
+}
 
-        for (const eq of eqs) {
-            const bi = eq.bi || eq.bodyA;
-            const bj = eq.bj || eq.bodyB;
-            if (!bi || !bj) continue;
+function setupQuality() {
+    quality = createQualityGovernor({
+        mode: settings.get('quality'),
+        autoTier: settings.get('qualityAutoTier') || guessQualityTier(),
+        onChange: (tier, { mode }) => {
+            applyQualityTier(tier);
+            // Next session starts where auto settled (including antialiasing, which needs a new context)
+            if (mode === 'auto') settings.set('qualityAutoTier', tier.id);
+        },
+        debug: (m, d) => debugLog(m, d),
+    });
+    qualityTier = quality.tier;
+    settings.onChange((key, value) => {
+        if (key === 'quality') quality.setMode(value);
+    });
+}
 
-            const projI = projectileByBodyId.has(bi.id);
-            const projJ = projectileByBodyId.has(bj.id);
-            if (!projI && !projJ) continue;
+function applyQualityTier(tier) {
+    qualityTier = tier;
+    // Bursts and trails pick up their counts the next time one is spawned; the trajectory on the next frame.
+    // Shadows, lanterns, snowfall and scenery change right away.
+    if (renderer) renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.pixelRatio));
+    if (sunLight) {
+        applyShadowQuality();
+        placeLanterns();
+    }
+    if (environment) environment.setQuality(tier, { pixelRatio: renderer.getPixelRatio() });
+}
 
-            const isTargetI = targetByBodyId.has(bi.id);
-            const isTargetJ = targetByBodyId.has(bj.id);
+function openSettings() {
+    const tierNames = Object.fromEntries(QUALITY_TIERS.map((t) => [t.id, t.name]));
+    ui.showSettings({
+        fields: [
+            {
+                key: 'quality',
+                label: 'Graphics quality',
+                value: settings.get('quality'),
+                options: QUALITY_MODES.map((id) => ({ value: id, label: id === 'auto' ? 'Auto (adapts to frame rate)' : tierNames[id] })),
+                hint: () => {
+                    const aa = qualityTier.antialias !== rendererAntialias;
+                    return `Now: ${qualityTier.name}${aa ? ' · antialiasing changes after a reload' : ''}`;
+                },
+            },
+            {
+                key: 'followCam',
+                type: 'toggle',
+                label: 'Follow camera',
+                value: settings.get('followCam'),
+                hint: 'Ride behind each snowball, then return to the aiming view',
+            },
+            {
+                key: 'killCam',
+                type: 'toggle',
+                label: 'Multi-kill slow motion',
+                value: settings.get('killCam'),
+                hint: 'Slow down and watch from the side when a shot pierces several snowmen',
+            },
+            {
+                key: 'mouseLook',
+                type: 'toggle',
+                label: 'Mouse look (pointer lock)',
+                value: settings.get('mouseLook'),
+                hint: 'Click the game to capture the mouse: moving aims, left click fires, Esc releases (and pauses). Sensitivity is under Controls.',
+            },
+            {
+                key: 'controls',
+                type: 'button',
+                label: 'Controls',
+                text: 'Edit…',
+                hint: 'Key and button bindings, aim sensitivity and invert-Y for each device',
+                onClick: () => openControls(),
+            },
+        ],
+        onChange: (key, value) => settings.set(key, value),
+    });
+}
 
-            // If projectile is contacting a target, disable the contact equation so it won't bounce.
-            if ((projI && isTargetJ) || (projJ && isTargetI)) {
-                eq.enabled = false;
-            }
-        }
+function setupSettingsButton() {
+    const btn = document.getElementById('settings-button');
+    if (!btn) return;
+    btn.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (ui.settingsOpen || ui.controlsOpen) closeMenus();
+        else openSettings();
+    });
+}
+
+function onWaveStarted({ wave, bonusTimeSec, targetScale, repeated }) {
+    ui.updateTimer(sim.timeRemainingSec, sim.state);
+    ui.setWave(wave);
+    if (!isReplaySeeking()) ui.showBanner(`Wave ${wave}`, bonusTimeSec > 0 ? `+${Math.round(bonusTimeSec)}s` : '');
+
+    debugLog('[SnowballBlitz] wave started', {
+        wave,
+        bonusTimeSec,
+        targetScale,
+        targets: sim.targets.length,
+        repeated,
     });
 }
 
-function handleProjectileContact(projectile, otherBody) {
-    // Projectile vs target: destroy target, keep projectile (piercing)
-    const target = targetByBodyId.get(otherBody.id);
-    if (target && target.alive) {
-        debugLog('[SnowballBlitz] projectile hit target', { projectileId: projectile.body.id, targetId: otherBody.id });
-        destroyTarget(target);
+function onGameReset() {
+    ui.setWave(sim.wave);
+    ui.setScore(sim.score);
+    ui.updateTimer(sim.timeRemainingSec, sim.state);
+    ui.setAmmo(sim.ammo);
+    cancelCharge();
+    updateFireButton();
+    ui.hideEnd();
+    resetCinematicCamera();
+    setPaused(false);
+
+    debugLog('[SnowballBlitz] game reset', { seed: sim.seed, level: currentLevel ? currentLevel.id : null });
+}
+
+function resetGame() {
+    if (replayPlayer) {
+        replayPlayer.seek(0);
+        replayPlayer.play();
         return;
     }
+    // Clears projectiles/targets (via events) and restarts from wave 1 of the current level.
+    sim.reset({ seed: newMatchSeed() });
+}
+
+function isReplaySeeking() {
+    // Fast-forwarding through a replay: skip sounds, text and particles for the skipped ticks.
+    return !!(replayPlayer && replayPlayer.seeking);
+}
+
+function getReplayFile() {
+    const replay = replayRecorder.getReplay();
+    if (!replay) return null;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return { filename: `snowballblitz-replay-${replay.level.id}-${stamp}.json`, text: serializeReplay(replay) };
+}
+
+function startReplay(replay) {
+    // Remember the live setup once (loading another replay while watching keeps it).
+    if (!replayPlayer) replayResume = { config: getLiveGameConfig(), level: currentLevel, projectileType: sim.projectileType };
+    replayRecorder.setEnabled(false);
+    releasePointerLock();
+    replayPlayer = createReplayPlayer({
+        sim,
+        replay,
+        applyConfig: (cfg) => applyGameConfig(cfg),
+        applyLevel: (level, seed) => {
+            applyLevelSettings(level);
+            sim.setLevel(level, { seed });
+        },
+    });
+
+    const levelSelect = document.getElementById('level-select');
+    if (levelSelect) levelSelect.disabled = true;
+    const projectileSelect = document.getElementById('projectile-select');
+    if (projectileSelect) projectileSelect.disabled = true;
+    ui.showReplayBar({
+        title: `Replay · ${replay.level.name || replay.level.id}`,
+        durationSec: replay.durationTicks * FIXED_DT,
+        speeds: REPLAY_SPEEDS,
+        onTogglePlay: () => replayPlayer && replayPlayer.toggle(),
+        onSeek: (sec) => replayPlayer && replayPlayer.seek(Math.round(sec / FIXED_DT)),
+        onSpeed: (speed) => replayPlayer && replayPlayer.setSpeed(speed),
+        onRestart: resetGame,
+        onExit: stopReplay,
+    });
+
+    debugLog('[SnowballBlitz] replay started', {
+        level: replay.level.id,
+        seed: replay.seed,
+        inputs: replay.inputs.length,
+        durationTicks: replay.durationTicks,
+    });
+}
+
+function stopReplay() {
+    if (!replayPlayer) return;
+    replayPlayer = null;
+    ui.hideReplayBar();
+
+    // Back to the live game with the config + level from before the replay.
+    const { config, level, projectileType } = replayResume;
+    replayResume = null;
+    applyGameConfig(config);
+    applyLevelSettings(level);
+    sim.setProjectileType(projectileType);
+    replayRecorder.setEnabled(true);
+    sim.setLevel(level, { seed: newMatchSeed() });
+
+    const levelSelect = document.getElementById('level-select');
+    if (levelSelect) levelSelect.disabled = false;
+    const projectileSelect = document.getElementById('projectile-select');
+    if (projectileSelect) projectileSelect.disabled = false;
+    debugLog('[SnowballBlitz] replay closed');
+}
+
+function setupLighting() {
+    // Sky/ground fill (soft overall illumination)
+    hemiLight = new THREE.HemisphereLight(0xffffff, 0xffffff, 0.6);
+    scene.add(hemiLight);
+
+    // Directional light (sun / moon); its shadow camera is fitted to the arena in fitShadowCamera()
+    sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    sunLight.shadow.bias = -0.0005;
+    sunLight.shadow.normalBias = 0.02;
+    scene.add(sunLight);
+    scene.add(sunLight.target);
+
+    applyLighting();
+}
+
+function applyLighting() {
+    // Level preset over the config default (see lighting.js), then the quality-dependent parts
+    lighting = resolveLighting(lightingConfig, currentLevel ? currentLevel.lighting : null);
+
+    scene.background = new THREE.Color(lighting.background);
+    scene.fog = lighting.fogFar > lighting.fogNear ? new THREE.Fog(lighting.fogColor, lighting.fogNear, lighting.fogFar) : null;
+
+    hemiLight.color.set(lighting.skyColor);
+    hemiLight.groundColor.set(lighting.groundColor);
+    hemiLight.intensity = lighting.ambientIntensity;
+    sunLight.color.set(lighting.sunColor);
+    sunLight.intensity = lighting.sunIntensity;
+    if (environment) environment.applyLighting(lighting);
 
-    // Projectile vs world: mark projectile for removal
-    if (worldBodyIds.has(otherBody.id)) {
-        debugLog('[SnowballBlitz] projectile hit world', { projectileId: projectile.body.id, worldId: otherBody.id });
-        projectilesToRemove.add(projectile.body.id);
+    applyShadowQuality();
+    updateLightingLayout();
+    debugLog('[SnowballBlitz] lighting', { preset: lighting.preset, shadows: renderer.shadowMap.enabled, lanterns: lanterns.length });
+}
+
+function applyShadowQuality() {
+    // Low tier: no shadow map at all; medium: hard-edged; high: soft and sharper.
+    const size = qualityTier.shadowMapSize;
+    const enabled = size > 0;
+    const type = qualityTier.softShadows ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+    if (renderer.shadowMap.enabled !== enabled || renderer.shadowMap.type !== type) {
+        renderer.shadowMap.enabled = enabled;
+        renderer.shadowMap.type = type;
+        // Shadow support is compiled into the shaders
+        scene.traverse((obj) => {
+            if (!obj.material) return;
+            for (const m of Array.isArray(obj.material) ? obj.material : [obj.material]) m.needsUpdate = true;
+        });
+    }
+    sunLight.castShadow = enabled;
+    if (enabled && sunLight.shadow.mapSize.x !== size) {
+        sunLight.shadow.mapSize.set(size, size);
+        if (sunLight.shadow.map) {
+            sunLight.shadow.map.dispose();
+            sunLight.shadow.map = null;
+        }
     }
 }
 
-function destroyTarget(target) {
-    target.alive = false;
+function updateLightingLayout() {
+    lightingLayoutDirty = false;
+    fitShadowCamera();
+    placeLanterns();
+    if (environment) environment.setArena(getArenaBox(), { x: shooterPosition.x, z: shooterPosition.z, radius: sim.getMaxShotRange() });
+}
 
-    // Spawn floating score text at target position (use mesh position; it's at platform surface)
-    const fxPos = target.mesh.position.clone().add(new THREE.Vector3(0, 1.0, 0));
-    ui.spawnFloatingText(`+${SCORE_PER_TARGET}`, fxPos);
-    spawnSnowExplosion(fxPos);
-    ui.addScore(SCORE_PER_TARGET);
+function getArenaBox() {
+    // Play area: the shooter's spot plus every platform
+    const box = new THREE.Box3().setFromCenterAndSize(shooterPosition.clone(), new THREE.Vector3(4, 4, 4));
+    for (const mesh of platformMeshes.values()) box.expandByObject(mesh);
+    return box;
+}
 
-    scene.remove(target.mesh);
-    world.removeBody(target.body);
-    targetByBodyId.delete(target.body.id);
+function fitShadowCamera() {
+    // Aim the sun at the arena (with headroom for snowmen) and shrink its orthographic shadow camera to just
+    // that box as seen from the light, so the shadow map's texels aren't wasted.
+    const box = getArenaBox();
+    box.max.y += 3;
+    box.expandByScalar(SHADOW_MARGIN);
+
+    const el = toRadians(lighting.sunElevationDeg);
+    const az = toRadians(lighting.sunAzimuthDeg);
+    const toSun = new THREE.Vector3(Math.sin(az) * Math.cos(el), Math.sin(el), -Math.cos(az) * Math.cos(el));
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = box.getSize(new THREE.Vector3()).length() * 0.5;
+    sunLight.target.position.copy(center);
+    sunLight.position.copy(center).addScaledVector(toSun, radius + 10);
+    sunLight.target.updateMatrixWorld();
+    sunLight.updateMatrixWorld();
+
+    const view = new THREE.Matrix4().lookAt(sunLight.position, center, new THREE.Vector3(0, 1, 0));
+    view.setPosition(sunLight.position).invert();
+    const lightBox = new THREE.Box3();
+    const corner = new THREE.Vector3();
+    for (let i = 0; i < 8; i++) {
+        corner.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z);
+        lightBox.expandByPoint(corner.applyMatrix4(view));
+    }
+    const cam = sunLight.shadow.camera;
+    cam.left = lightBox.min.x;
+    cam.right = lightBox.max.x;
+    cam.bottom = lightBox.min.y;
+    cam.top = lightBox.max.y;
+    cam.near = Math.max(0.1, -lightBox.max.z - 1);
+    cam.far = -lightBox.min.z + 1;
+    cam.updateProjectionMatrix();
+}
+
+function placeLanterns() {
+    // Lantern posts (night presets) along the platform fronts; the quality tier caps how many light up.
+    for (const { group } of lanterns) {
+        scene.remove(group);
+        group.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+    }
+    lanterns.length = 0;
+
+    const count = Math.min(lighting.lanterns, qualityTier.maxLanterns);
+    const spots = getLanternPositions(sim.platforms, { max: count, shooter: shooterPosition });
+    for (const spot of spots) {
+        const group = new THREE.Group();
+        const post = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.05, 0.07, 2.2, 8),
+            new THREE.MeshStandardMaterial({ color: 0x2b2f36, roughness: 0.6, metalness: 0.5 })
+        );
+        post.position.y = 1.1;
+        post.castShadow = true;
+        group.add(post);
+
+        const lamp = new THREE.Mesh(
+            new THREE.SphereGeometry(0.16, 12, 10),
+            new THREE.MeshStandardMaterial({ color: lighting.lanternColor, emissive: lighting.lanternColor, emissiveIntensity: 1.5 })
+        );
+        lamp.position.y = 2.3;
+        group.add(lamp);
 
-    const remainingAlive = targets.reduce((n, t) => n + (t.alive ? 1 : 0), 0);
-    debugLog('[SnowballBlitz] target destroyed', { remaining: remainingAlive });
+        // Point lights stay shadowless: a cube shadow map per lantern is far too expensive
+        const light = new THREE.PointLight(lighting.lanternColor, lighting.lanternIntensity, lighting.lanternDistance, 2);
+        light.position.y = 2.3;
+        group.add(light);
 
-    // Win condition: all targets destroyed before time runs out
-    if (gameState === 'playing' && remainingAlive === 0) {
-        debugLog('[SnowballBlitz] win condition met (all targets destroyed)');
-        endGame('win');
+        group.position.set(spot.x, 0, spot.z);
+        scene.add(group);
+        lanterns.push({ group, light });
     }
 }
 
-function spawnSnowExplosion(worldPos) {
-    // SFX (explosion)
-    sfx.playExplosion(worldPos);
+function createPlayer() {
+    // Create player character as a cylinder (placeholder)
+    const playerGeometry = new THREE.CylinderGeometry(0.5, 0.5, playerHeight, 16);
+    const playerMaterial = new THREE.MeshStandardMaterial({ 
+        color: 0x4169E1, // Royal blue
+        roughness: 0.7,
+        metalness: 0.3
+    });
+    player = new THREE.Mesh(playerGeometry, playerMaterial);
+    // Keep feet on the ground at shooterPosition
+    player.position.set(shooterPosition.x, playerHeight * 0.5, shooterPosition.z);
+    player.castShadow = true;
+    scene.add(player);
+}
 
-    // Small, cheap particle burst (no textures)
-    const count = 60;
-    const positions = new Float32Array(count * 3);
-    const velocities = new Float32Array(count * 3);
+function createWindsock() {
+    // Pole + open cone; the pivot turns the cone downwind and lifts it as the wind picks up.
+    const group = new THREE.Group();
+    const pole = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.04, 0.04, 2.2, 8),
+        new THREE.MeshStandardMaterial({ color: 0x9aa3ad, roughness: 0.6, metalness: 0.4 })
+    );
+    pole.position.y = 1.1;
+    pole.castShadow = true;
+    group.add(pole);
+
+    const pivot = new THREE.Group();
+    pivot.position.y = 2.15;
+    pivot.rotation.order = 'YXZ';
+    const sock = new THREE.Mesh(
+        new THREE.ConeGeometry(0.18, 0.9, 12, 1, true),
+        new THREE.MeshStandardMaterial({ color: 0xff7a1a, roughness: 0.8, side: THREE.DoubleSide })
+    );
+    // Cone tip (+Y) points along +Z, mouth at the pivot
+    sock.rotation.x = Math.PI / 2;
+    sock.position.z = 0.45;
+    sock.castShadow = true;
+    pivot.add(sock);
+    group.add(pivot);
+
+    group.visible = false;
+    scene.add(group);
+    windsock = { group, pivot };
+}
 
-    for (let i = 0; i < count; i++) {
-        const idx = i * 3;
-        // Start near the hit point
-        positions[idx + 0] = worldPos.x + (Math.random() - 0.5) * 0.15;
-        positions[idx + 1] = worldPos.y + (Math.random() - 0.5) * 0.15;
-        positions[idx + 2] = worldPos.z + (Math.random() - 0.5) * 0.15;
+function updateWindIndicators() {
+    const level = sim.level;
+    const maxStrength = getMaxWindStrength(level ? level.wind : null);
+    if (!(maxStrength > 0)) {
+        if (windsock) windsock.group.visible = false;
+        ui.setWind(null);
+        return;
+    }
+    const wind = sim.wind;
+    const ratio = clampNumber(wind.strength / maxStrength, { min: 0, max: 1 });
+
+    if (windsock) {
+        windsock.group.visible = true;
+        windsock.group.position.set(shooterPosition.x + 2.2, 0, shooterPosition.z + 0.8);
+        windsock.pivot.rotation.y = Math.atan2(wind.x, wind.z);
+        // Hangs limp in a breeze, flies level in the strongest gust
+        windsock.pivot.rotation.x = (1 - ratio) * 1.2;
+    }
 
-        // Random velocity with slight upward bias
-        const vx = (Math.random() - 0.5) * 3.0;
-        const vy = Math.random() * 3.5 + 1.0;
-        const vz = (Math.random() - 0.5) * 3.0;
-        velocities[idx + 0] = vx;
-        velocities[idx + 1] = vy;
-        velocities[idx + 2] = vz;
+    // HUD arrow is relative to the view (up = away from the camera), which turns with the aim
+    const yaw = aimYaw + cameraOrbitYaw;
+    const screenX = wind.x * Math.cos(yaw) - wind.z * Math.sin(yaw);
+    const screenAway = -wind.x * Math.sin(yaw) - wind.z * Math.cos(yaw);
+    ui.setWind({
+        strength: wind.strength,
+        angleDeg: (Math.atan2(screenX, screenAway) * 180) / Math.PI,
+        gusting: wind.gust > 0.5,
+    });
+}
+
+function setupEnvironment() {
+    // Procedural winter scene around the arena; the physics ground stays the sim's flat plane at y = 0.
+    environment = createEnvironment({ THREE, scene, debug: (m, d) => debugLog(m, d) });
+    environment.setQuality(qualityTier, { pixelRatio: renderer.getPixelRatio() });
+}
+
+function damageTarget(target) {
+    // Non-lethal hit on a multi-HP target (armored): knock off the hat, then crack.
+    const mesh = targetMeshes.get(target);
+    if (!mesh) return;
+    applyTargetDamageLook(target, mesh);
+    if (isReplaySeeking()) return;
+    const fxPos = mesh.position.clone().add(new THREE.Vector3(0, 1.0, 0));
+    ui.spawnFloatingText(`CLANK! ${target.hp} left`, fxPos, { variant: 'armor' });
+    sfx.playArmorHit(fxPos);
+}
+
+function destroyTarget({ target, chain, multiplier, points, penaltyScore, penaltyTimeSec }) {
+    if (isReplaySeeking()) {
+        removeTargetMesh(target);
+        return;
     }
+    const mesh = targetMeshes.get(target);
+    const fxPos = (mesh ? mesh.position.clone() : new THREE.Vector3(target.pose.x, target.pose.y, target.pose.z))
+        .add(new THREE.Vector3(0, 1.0, 0));
+
+    if (penaltyScore > 0 || penaltyTimeSec > 0) {
+        // Penalty target (friendly): the sim already took the score/time.
+        const parts = [];
+        if (penaltyScore > 0) parts.push(`-${penaltyScore}`);
+        if (penaltyTimeSec > 0) parts.push(`-${penaltyTimeSec}s`);
+        ui.spawnFloatingText(`${parts.join(' ')} OOPS!`, fxPos, { variant: 'penalty' });
+        ui.updateTimer(sim.timeRemainingSec, sim.state);
+    } else {
+        // Spawn floating score text at target position (use mesh position; it's at platform surface)
+        const isGolden = target.variant.look === 'golden';
+        const label = [`+${points}`];
+        if (chain > 1) label.push(`x${multiplier}`);
+        if (isGolden) label.push('GOLD');
+        if (chain > 1) label.push('PIERCE');
+        if (label.length > 1) label[label.length - 1] += '!';
+        ui.spawnFloatingText(label.join(' '), fxPos, {
+            variant: isGolden ? 'golden' : (chain > 1 ? 'pierce' : null),
+        });
+    }
+    spawnSnowExplosion(fxPos);
+    removeTargetMesh(target);
+}
 
+function createParticleBurst() {
+    // Small, cheap particle burst (no textures); buffers are refilled on every reuse
+    const positions = new Float32Array(BURST_PARTICLES * 3);
+    const velocities = new Float32Array(BURST_PARTICLES * 3);
     const geom = new THREE.BufferGeometry();
     geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
@@ -768,21 +1312,40 @@ function spawnSnowExplosion(worldPos) {
 
     const points = new THREE.Points(geom, material);
     points.frustumCulled = false;
+    points.visible = false;
     scene.add(points);
+    return { points, geom, positions, velocities, count: BURST_PARTICLES, age: 0, duration: 0.7, material };
+}
 
-    particleBursts.push({
-        points,
-        geom,
-        positions,
-        velocities,
-        age: 0,
-        duration: 0.7,
-        material,
-    });
+function spawnSnowExplosion(worldPos) {
+    // SFX (explosion)
+    sfx.playExplosion(worldPos);
+
+    const burst = burstPool.acquire();
+    const { positions, velocities } = burst;
+    burst.count = Math.min(BURST_PARTICLES, qualityTier.burstParticles);
+    burst.geom.setDrawRange(0, burst.count);
+    for (let i = 0; i < burst.count; i++) {
+        const idx = i * 3;
+        // Start near the hit point
+        positions[idx + 0] = worldPos.x + (Math.random() - 0.5) * 0.15;
+        positions[idx + 1] = worldPos.y + (Math.random() - 0.5) * 0.15;
+        positions[idx + 2] = worldPos.z + (Math.random() - 0.5) * 0.15;
+
+        // Random velocity with slight upward bias
+        velocities[idx + 0] = (Math.random() - 0.5) * 3.0;
+        velocities[idx + 1] = Math.random() * 3.5 + 1.0;
+        velocities[idx + 2] = (Math.random() - 0.5) * 3.0;
+    }
+    burst.geom.getAttribute('position').needsUpdate = true;
+    burst.age = 0;
+    burst.material.opacity = 0.9;
+    burst.points.visible = true;
+    particleBursts.push(burst);
 }
 
 function updateParticleBursts(dt) {
-    const g = gravity.y;
+    const g = sim.gravity.y;
     for (let i = particleBursts.length - 1; i >= 0; i--) {
         const b = particleBursts[i];
         b.age += dt;
@@ -792,7 +1355,7 @@ function updateParticleBursts(dt) {
 
         const pos = b.positions;
         const vel = b.velocities;
-        for (let j = 0; j < pos.length; j += 3) {
+        for (let j = 0; j < b.count * 3; j += 3) {
             vel[j + 1] += g * dt * 0.35; // light gravity so it feels "snowy"
 
             pos[j + 0] += vel[j + 0] * dt;
@@ -804,68 +1367,188 @@ function updateParticleBursts(dt) {
         attr.needsUpdate = true;
 
         if (b.age >= b.duration) {
-            scene.remove(b.points);
-            b.geom.dispose();
-            b.material.dispose();
             particleBursts.splice(i, 1);
+            burstPool.release(b);
         }
     }
 }
 
-function createPlatformsAndTargets() {
-    createTieredPlatforms();
-    createTargets();
+function getInitialLevelId() {
+    // ?level=<id> wins over the last choice saved in this browser.
+    const fromUrl = new URLSearchParams(window.location.search).get('level');
+    if (fromUrl) return fromUrl;
+    try {
+        return localStorage.getItem(LEVEL_STORAGE_KEY) || BUILTIN_LEVEL_ID;
+    } catch {
+        return BUILTIN_LEVEL_ID;
+    }
 }
 
-function createTieredPlatforms() {
-    // Simple tiered "staircase" in front of the player (toward -Z).
-    // Z positions are derived from target distance range.
-    const [d1, d2, d3] = getTargetStepDistances();
-    const steps = [
-        { w: 12, h: 1.0, d: 6, x: shooterPosition.x, y: 0.5, z: shooterPosition.z - d1 },
-        { w: 10, h: 1.0, d: 6, x: shooterPosition.x, y: 1.5, z: shooterPosition.z - d2 },
-        { w: 8,  h: 1.0, d: 6, x: shooterPosition.x, y: 2.5, z: shooterPosition.z - d3 },
-    ];
-
-    const mat = new THREE.MeshStandardMaterial({
-        color: 0xb9c2cc,
-        roughness: 0.9,
-        metalness: 0.05,
+function getClassicLevel() {
+    return buildClassicLevel({
+        minDistance: targetMinDistance,
+        maxDistance: targetMaxDistance,
+        timeLimitSec: DEFAULT_TIME_LIMIT_SEC,
     });
+}
 
-    for (const s of steps) {
-        const geom = new THREE.BoxGeometry(s.w, s.h, s.d);
-        const mesh = new THREE.Mesh(geom, mat);
-        mesh.position.set(s.x, s.y, s.z);
-        mesh.receiveShadow = true;
-        scene.add(mesh);
-
-        const shape = new CANNON.Box(new CANNON.Vec3(s.w / 2, s.h / 2, s.d / 2));
-        const body = new CANNON.Body({
-            mass: 0,
-            shape,
-            position: new CANNON.Vec3(s.x, s.y, s.z),
+async function resolveLevel(id) {
+    const entry = levelCatalog.find((l) => l.id === id);
+    if (!entry || !entry.file) return getClassicLevel();
+    try {
+        return await loadLevelFile(entry, { fallbackTimeLimitSec: DEFAULT_TIME_LIMIT_SEC });
+    } catch (err) {
+        debugLog('[SnowballBlitz] WARN: failed to load level, using classic', {
+            id,
+            file: entry.file,
+            error: err && err.message ? err.message : String(err),
         });
-        body.collisionFilterGroup = CG_WORLD;
-        body.collisionFilterMask = CG_PROJECTILE;
-        world.addBody(body);
-        worldBodyIds.add(body.id);
+        return getClassicLevel();
+    }
+}
+
+function applyLevelSettings(level) {
+    currentLevel = level;
+    shooterPosition.set(level.shooter.x, 0, level.shooter.z);
+    rebuildPlayerMesh();
+    if (sunLight) applyLighting();
+}
 
-        platforms.push({ mesh, body });
+async function selectLevel(id) {
+    if (replayPlayer) stopReplay();
+    const level = await resolveLevel(id);
+    applyLevelSettings(level);
+    try {
+        localStorage.setItem(LEVEL_STORAGE_KEY, level.id);
+    } catch {
+        // ignore
     }
+    // Swaps the layout and restarts the match (old platforms/targets leave via events)
+    sim.setLevel(level, { seed: newMatchSeed() });
+    debugLog('[SnowballBlitz] level selected', {
+        id: level.id,
+        platforms: level.platforms.length,
+        targets: level.targets.length,
+    });
+    return level;
 }
 
-function createSnowmanMesh() {
-    const group = new THREE.Group();
+function setupLevelSelect() {
+    const select = document.getElementById('level-select');
+    if (!select) return;
 
-    const h = clampNumber(toFiniteNumber(snowmanHeight, DEFAULT_GAME_CONFIG.snowman.height), { min: 0.2, max: 50 });
-    const { bodyR, headR, gap, noseR, noseL } = getSnowmanDims(h);
+    select.innerHTML = '';
+    for (const entry of levelCatalog) {
+        const opt = document.createElement('option');
+        opt.value = entry.id;
+        opt.textContent = entry.name;
+        select.appendChild(opt);
+    }
+    select.value = currentLevel ? currentLevel.id : BUILTIN_LEVEL_ID;
+    // Hide when there's nothing to choose from.
+    select.hidden = levelCatalog.length < 2;
 
-    const snowMat = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        roughness: 0.85,
-        metalness: 0.0,
+    select.addEventListener('change', async () => {
+        select.disabled = true;
+        try {
+            const level = await selectLevel(select.value);
+            select.value = level.id;
+        } finally {
+            select.disabled = false;
+            // Return keyboard focus to the game so Space/R keep working.
+            select.blur();
+        }
+    });
+
+    // Keep keyboard shortcuts (Space/R/F) from also changing the selection.
+    select.addEventListener('keydown', (event) => event.stopPropagation());
+}
+
+function updateProjectileSelect() {
+    // Options follow the configured types; the value follows the sim (hotkeys, replays).
+    const select = document.getElementById('projectile-select');
+    if (!select) return;
+    const types = sim.projectileTypes;
+    const ids = types.map((t) => t.id).join('|');
+    if (select.dataset.types !== ids) {
+        select.dataset.types = ids;
+        select.innerHTML = '';
+        types.forEach((t, i) => {
+            const opt = document.createElement('option');
+            opt.value = t.id;
+            opt.textContent = i < 9 ? `${i + 1} · ${t.name}` : t.name;
+            select.appendChild(opt);
+        });
+    }
+    select.value = sim.projectileType;
+    select.hidden = types.length < 2;
+}
+
+function selectProjectileType(id) {
+    if (replayPlayer || !sim.setProjectileType(id)) return;
+    debugLog('[SnowballBlitz] projectile type selected', { type: sim.projectileType });
+}
+
+function cycleProjectileType(step = 1) {
+    const types = sim.projectileTypes;
+    const idx = types.findIndex((t) => t.id === sim.projectileType);
+    selectProjectileType(types[(idx + step + types.length) % types.length].id);
+}
+
+function setupProjectileSelect() {
+    const select = document.getElementById('projectile-select');
+    if (!select) return;
+    updateProjectileSelect();
+    select.addEventListener('change', () => {
+        selectProjectileType(select.value);
+        select.value = sim.projectileType;
+        // Return keyboard focus to the game so Space/R keep working.
+        select.blur();
     });
+}
+
+const platformMaterial = new THREE.MeshStandardMaterial({
+    color: 0xb9c2cc,
+    roughness: 0.9,
+    metalness: 0.05,
+});
+
+function addPlatformMesh(platform) {
+    // Platform boxes come from the current level (the classic level is a tiered "staircase" toward -Z).
+    const { w, h, d } = platform.size;
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), platformMaterial);
+    mesh.position.set(platform.position.x, platform.position.y, platform.position.z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+    platformMeshes.set(platform, mesh);
+    lightingLayoutDirty = true;
+}
+
+function removePlatformMesh(platform) {
+    const mesh = platformMeshes.get(platform);
+    if (!mesh) return;
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    platformMeshes.delete(platform);
+    lightingLayoutDirty = true;
+}
+
+function getSnowMaterialParams(look) {
+    // Variant looks: golden = shiny bonus, armored = steel-tinted with a helmet, friendly = scarf + hat
+    return look === 'golden'
+        ? { color: 0xffc933, roughness: 0.25, metalness: 0.85, emissive: 0x4a3200, emissiveIntensity: 0.4 }
+        : look === 'armored'
+            ? { color: 0xb8c6d6, roughness: 0.45, metalness: 0.55 }
+            : { color: 0xffffff, roughness: 0.85, metalness: 0.0 };
+}
+
+function createSnowmanMesh(look = 'standard', height = 1.2) {
+    const group = new THREE.Group();
+
+    const { bodyR, headR, gap, noseR, noseL } = getSnowmanDims(height);
+
+    const snowMat = new THREE.MeshStandardMaterial(getSnowMaterialParams(look));
 
     const body = new THREE.Mesh(new THREE.SphereGeometry(bodyR, 16, 16), snowMat);
     body.position.set(0, bodyR, 0);
@@ -884,91 +1567,171 @@ function createSnowmanMesh() {
     nose.position.set(0, head.position.y, -headR);
     group.add(nose);
 
+    const headTop = head.position.y + headR;
+    if (look === 'armored') {
+        // Helmet (knocked off by the first hit)
+        const hat = new THREE.Mesh(
+            new THREE.CylinderGeometry(headR * 0.95, headR * 1.05, headR * 0.7, 16),
+            new THREE.MeshStandardMaterial({ color: 0x394553, roughness: 0.35, metalness: 0.8 })
+        );
+        hat.position.set(0, headTop - headR * 0.15, 0);
+        group.add(hat);
+        group.userData.hat = hat;
+        group.userData.snowMat = snowMat;
+    } else if (look === 'friendly') {
+        // Red scarf + green bobble hat so it reads as "don't shoot"
+        const scarf = new THREE.Mesh(
+            new THREE.TorusGeometry(headR * 0.9, headR * 0.22, 8, 20),
+            new THREE.MeshStandardMaterial({ color: 0xe0313b, roughness: 0.8 })
+        );
+        scarf.rotation.x = Math.PI / 2;
+        scarf.position.set(0, bodyR * 2 + gap * 0.5, 0);
+        group.add(scarf);
+
+        const hat = new THREE.Mesh(
+            new THREE.ConeGeometry(headR * 0.8, headR * 1.2, 16),
+            new THREE.MeshStandardMaterial({ color: 0x2e9e4f, roughness: 0.8 })
+        );
+        hat.position.set(0, headTop + headR * 0.35, 0);
+        group.add(hat);
+    }
+
+    group.traverse((obj) => {
+        obj.castShadow = true;
+        obj.receiveShadow = true;
+    });
     return group;
 }
 
-function createTargets() {
-    // Keep target direction/layout fixed; only distances change via config.
-    const [d1, d2, d3] = getTargetStepDistances();
-    const placements = [
-        // step 1 (top surface is y=1.0)
-        { x: shooterPosition.x - 3.0, y: 1.0, z: shooterPosition.z - d1 },
-        { x: shooterPosition.x + 0.0, y: 1.0, z: shooterPosition.z - d1 },
-        { x: shooterPosition.x + 3.0, y: 1.0, z: shooterPosition.z - d1 },
-        // step 2 (top surface is y=2.0)
-        { x: shooterPosition.x - 2.5, y: 2.0, z: shooterPosition.z - d2 },
-        { x: shooterPosition.x + 0.0, y: 2.0, z: shooterPosition.z - d2 },
-        { x: shooterPosition.x + 2.5, y: 2.0, z: shooterPosition.z - d2 },
-        // step 3 (top surface is y=3.0)
-        { x: shooterPosition.x - 2.0, y: 3.0, z: shooterPosition.z - d3 },
-        { x: shooterPosition.x + 0.0, y: 3.0, z: shooterPosition.z - d3 },
-        { x: shooterPosition.x + 2.0, y: 3.0, z: shooterPosition.z - d3 },
-    ];
+// Cracks on a twice-hit armored snowman: one unit box, scaled to the body
+const crackGeometry = new THREE.BoxGeometry(1, 1, 1);
+const crackMaterial = new THREE.MeshBasicMaterial({ color: 0x1c2229 });
+
+function applyTargetDamageLook(target, mesh) {
+    // Armored snowmen lose their helmet on the first hit and crack on the next.
+    const ud = mesh.userData;
+    const damage = target.maxHp - target.hp;
+    if (damage >= 1 && ud.hat) {
+        mesh.remove(ud.hat);
+        ud.hat.geometry.dispose();
+        ud.hat.material.dispose();
+        ud.hat = null;
+    }
+    if (damage >= 2 && ud.snowMat && !ud.cracked) {
+        ud.cracked = true;
+        ud.snowMat.color.setHex(0x8c97a3);
+        ud.snowMat.roughness = 0.9;
+
+        const { bodyR } = getSnowmanDims(target.height);
+        for (let i = 0; i < 3; i++) {
+            const crack = new THREE.Mesh(crackGeometry, crackMaterial);
+            crack.scale.set(bodyR * 0.08, bodyR * 0.9, bodyR * 0.04);
+            const a = -0.5 + i * 0.5;
+            crack.position.set(Math.sin(a) * bodyR * 0.98, bodyR * (0.9 + 0.15 * i), -Math.cos(a) * bodyR * 0.98);
+            crack.rotation.set(0, -a, 0.5 - i * 0.45);
+            mesh.add(crack);
+        }
+    }
+}
 
-    for (const p of placements) {
-        const mesh = createSnowmanMesh();
-        mesh.position.set(p.x, p.y, p.z);
-        scene.add(mesh);
-
-        // Physics body (static). Use a single sphere collider for now.
-        // Center sits above the platform surface.
-        const h = clampNumber(toFiniteNumber(snowmanHeight, DEFAULT_GAME_CONFIG.snowman.height), { min: 0.2, max: 50 });
-        const { colliderR } = getSnowmanDims(h);
-        const shape = new CANNON.Sphere(colliderR);
-        const body = new CANNON.Body({
-            mass: 0,
-            shape,
-            position: new CANNON.Vec3(p.x, p.y + colliderR, p.z),
-        });
-        // Targets should not deflect the projectile (piercing), but should still report contacts.
-        body.collisionResponse = false;
-        body.collisionFilterGroup = CG_TARGET;
-        body.collisionFilterMask = CG_PROJECTILE;
-        world.addBody(body);
+function createDebrisVisual() {
+    // Parked until a piece needs it; the material is per instance so each piece fades on its own
+    const mesh = new THREE.Mesh(debrisGeometries.sphere, new THREE.MeshStandardMaterial({ transparent: true }));
+    mesh.castShadow = true;
+    mesh.visible = false;
+    scene.add(mesh);
+    return { mesh, piece: null };
+}
 
-        const rec = { mesh, body, alive: true };
-        targets.push(rec);
-        targetByBodyId.set(body.id, rec);
+function applyDebrisLook(mesh, piece) {
+    // One snowman part, centered like its sim body (see spawnDebris in sim.js): shared unit geometry scaled to
+    // the snowman's size, material values copied in (no new material, so no shader rebuild)
+    const { bodyR, headR, noseR, noseL } = getSnowmanDims(piece.height);
+    let params = getSnowMaterialParams(piece.look);
+    if (piece.part === 'body' || piece.part === 'head') {
+        mesh.geometry = debrisGeometries.sphere;
+        mesh.scale.setScalar(piece.part === 'body' ? bodyR : headR);
+    } else if (piece.part === 'nose') {
+        mesh.geometry = debrisGeometries.nose;
+        mesh.scale.set(noseR, noseR, noseL);
+        params = { color: 0xff9500, roughness: 0.6 };
+    } else if (piece.look === 'armored') {
+        mesh.geometry = debrisGeometries.helmet;
+        mesh.scale.setScalar(headR);
+        params = { color: 0x394553, roughness: 0.35, metalness: 0.8 };
+    } else {
+        mesh.geometry = debrisGeometries.bobbleHat;
+        mesh.scale.setScalar(headR);
+        params = { color: 0x2e9e4f, roughness: 0.8 };
     }
+    const m = mesh.material;
+    m.color.set(params.color);
+    m.roughness = params.roughness;
+    m.metalness = params.metalness ?? 0;
+    m.emissive.set(params.emissive ?? 0x000000);
+    m.emissiveIntensity = params.emissiveIntensity ?? 1;
+}
 
-    debugLog('[SnowballBlitz] targets created', { count: targets.length });
+function addDebrisMesh(piece) {
+    // Skipped while fast-forwarding a replay (pieces spawned during a seek just stay invisible)
+    if (isReplaySeeking()) return;
+    const v = debrisPool.acquire();
+    v.piece = piece;
+    applyDebrisLook(v.mesh, piece);
+    syncDebrisMesh(piece, v.mesh);
+    v.mesh.visible = true;
+    debrisMeshes.set(piece, v);
 }
 
-function clearTargets() {
-    if (!world || !scene) return;
-    for (const t of targets) {
-        try {
-            scene.remove(t.mesh);
-        } catch {}
-        try {
-            world.removeBody(t.body);
-        } catch {}
-    }
-    targets.length = 0;
-    targetByBodyId.clear();
+function syncDebrisMesh(piece, mesh) {
+    const { position: p, quaternion: q } = piece.body;
+    mesh.position.set(p.x, p.y, p.z);
+    mesh.quaternion.set(q.x, q.y, q.z, q.w);
+    mesh.material.opacity = clampNumber((piece.lifetimeSec - piece.age) / DEBRIS_FADE_SEC, { min: 0, max: 1 });
 }
 
-function clearPlatforms() {
-    if (!world || !scene) return;
-    for (const p of platforms) {
-        try {
-            scene.remove(p.mesh);
-        } catch {}
-        try {
-            world.removeBody(p.body);
-        } catch {}
-        try {
-            worldBodyIds.delete(p.body.id);
-        } catch {}
+function updateDebrisMeshes() {
+    for (const [piece, v] of debrisMeshes) syncDebrisMesh(piece, v.mesh);
+}
+
+function removeDebrisMesh(piece) {
+    const v = debrisMeshes.get(piece);
+    if (!v) return;
+    debrisMeshes.delete(piece);
+    debrisPool.release(v);
+}
+
+function addTargetMesh(target) {
+    const mesh = createSnowmanMesh(target.variant.look, target.height);
+    syncTargetMesh(target, mesh);
+    scene.add(mesh);
+    targetMeshes.set(target, mesh);
+}
+
+function syncTargetMesh(target, mesh) {
+    // Pose is sampled by the sim each tick (moving targets); y = surface the snowman stands on.
+    const pose = target.pose;
+    mesh.position.set(pose.x, pose.y, pose.z);
+    mesh.rotation.y = pose.yaw;
+    mesh.visible = pose.visible;
+}
+
+function updateTargetMeshes() {
+    for (const [target, mesh] of targetMeshes) {
+        if (target.motion) syncTargetMesh(target, mesh);
     }
-    platforms.length = 0;
 }
 
-function replacePlatformsAndTargets() {
-    clearTargets();
-    clearPlatforms();
-    createTieredPlatforms();
-    createTargets();
+function removeTargetMesh(target) {
+    const mesh = targetMeshes.get(target);
+    if (!mesh) return;
+    scene.remove(mesh);
+    // Every snowman builds its own parts (sized to its height), so they go with it; cracks are shared
+    mesh.traverse((obj) => {
+        if (obj.geometry && obj.geometry !== crackGeometry) obj.geometry.dispose();
+        if (obj.material && obj.material !== crackMaterial) obj.material.dispose();
+    });
+    targetMeshes.delete(target);
 }
 
 function setupFireButton() {
@@ -986,19 +1749,24 @@ function setupFireButton() {
         sfx.unlock();
         bgm.unlock();
         button.classList.add('pressed');
-        debugLog('[SnowballBlitz] fire button -> fireProjectile()');
-        fireProjectile();
+        debugLog('[SnowballBlitz] fire button -> pressFire()');
+        pressFire();
     };
 
     const release = () => {
+        if (!button.classList.contains('pressed')) return;
         button.classList.remove('pressed');
+        releaseFire();
     };
 
-    // Pointer events cover mouse + touch
+    // Pointer events cover mouse + touch; sliding off the button throws a charged shot, a cancel drops it.
     button.addEventListener('pointerdown', press);
     button.addEventListener('pointerup', release);
-    button.addEventListener('pointercancel', release);
     button.addEventListener('pointerleave', release);
+    button.addEventListener('pointercancel', () => {
+        button.classList.remove('pressed');
+        cancelCharge();
+    });
 
     // Keep focus off the button during rapid tapping
     button.addEventListener('click', (event) => {
@@ -1007,6 +1775,51 @@ function setupFireButton() {
     });
 }
 
+function updateFireButton() {
+    // Off after the match and while reloading; the ring around it shows reload progress,
+    // the fill from the bottom shows the charge while held.
+    if (!fireButtonEl) return;
+    const ammo = sim.ammo;
+    fireButtonEl.disabled = sim.state !== 'playing' || ammo.reloading;
+    fireButtonEl.classList.toggle('reloading', ammo.reloading);
+    if (ammo.reloading) fireButtonEl.style.setProperty('--reload-progress', ammo.reloadProgress.toFixed(3));
+    fireButtonEl.classList.toggle('charging', chargeHeldSec !== null);
+    if (chargeHeldSec !== null) fireButtonEl.style.setProperty('--charge', getCurrentCharge().toFixed(3));
+}
+
+function getCurrentCharge() {
+    if (chargeHeldSec === null) return 0;
+    if (analogCharge !== null) return analogCharge;
+    return clampNumber(chargeHeldSec / sim.charge.fullChargeSec, { min: 0, max: 1 });
+}
+
+function pressFire() {
+    // Fixed-speed shots fire on press; charged shots start charging and fire on release.
+    if (!sim.charge.enabled) {
+        fireProjectile();
+        return;
+    }
+    if (replayPlayer || paused || chargeHeldSec !== null || sim.state !== 'playing') return;
+    chargeHeldSec = 0;
+    updateFireButton();
+}
+
+function releaseFire() {
+    if (chargeHeldSec === null) return;
+    const charge = getCurrentCharge();
+    chargeHeldSec = null;
+    analogCharge = null;
+    updateFireButton();
+    fireProjectile(charge);
+}
+
+function cancelCharge() {
+    if (chargeHeldSec === null) return;
+    chargeHeldSec = null;
+    analogCharge = null;
+    updateFireButton();
+}
+
 function getFullscreenElement() {
     return document.fullscreenElement || document.webkitFullscreenElement || null;
 }
@@ -1130,13 +1943,8 @@ function setupFullscreenButton() {
     // WebKit fallback event name (older Safari)
     document.addEventListener('webkitfullscreenchange', sync);
 
-    // Keyboard shortcut: F toggles fullscreen
-    document.addEventListener('keydown', (event) => {
-        if (event.repeat) return;
-        if (event.code === 'KeyF') {
-            toggle(event);
-        }
-    }, { capture: true });
+    // Keyboard shortcut (the 'fullscreen' action, F by default)
+    toggleFullscreen = () => toggle();
 
     sync();
 }
@@ -1235,38 +2043,161 @@ function setupTrajectoryReticle() {
 }
 
 function setupTrajectoryLine() {
-    // Increase linewidth (Note: WebGL linewidth is often limited to 1px on many browsers/drivers)
-    // To get truly thick lines, we'd need a ribbon/tube geometry or a dedicated line shader.
-    // For now, we'll keep using LineDashedMaterial but make it more opaque/visible.
-    // If "thick" is critical, we can use a TubeGeometry later.
-    const material = new THREE.LineBasicMaterial({
-        color: 0xffffff,
-        linewidth: 3, // Best effort (might stay 1px on Chrome/Windows)
+    // WebGL ignores `linewidth` (lines are 1px on most browsers), so the arc is a triangle strip that the
+    // vertex shader widens in screen space: each point has two vertices pushed apart along the on-screen
+    // normal of the path, which keeps the ribbon the same pixel width near and far.
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uColor: { value: new THREE.Color(0xffffff) },
+            uOpacity: { value: 0.85 },
+            uWidth: { value: TRAJECTORY_WIDTH_PX },
+            uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+            uTime: { value: 0 },
+            uTotal: { value: 1 },
+            uDashSize: { value: TRAJECTORY_DASH.size },
+            uGapSize: { value: TRAJECTORY_DASH.gap },
+            uDashSpeed: { value: TRAJECTORY_DASH.speed },
+            uFadeStart: { value: TRAJECTORY_FADE_START },
+        },
+        vertexShader: `
+            attribute vec3 aPrev;
+            attribute vec3 aNext;
+            attribute float aSide;
+            attribute float aDist;
+            uniform vec2 uResolution;
+            uniform float uWidth;
+            varying float vDist;
+            varying float vSide;
+
+            vec2 toScreen(vec4 clip) {
+                return clip.xy / clip.w * uResolution * 0.5;
+            }
+
+            void main() {
+                mat4 mvp = projectionMatrix * modelViewMatrix;
+                vec4 clip = mvp * vec4(position, 1.0);
+                vec2 dir = toScreen(mvp * vec4(aNext, 1.0)) - toScreen(mvp * vec4(aPrev, 1.0));
+                float len = length(dir);
+                dir = len > 1e-5 ? dir / len : vec2(1.0, 0.0);
+                vec2 normal = vec2(-dir.y, dir.x);
+                // Pixels -> clip space (times w so the offset survives the perspective divide)
+                clip.xy += normal * aSide * uWidth / uResolution * clip.w;
+                gl_Position = clip;
+                vDist = aDist;
+                vSide = aSide;
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 uColor;
+            uniform float uOpacity;
+            uniform float uTime;
+            uniform float uTotal;
+            uniform float uDashSize;
+            uniform float uGapSize;
+            uniform float uDashSpeed;
+            uniform float uFadeStart;
+            varying float vDist;
+            varying float vSide;
+
+            void main() {
+                // Dashes scroll from the thrower toward the landing point; gaps stay faintly visible.
+                float phase = mod(vDist - uTime * uDashSpeed, uDashSize + uGapSize);
+                float dash = smoothstep(0.0, 0.08, phase) * (1.0 - smoothstep(uDashSize - 0.08, uDashSize, phase));
+                float edge = 1.0 - smoothstep(0.5, 1.0, abs(vSide));
+                float fade = 1.0 - smoothstep(uFadeStart, 1.0, vDist / max(uTotal, 1e-3));
+                float alpha = uOpacity * edge * fade * mix(0.3, 1.0, dash);
+                if (alpha <= 0.003) discard;
+                gl_FragColor = vec4(uColor, alpha);
+            }
+        `,
         transparent: true,
-        opacity: 0.6,
+        depthWrite: false,
+        side: THREE.DoubleSide,
     });
 
-    // Initialize with a tiny geometry; we replace positions each update
-    const geometry = new THREE.BufferGeometry();
-    const positions = new Float32Array(3 * 2); // 2 points minimum
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-
-    trajectoryLine = new THREE.Line(geometry, material);
+    trajectoryLine = new THREE.Mesh(new THREE.BufferGeometry(), material);
     trajectoryLine.frustumCulled = false;
+    trajectoryLine.renderOrder = 1; // after the opaque scene, so it blends over platforms it passes behind
     scene.add(trajectoryLine);
+    resizeTrajectoryLine(Math.max(4, trajectoryMaxPoints | 0));
+}
+
+function resizeTrajectoryLine(capacity) {
+    // Two vertices (left/right edge) per arc point, two triangles per segment.
+    const geom = trajectoryLine.geometry;
+    const vertexCount = capacity * 2;
+    geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geom.setAttribute('aPrev', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geom.setAttribute('aNext', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geom.setAttribute('aDist', new THREE.BufferAttribute(new Float32Array(vertexCount), 1));
+    const side = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) side[i] = i % 2 === 0 ? -1 : 1;
+    geom.setAttribute('aSide', new THREE.BufferAttribute(side, 1));
+    const index = [];
+    for (let i = 0; i < capacity - 1; i++) {
+        const a = i * 2;
+        index.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+    geom.setIndex(index);
+    geom.userData.capacity = capacity;
+}
+
+function updatePierceMarkers(targets) {
+    // A pulsing ring under each snowman the arc would hit: gold for targets, red for friendlies.
+    const pulse = 1 + 0.08 * Math.sin(clock.elapsedTime * 6);
+    for (let i = 0; i < targets.length; i++) {
+        let marker = pierceMarkers[i];
+        if (!marker) {
+            marker = new THREE.Mesh(
+                new THREE.RingGeometry(0.8, 1, 32),
+                new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.85, depthWrite: false, side: THREE.DoubleSide })
+            );
+            marker.rotation.x = -Math.PI / 2;
+            scene.add(marker);
+            pierceMarkers.push(marker);
+        }
+        const target = targets[i];
+        const penalty = target.variant.penaltyScore > 0 || target.variant.penaltyTimeSec > 0;
+        marker.material.color.setHex(penalty ? 0xff4d4d : 0xffd23f);
+        marker.position.set(target.pose.x, target.pose.y + 0.03, target.pose.z);
+        marker.scale.setScalar(target.colliderR * 1.3 * pulse);
+        marker.visible = true;
+    }
+    for (let i = targets.length; i < pierceMarkers.length; i++) pierceMarkers[i].visible = false;
 }
 
 function setupFireInputHandlers() {
     debugLog('[SnowballBlitz] setupFireInputHandlers()');
 
-    // Keyboard: Space fires a projectile (desktop-friendly for now)
+    // Keyboard: bound keys trigger actions (Space fires, R restarts, ... see input.js); 1-9 pick a projectile type
     document.addEventListener('keydown', (event) => {
         sfx.unlock();
         bgm.unlock();
 
-        // QoL: restart hotkey
-        if (!event.repeat && event.code === 'KeyR') {
-            resetGame();
+        // Controls screen waiting for a key: take this one (Escape cancels)
+        if (rebinding && rebinding.device === 'keyboard') {
+            if (event.code !== 'Escape') input.setBinding('keyboard', rebinding.action, event.code);
+            rebinding = null;
+            openControls();
+            event.preventDefault();
+            event.stopPropagation();
+            return;
+        }
+
+        // Typing in an input (e.g. the leaderboard name) must not fire or restart.
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        if (ui.leaderboardOpen) {
+            if (event.code === 'Escape') ui.hideLeaderboard();
+            return;
+        }
+        if (ui.settingsOpen || ui.controlsOpen) {
+            if (event.code === 'Escape') closeMenus();
+            return;
+        }
+        if (paused && event.code === 'Escape') {
+            setPaused(false);
             event.preventDefault();
             return;
         }
@@ -1277,13 +2208,166 @@ function setupFireInputHandlers() {
             repeat: event.repeat,
             target: event.target && event.target.tagName ? event.target.tagName : event.target,
         });
+        const actions = input.actionsFor('keyboard', event.code);
+        if (actions.length) {
+            if (!event.repeat && !heldKeyActions.has(event.code)) {
+                heldKeyActions.set(event.code, actions);
+                for (const action of actions) onAction(action, true, 'keyboard');
+            }
+            event.preventDefault();
+            return;
+        }
         if (event.repeat) return;
-        if (event.code === 'Space') {
-            debugLog('[SnowballBlitz] Space pressed -> fireProjectile()');
-            fireProjectile();
+        // Projectile type: 1-9 pick from the list
+        const digit = /^Digit([1-9])$/.exec(event.code);
+        if (digit) {
+            const type = sim.projectileTypes[Number(digit[1]) - 1];
+            if (type) selectProjectileType(type.id);
             event.preventDefault();
         }
     }, { capture: true });
+
+    // Releasing a held action (e.g. Space throws a charged shot; no-op for fixed-speed shots)
+    document.addEventListener('keyup', (event) => {
+        const actions = heldKeyActions.get(event.code);
+        if (!actions) return;
+        heldKeyActions.delete(event.code);
+        for (const action of actions) onAction(action, false, 'keyboard');
+        event.preventDefault();
+    }, { capture: true });
+
+    // Controls screen waiting for a mouse button: take the next click
+    document.addEventListener('mousedown', (event) => {
+        if (!rebinding || rebinding.device !== 'mouse') return;
+        input.setBinding('mouse', rebinding.action, event.button);
+        rebinding = null;
+        openControls();
+        event.preventDefault();
+        event.stopPropagation();
+    }, { capture: true });
+
+    // Keys released while the page is in the background never send keyup
+    window.addEventListener('blur', () => {
+        for (const actions of heldKeyActions.values()) {
+            for (const action of actions) onAction(action, false, 'keyboard');
+        }
+        heldKeyActions.clear();
+    });
+}
+
+/**
+ * One entry point for every device. Hold actions (fire, zoom, aim*) get a press and a release;
+ * the rest act on press only.
+ */
+function onAction(action, down, device) {
+    switch (action) {
+        case 'fire':
+            // While watching a replay, fire pauses/resumes instead.
+            if (replayPlayer) {
+                if (down) replayPlayer.toggle();
+            } else if (down) {
+                pressFire();
+            } else {
+                releaseFire();
+            }
+            return;
+        case 'zoom':
+            if (down) zoomInputs.add(device);
+            else zoomInputs.delete(device);
+            return;
+        case 'aimLeft':
+        case 'aimRight':
+        case 'aimUp':
+        case 'aimDown':
+            if (down) aimKeys.add(action);
+            else aimKeys.delete(action);
+            return;
+        default:
+            break;
+    }
+    if (!down) return;
+    debugLog('[SnowballBlitz] action', { action, device });
+    switch (action) {
+        case 'restart':
+            setPaused(false);
+            resetGame();
+            break;
+        case 'pause':
+            if (replayPlayer) replayPlayer.toggle();
+            else setPaused(!paused);
+            break;
+        case 'fullscreen':
+            if (toggleFullscreen) toggleFullscreen();
+            break;
+        case 'nextProjectile':
+            cycleProjectileType(1);
+            break;
+        case 'prevProjectile':
+            cycleProjectileType(-1);
+            break;
+        default:
+            break;
+    }
+}
+
+function applyAim(device, dx, dy) {
+    // Device units -> radians (sensitivity, invert-Y), then finer while zoomed
+    if (replayPlayer || paused) return;
+    const { yaw, pitch } = input.aimDelta(device, dx, dy);
+    const zoom = getZoomAimScale();
+    aimYaw += yaw * zoom;
+    aimPitch = Math.max(minAimPitch, Math.min(maxAimPitch, aimPitch + pitch * zoom));
+}
+
+function updateKeyboardAim(dt) {
+    if (!aimKeys.size) return;
+    const dx = (aimKeys.has('aimRight') ? 1 : 0) - (aimKeys.has('aimLeft') ? 1 : 0);
+    const dy = (aimKeys.has('aimDown') ? 1 : 0) - (aimKeys.has('aimUp') ? 1 : 0);
+    applyAim('keyboard', dx * dt, dy * dt);
+}
+
+function closeMenus() {
+    rebinding = null;
+    ui.hideSettings();
+    ui.hideControls();
+}
+
+function openControls() {
+    // Rebuilt after every change so the key names and values stay current
+    const devices = Object.entries(INPUT_DEVICES).map(([id, name]) => {
+        const bindings = input.getBindings(id);
+        const prefs = input.getPrefs(id);
+        return {
+            id,
+            name,
+            sensitivity: prefs.sensitivity,
+            invertY: prefs.invertY,
+            bindings: Object.keys(bindings).map((action) => ({
+                action,
+                label: INPUT_ACTIONS[action],
+                text: rebinding && rebinding.device === id && rebinding.action === action
+                    ? (id === 'keyboard' ? 'Press a key… (Esc cancels)' : id === 'mouse' ? 'Click a button…' : 'Press a button…')
+                    : bindings[action].map((code) => describeBinding(id, code)).join(' / ') || '—',
+            })),
+        };
+    });
+    ui.showControls({
+        devices,
+        sensitivityOptions: CONTROL_SENSITIVITIES,
+        onRebind: (device, action) => {
+            rebinding = { device, action };
+            openControls();
+        },
+        onPref: (device, key, value) => input.setPref(device, key, value),
+        onReset: (device) => {
+            rebinding = null;
+            input.resetDevice(device);
+            openControls();
+        },
+        onClose: () => {
+            rebinding = null;
+        },
+    });
 }
 
 function onWindowResize() {
@@ -1293,6 +2377,7 @@ function onWindowResize() {
     
     // Update renderer size
     renderer.setSize(window.innerWidth, window.innerHeight);
+    if (trajectoryLine) trajectoryLine.material.uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
 }
 
 function updateCameraPosition() {
@@ -1309,144 +2394,377 @@ function updateCameraPosition() {
     const camPos = player.position.clone()
         .add(new THREE.Vector3(0, cameraHeight, 0))
         .add(toCamera.clone().multiplyScalar(cameraDistance));
-    camera.position.copy(camPos);
 
     // Keep camera orientation fixed: always look at the player (not at the aim direction)
-    camera.lookAt(
+    const look = new THREE.Vector3(
         player.position.x,
         player.position.y + cameraHeight * 0.5,
         player.position.z
     );
+
+    // Zoom and the cinematic views blend over the aiming view (smoothstep so they ease in and out)
+    const ease = (t) => t * t * (3 - 2 * t);
+    if (zoomBlend > 0) {
+        // Eye just behind the right shoulder, looking down the launch line (the crosshair meets it ~30 m out)
+        const t = ease(zoomBlend);
+        const launch = sim.getLaunch({ yaw: aimYaw, pitch: aimPitch });
+        const forward = new THREE.Vector3(-Math.sin(aimYaw), 0, -Math.cos(aimYaw));
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+        const eye = player.position.clone()
+            .add(new THREE.Vector3(0, 1.2, 0))
+            .addScaledVector(right, ZOOM_SHOULDER)
+            .addScaledVector(forward, -ZOOM_EYE_BACK);
+        const d = launch.direction;
+        camPos.lerp(eye, t);
+        look.lerp(new THREE.Vector3(launch.position.x + d.x * 30, launch.position.y + d.y * 30, launch.position.z + d.z * 30), t);
+    }
+    if (followBlend > 0) {
+        const t = ease(followBlend);
+        camPos.lerp(followPose.position, t);
+        look.lerp(followPose.look, t);
+    }
+    if (killCam && killBlend > 0) {
+        const t = ease(killBlend);
+        camPos.lerp(killCam.focus.clone().addScaledVector(killCam.side, 5).add(new THREE.Vector3(0, 2, 0)), t);
+        look.lerp(killCam.focus, t);
+    }
+    camera.position.copy(camPos);
+    camera.lookAt(look);
+
+    // Cinematic views zoom back out
+    const cinematic = Math.max(ease(followBlend), killCam ? ease(killBlend) : 0);
+    const fov = BASE_FOV + (ZOOM_FOV - BASE_FOV) * ease(zoomBlend) * (1 - cinematic);
+    if (Math.abs(camera.fov - fov) > 1e-3) {
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+    }
 }
 
-function getAimDirection() {
-    // Aim direction controlled by drag/swipe (projectile orientation)
-    return new THREE.Vector3(
-        -Math.sin(aimYaw) * Math.cos(aimPitch),
-        -Math.sin(aimPitch),
-        -Math.cos(aimYaw) * Math.cos(aimPitch)
-    ).normalize();
+function updateZoom(dt) {
+    zoomBlend = zoomInputs.size ? Math.min(1, zoomBlend + dt / ZOOM_BLEND_SEC) : Math.max(0, zoomBlend - dt / ZOOM_BLEND_SEC);
+    const cinematic = Math.max(followBlend, killCam ? killBlend : 0);
+    const scope = zoomBlend * (1 - cinematic);
+    ui.setScope(scope);
+    // The eye sits inside the player's silhouette
+    if (player) player.visible = scope < 0.5;
 }
 
-function getProjectileSpawnPosition(dir) {
-    return player.position
-        .clone()
-        .add(new THREE.Vector3(0, 1.0, 0))
-        .add(dir.clone().multiplyScalar(1.0));
+function setPaused(next) {
+    // Only a live match pauses (replays have their own play/pause)
+    next = !!next && sim.state === 'playing' && !replayPlayer;
+    if (next === paused) return;
+    paused = next;
+    if (paused) {
+        cancelCharge();
+        releasePointerLock(); // the pause screen needs a cursor
+        ui.showPause({
+            onResume: () => {
+                setPaused(false);
+                requestPointerLock(); // a click, so the browser allows it
+            },
+            onRestart: () => {
+                setPaused(false);
+                resetGame();
+            },
+        });
+    } else {
+        ui.hidePause();
+    }
+    debugLog('[SnowballBlitz] paused', { paused });
 }
 
-function updateTrajectoryLine() {
-    if (!trajectoryLine || !player) return;
+function getGameCanvas() {
+    return document.getElementById('game-canvas');
+}
 
-    const dir = getAimDirection();
-    const p0 = getProjectileSpawnPosition(dir);
-    const v0 = dir.clone().multiplyScalar(projectileSpeed);
-    const g = new THREE.Vector3(gravity.x, gravity.y, gravity.z);
+function requestPointerLock() {
+    // Mouse look only makes sense while playing a live match
+    const canvas = getGameCanvas();
+    if (pointerLocked || !settings.get('mouseLook') || replayPlayer || sim.state !== 'playing') return;
+    if (!canvas || typeof canvas.requestPointerLock !== 'function') return;
+    try {
+        const result = canvas.requestPointerLock();
+        // Newer browsers return a promise (rejected e.g. right after Escape released the lock)
+        if (result && typeof result.catch === 'function') result.catch(() => {});
+    } catch {
+        // ignore
+    }
+}
 
-    // Build points until we hit something or max time
-    trajectoryPoints.length = 0;
-    trajectoryPoints.push(p0.clone());
-
-    // Adaptive time step
-    const maxT = Math.max(0.05, trajectoryMaxTimeSec);
-    const desiredSeg = Math.max(0.05, trajectorySegmentLength);
-    const maxPts = Math.max(4, trajectoryMaxPoints | 0);
-
-    let t = 0;
-    let hitPoint = null;
-
-    for (let i = 1; i < maxPts && t < maxT; i++) {
-        // Approx current speed magnitude
-        const vt = v0.clone().add(g.clone().multiplyScalar(t));
-        const speedNow = Math.max(0.001, vt.length());
-        const dt = clampNumber(desiredSeg / speedNow, { min: 0.01, max: 0.12 });
-        t += dt;
-
-        const pt = p0
-            .clone()
-            .add(v0.clone().multiplyScalar(t))
-            .add(g.clone().multiplyScalar(0.5 * t * t));
-
-        // COLLISION CHECKS (Visual only)
-        
-        // 1. Ground (y <= projectileRadius)
-        // Use a slightly larger radius for visual feedback so it sits on top
-        if (pt.y <= projectileRadius) {
-            hitPoint = pt;
-            // Snap to ground y
-            hitPoint.y = projectileRadius; 
-            break;
-        }
+function releasePointerLock() {
+    if (!pointerLocked) return;
+    try {
+        document.exitPointerLock();
+    } catch {
+        // ignore
+    }
+}
 
-        // 2. Targets (Spheres)
-        let hitTarget = false;
-        for (const target of targets) {
-            if (!target.alive) continue;
-            // Target body position (center of sphere)
-            const bPos = target.body.position;
-            const r = target.body.shapes[0].radius;
-            // Check distance squared
-            const dx = pt.x - bPos.x;
-            const dy = pt.y - bPos.y;
-            const dz = pt.z - bPos.z;
-            const distSq = dx * dx + dy * dy + dz * dz;
-            const hitR = r + projectileRadius;
-            if (distSq <= hitR * hitR) {
-                hitTarget = true;
-                break;
-            }
-        }
-        if (hitTarget) {
-            hitPoint = pt;
-            break;
-        }
+function releaseMouseActions() {
+    for (const actions of heldMouseActions.values()) {
+        for (const action of actions) onAction(action, false, 'mouse');
+    }
+    heldMouseActions.clear();
+    isDragging = false;
+}
 
-        // 3. Platforms (Boxes)
-        let hitPlatform = false;
-        for (const plat of platforms) {
-            const pos = plat.body.position;
-            const he = plat.body.shapes[0].halfExtents; // half-extents
-            // AABB check with padding for projectile radius
-            if (Math.abs(pt.x - pos.x) <= he.x + projectileRadius &&
-                Math.abs(pt.y - pos.y) <= he.y + projectileRadius &&
-                Math.abs(pt.z - pos.z) <= he.z + projectileRadius) {
-                hitPlatform = true;
-                break;
-            }
-        }
-        if (hitPlatform) {
-            hitPoint = pt;
-            break;
+function setupPointerLock() {
+    document.addEventListener('pointerlockchange', () => {
+        const locked = !!document.pointerLockElement && document.pointerLockElement === getGameCanvas();
+        if (locked === pointerLocked) return;
+        pointerLocked = locked;
+        debugLog('[SnowballBlitz] pointer lock', { locked });
+        if (locked) return;
+        // Escape (or the browser) took the lock: drop held buttons so nothing stays charged or zoomed, and
+        // pause a running match so it doesn't go on without aim (no-op after the match or when we released it)
+        releaseMouseActions();
+        cancelCharge();
+        setPaused(true);
+    });
+    document.addEventListener('pointerlockerror', () => debugLog('[SnowballBlitz] pointer lock refused'));
+    settings.onChange((key, value) => {
+        if (key === 'mouseLook' && !value) releasePointerLock();
+    });
+}
+
+function setupGamepad() {
+    gamepad = createGamepadInput({
+        buttons: input.getBindings('gamepad'),
+        onConnect: ({ id }) => ui.showBanner('Controller connected', id.split('(')[0].trim()),
+        onDisconnect: () => {
+            // Don't leave a charge or zoom held by a pad that's gone; pause so the match doesn't run on unattended
+            gamepadCharging = false;
+            cancelCharge();
+            zoomInputs.delete('gamepad');
+            ui.showBanner('Controller disconnected');
+            setPaused(true);
+        },
+        debug: (m, d) => debugLog(m, d),
+    });
+    input.onChange((device) => {
+        if (device === 'gamepad') gamepad.setButtons(input.getBindings('gamepad'));
+    });
+}
+
+function updateGamepad(dt) {
+    const pad = gamepad ? gamepad.poll() : null;
+    if (!pad) return;
+
+    // Controls screen waiting for a button: take the first one pressed
+    if (rebinding && rebinding.device === 'gamepad') {
+        if (pad.buttonsPressed.length) {
+            input.setBinding('gamepad', rebinding.action, pad.buttonsPressed[0]);
+            rebinding = null;
+            openControls();
         }
+        return;
+    }
+    if (ui.settingsOpen || ui.controlsOpen || ui.leaderboardOpen) return;
 
-        trajectoryPoints.push(pt);
+    for (const action of ['pause', 'restart', 'nextProjectile', 'prevProjectile']) {
+        if (pad.pressed[action]) onAction(action, true, 'gamepad');
+    }
+    if (paused) {
+        zoomInputs.delete('gamepad');
+        return;
     }
+    if (pad.pressed.zoom) onAction('zoom', true, 'gamepad');
+    if (pad.released.zoom) onAction('zoom', false, 'gamepad');
+    if (replayPlayer) return;
 
-    // Update geometry positions
-    const needed = Math.max(trajectoryPoints.length, 2);
-    const geom = trajectoryLine.geometry;
-    const attr = geom.getAttribute('position');
-    if (!attr || attr.count !== needed) {
-        const positions = new Float32Array(needed * 3);
-        geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    applyAim('gamepad', pad.aim.x * dt, pad.aim.y * dt);
+
+    // Fire: like Space (fires on press, or charges while held); an analog trigger sets the charge by depth
+    if (pad.pressed.fire) {
+        pressFire();
+        gamepadCharging = chargeHeldSec !== null;
+    }
+    if (gamepadCharging && pad.triggerAnalog && pad.trigger > 0) {
+        analogCharge = Math.max(analogCharge ?? 0, pad.trigger);
     }
+    if (pad.released.fire && gamepadCharging) {
+        gamepadCharging = false;
+        releaseFire();
+    }
+}
+
+function rumbleHit(strength) {
+    if (!gamepad || replayPlayer || isReplaySeeking()) return;
+    gamepad.rumble({ strength, durationMs: 90 + strength * 120 });
+}
+
+function getZoomAimScale() {
+    // Narrower FOV -> finer aim, so the crosshair moves about the same distance on screen
+    if (!camera) return 1;
+    return Math.tan(toRadians(camera.fov) / 2) / Math.tan(toRadians(BASE_FOV) / 2);
+}
 
-    const posAttr = geom.getAttribute('position');
-    for (let i = 0; i < needed; i++) {
-        const p = trajectoryPoints[Math.min(i, trajectoryPoints.length - 1)];
-        posAttr.setXYZ(i, p.x, p.y, p.z);
+function setupZoomButton() {
+    const button = document.getElementById('zoom-button');
+    if (!button) return;
+
+    const release = () => {
+        button.classList.remove('pressed');
+        zoomInputs.delete('button');
+    };
+    button.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        button.classList.add('pressed');
+        zoomInputs.add('button');
+    });
+    button.addEventListener('pointerup', release);
+    button.addEventListener('pointerleave', release);
+    button.addEventListener('pointercancel', release);
+    button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+    });
+}
+
+function resetCinematicCamera() {
+    followBlend = 0;
+    followLingerSec = 0;
+    followActive = false;
+    killCam = null;
+    killBlend = 0;
+    timeScale = 1;
+}
+
+function startKillCam({ target, projectile, chain }) {
+    // Slow motion from the first kill of a shot predicted to pierce 2+ snowmen (or from the 2nd kill otherwise)
+    if (!projectile || isReplaySeeking() || !settings.get('killCam')) return;
+    const shot = projectile.shot;
+    if (chain < 2 && (shotPredictedKills.get(shot) || 0) < 2) return;
+
+    const focus = new THREE.Vector3(target.pose.x, target.pose.y + 0.6, target.pose.z);
+    if (!killCam || killCam.shot !== shot) {
+        // Watch from the side of the shot's path that the aiming camera is already on
+        const v = projectile.body.velocity;
+        const side = new THREE.Vector3(-v.z, 0, v.x);
+        if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+        side.normalize();
+        if (side.dot(camera.position.clone().sub(focus)) < 0) side.negate();
+        killCam = { shot, focus, side, holdSec: 0, elapsedSec: 0 };
+        debugLog('[SnowballBlitz] kill cam', { chain, predicted: shotPredictedKills.get(shot) || 0 });
+    } else {
+        killCam.focus.lerp(focus, 0.5);
+    }
+    killCam.holdSec = KILL_CAM_HOLD_SEC;
+}
+
+function updateCinematicCamera(dt) {
+    // dt is real (unscaled) time, so slow motion doesn't slow its own easing
+    if (killCam) {
+        killCam.holdSec -= dt;
+        killCam.elapsedSec += dt;
+        if (!settings.get('killCam') || killCam.holdSec <= 0 || killCam.elapsedSec >= KILL_CAM_MAX_SEC) killCam = null;
+    }
+    const slow = !!killCam;
+    timeScale += ((slow ? KILL_CAM_TIME_SCALE : 1) - timeScale) * Math.min(1, dt * (slow ? 12 : 6));
+    if (!slow && timeScale > 0.99) timeScale = 1;
+    killBlend = slow ? Math.min(1, killBlend + dt / 0.25) : Math.max(0, killBlend - dt / 0.4);
+
+    // Follow cam: ride behind the newest ball; after it lands keep looking there briefly, then ease back
+    const newest = settings.get('followCam') ? sim.projectiles[sim.projectiles.length - 1] : null;
+    if (newest) {
+        const p = newest.body.position;
+        const v = newest.body.velocity;
+        const speed = Math.hypot(v.x, v.y, v.z);
+        if (speed > 0.5) followPose.dir.set(v.x / speed, v.y / speed, v.z / speed);
+        followPose.position.set(p.x, p.y, p.z)
+            .addScaledVector(followPose.dir, -FOLLOW_CAM_BACK)
+            .add(new THREE.Vector3(0, FOLLOW_CAM_UP, 0));
+        followPose.look.set(p.x + v.x * 0.3, p.y + v.y * 0.3, p.z + v.z * 0.3);
+        followActive = true;
+        followLingerSec = FOLLOW_CAM_LINGER_SEC;
+    } else if (followActive && settings.get('followCam')) {
+        followLingerSec -= dt;
+        if (followLingerSec <= 0) followActive = false;
+    } else {
+        followActive = false;
+    }
+    followBlend = followActive ? Math.min(1, followBlend + dt / 0.25) : Math.max(0, followBlend - dt / 0.5);
+}
+
+function updateTrajectoryLine() {
+    if (!trajectoryLine || !player) return;
+
+    // Same shot the sim would fire right now (grows while charging), stepped through the live physics world:
+    // real shapes, damping, wind gusts, bounces and cluster splits all match what the sim will do.
+    const prediction = sim.predict({
+        yaw: aimYaw,
+        pitch: aimPitch,
+        speed: sim.getChargeSpeed(getCurrentCharge()),
+        maxTimeSec: Math.max(0.05, trajectoryMaxTimeSec),
+    });
+    const { launch, points } = prediction;
+    if (!points.length) return; // no world yet
+    const hitPoint = prediction.hit ? prediction.hit.position : null;
+
+    // One point per physics tick is more than the line needs; keep points at least a segment apart,
+    // widening the spacing if the whole arc wouldn't fit in maxPoints (capped further on lower quality tiers).
+    const maxPts = Math.max(4, Math.min(trajectoryMaxPoints, qualityTier.trajectoryMaxPoints) | 0);
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        length += Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+    }
+    const spacing = Math.max(0.05, trajectorySegmentLength, length / (maxPts - 1));
+    trajectoryPoints.length = 0;
+    let last = null;
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        const isEnd = i === points.length - 1;
+        if (last && !isEnd && Math.hypot(p.x - last.x, p.y - last.y, p.z - last.z) < spacing) continue;
+        if (trajectoryPoints.length >= maxPts) trajectoryPoints.pop();
+        last = new THREE.Vector3(p.x, p.y, p.z);
+        trajectoryPoints.push(last);
     }
-    posAttr.needsUpdate = true;
-    geom.setDrawRange(0, needed);
-    geom.computeBoundingSphere();
 
-    // Required for dashed lines
-    trajectoryLine.computeLineDistances();
+    // Ribbon vertices: each point twice (left/right edge) with its neighbors and distance along the arc
+    const count = trajectoryPoints.length;
+    const geom = trajectoryLine.geometry;
+    if (geom.userData.capacity < count) resizeTrajectoryLine(count);
+    const pos = geom.getAttribute('position');
+    const prev = geom.getAttribute('aPrev');
+    const next = geom.getAttribute('aNext');
+    const dist = geom.getAttribute('aDist');
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        const p = trajectoryPoints[i];
+        const a = trajectoryPoints[Math.max(0, i - 1)];
+        const b = trajectoryPoints[Math.min(count - 1, i + 1)];
+        if (i > 0) total += p.distanceTo(a);
+        for (let k = i * 2; k < i * 2 + 2; k++) {
+            pos.setXYZ(k, p.x, p.y, p.z);
+            prev.setXYZ(k, a.x, a.y, a.z);
+            next.setXYZ(k, b.x, b.y, b.z);
+            dist.setX(k, total);
+        }
+    }
+    pos.needsUpdate = true;
+    prev.needsUpdate = true;
+    next.needsUpdate = true;
+    dist.needsUpdate = true;
+    geom.setDrawRange(0, Math.max(0, count - 1) * 6);
+    const uniforms = trajectoryLine.material.uniforms;
+    uniforms.uTotal.value = total;
+    uniforms.uTime.value = clock.elapsedTime;
+
+    // Every snowman this shot would pass through (or burst on), for lining up pierce combos
+    updatePierceMarkers(prediction.targets);
+    predictedKills = prediction.targets.reduce((n, t) => n + (t.hp <= 1 ? 1 : 0), 0);
 
     // Update Reticle
     if (trajectoryReticle) {
         if (hitPoint) {
             trajectoryReticle.position.copy(hitPoint);
+            // Splash types show their blast radius (the reticle sphere has a 0.2 radius at scale 1).
+            const splash = launch.splashRadius > 0;
+            trajectoryReticle.scale.setScalar(splash ? launch.splashRadius / 0.2 : 1);
+            trajectoryReticle.material.opacity = splash ? 0.3 : 0.8;
             trajectoryReticle.visible = true;
         } else {
             trajectoryReticle.visible = false;
@@ -1462,6 +2780,7 @@ function setupInputHandlers() {
     canvas.addEventListener('mousemove', onMouseMove);
     canvas.addEventListener('mouseup', onMouseUp);
     canvas.addEventListener('mouseleave', onMouseUp); // Stop dragging if mouse leaves canvas
+    canvas.addEventListener('contextmenu', (event) => event.preventDefault()); // right button zooms
     
     // Mobile: Touch controls
     canvas.addEventListener('touchstart', onTouchStart, { passive: false });
@@ -1470,90 +2789,86 @@ function setupInputHandlers() {
     canvas.addEventListener('touchcancel', onTouchEnd);
 }
 
-function fireProjectile() {
-    if (gameState !== 'playing') return;
-    if (!scene || !world || !camera || !player) {
+function fireProjectile(charge = null) {
+    if (replayPlayer || paused) return; // replays only play recorded shots
+    if (!scene || !camera || !player) {
         debugLog('[SnowballBlitz] fireProjectile() blocked - missing refs', {
             scene: !!scene,
-            world: !!world,
             camera: !!camera,
             player: !!player,
         });
         return;
     }
 
-    // SFX (only when a shot actually fires)
-    sfx.playShoot();
+    // Rules decide whether a shot happens (e.g. not after the match ended)
+    sim.setAim(aimYaw, aimPitch);
+    replayRecorder.recordAim();
+    const charged = sim.charge.enabled && charge !== null;
+    const projectile = sim.fire(charged ? { charge } : {});
+    if (!projectile) return;
+    replayRecorder.recordFire(charged ? charge : null);
 
-    // Direction: aim forward (from player outward)
-    const dir = getAimDirection();
-
-    // Spawn position: slightly in front of and above player
-    const spawnPos = getProjectileSpawnPosition(dir);
-
-    // Three.js mesh
-    const geometry = new THREE.SphereGeometry(projectileRadius, 16, 16);
-    const material = new THREE.MeshStandardMaterial({
-        color: 0xff3b30, // bright red for visibility while prototyping
-        roughness: 0.35,
-        metalness: 0.05,
+    debugLog('[SnowballBlitz] projectile spawned', {
+        type: projectile.type,
+        spawn: projectile.spawn,
+        dir: projectile.dir,
+        speed: projectile.speed,
+        count: sim.projectiles.length,
     });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.copy(spawnPos);
-    scene.add(mesh);
+}
 
-    // Physics body
-    const shape = new CANNON.Sphere(projectileRadius);
-    const body = new CANNON.Body({
-        mass: 0.25,
-        shape,
-        position: new CANNON.Vec3(spawnPos.x, spawnPos.y, spawnPos.z),
+function setupVisualPools() {
+    // Every pooled projectile shares one unit sphere (scaled per type) and one trail material, and debris pieces
+    // one unit geometry per part shape; only per-instance state (color, opacity, buffers) lives on the instance.
+    const sphereGeometry = new THREE.SphereGeometry(1, 16, 16);
+    const trailMaterial = createTrailMaterial();
+    const debug = (m, d) => debugLog(m, d);
+
+    projectilePool = createPool({
+        name: 'projectiles',
+        max: MAX_PROJECTILE_VISUALS,
+        create: () => createProjectileVisual(sphereGeometry, trailMaterial),
+        reset: (v) => {
+            v.mesh.visible = false;
+            v.trailPoints.visible = false;
+            v.projectile = null;
+        },
+        // Only when more balls are in flight than the cap: the oldest one stops being drawn.
+        onEvict: (v) => projectileVisuals.delete(v.projectile),
+        debug,
     });
-    body.collisionFilterGroup = CG_PROJECTILE;
-    body.collisionFilterMask = CG_WORLD | CG_TARGET;
-    body.velocity.set(
-        dir.x * projectileSpeed,
-        dir.y * projectileSpeed,
-        dir.z * projectileSpeed
-    );
-    body.linearDamping = 0.01;
-    world.addBody(body);
-
-    // Trail setup
-    const trailGeom = new THREE.BufferGeometry();
-    const trailPositions = new Float32Array(MAX_TRAIL_POINTS * 3);
-    // Initialize trail at spawn point to avoid jumps
-    for (let i = 0; i < MAX_TRAIL_POINTS; i++) {
-        trailPositions[i * 3 + 0] = spawnPos.x;
-        trailPositions[i * 3 + 1] = spawnPos.y;
-        trailPositions[i * 3 + 2] = spawnPos.z;
-    }
-    const trailAge = new Float32Array(MAX_TRAIL_POINTS); // 0..1 (0=fresh, 1=old)
-    // Initialize ages to be "old" so they don't show up immediately or fade out
-    for (let i = 0; i < MAX_TRAIL_POINTS; i++) trailAge[i] = 1.0;
-
-    trailGeom.setAttribute('position', new THREE.BufferAttribute(trailPositions, 3));
-    trailGeom.setAttribute('age', new THREE.BufferAttribute(trailAge, 1));
-
-    // Custom shader for fading trail
-    // Simple point cloud trail
-    const trailMaterial = new THREE.PointsMaterial({
-        color: 0xffffff,
-        size: 0.15,
-        transparent: true,
-        opacity: 0.6,
-        sizeAttenuation: true,
-        depthWrite: false,
-        vertexColors: true, // Enable vertex colors for fading
+    burstPool = createPool({
+        name: 'bursts',
+        max: MAX_PARTICLE_BURSTS,
+        create: createParticleBurst,
+        reset: (b) => {
+            b.points.visible = false;
+        },
+        onEvict: (b) => particleBursts.splice(particleBursts.indexOf(b), 1),
+        debug,
     });
+    debrisGeometries = {
+        sphere: sphereGeometry, // body, head
+        nose: new THREE.ConeGeometry(1, 1, 10).rotateX(Math.PI / 2), // along Z like the snowman's nose
+        helmet: new THREE.CylinderGeometry(0.95, 1.05, 0.7, 16), // armored
+        bobbleHat: new THREE.ConeGeometry(0.8, 1.2, 16), // friendly
+    };
+    debrisPool = createPool({
+        name: 'debris',
+        max: MAX_DEBRIS_VISUALS,
+        create: createDebrisVisual,
+        reset: (v) => {
+            v.mesh.visible = false;
+            v.piece = null;
+        },
+        onEvict: (v) => debrisMeshes.delete(v.piece),
+        debug,
+    });
+}
 
-    // Initialize colors (white with alpha would be ideal, but PointsMaterial uses vertex color rgb)
-    // We will simulate fade by darkening the color from white to black (invisible-ish on dark bg, but here sky is blue...)
-    // Actually, THREE.PointsMaterial doesn't support per-vertex alpha in the standard pipeline easily without custom shader.
-    // We'll switch to a custom ShaderMaterial for a nice trail effect.
-    
-    // Shader for trail: fade alpha based on age
-    const trailShaderMaterial = new THREE.ShaderMaterial({
+function createTrailMaterial() {
+    // Soft round points whose alpha fades with age (0 = fresh, 1 = gone)
+    return new THREE.ShaderMaterial({
         uniforms: {
             color: { value: new THREE.Color(0xffffff) },
             size: { value: 6.0 * (window.devicePixelRatio || 1) }, // pixels
@@ -1586,77 +2901,102 @@ function fireProjectile() {
         depthWrite: false,
         blending: THREE.AdditiveBlending,
     });
+}
+
+function createProjectileVisual(sphereGeometry, trailMaterial) {
+    const material = new THREE.MeshStandardMaterial({ roughness: 0.35, metalness: 0.05 });
+    const mesh = new THREE.Mesh(sphereGeometry, material);
+    mesh.castShadow = true;
+    mesh.visible = false;
+    scene.add(mesh);
 
-    const trailPoints = new THREE.Points(trailGeom, trailShaderMaterial);
+    const trailGeom = new THREE.BufferGeometry();
+    const trailPositions = new Float32Array(MAX_TRAIL_POINTS * 3);
+    const trailAge = new Float32Array(MAX_TRAIL_POINTS); // 0..1 (0=fresh, 1=old)
+    trailGeom.setAttribute('position', new THREE.BufferAttribute(trailPositions, 3));
+    trailGeom.setAttribute('age', new THREE.BufferAttribute(trailAge, 1));
+    const trailPoints = new THREE.Points(trailGeom, trailMaterial);
     trailPoints.frustumCulled = false;
+    trailPoints.visible = false;
     scene.add(trailPoints);
 
-    const rec = { 
-        mesh, 
-        body, 
-        age: 0,
-        trailPoints,
-        trailGeom,
-        trailPositions,
-        trailAge,
-        lastTrailUpdate: 0,
-        trailIndex: 0
-    };
-    projectiles.push(rec);
-    projectileByBodyId.set(body.id, rec);
-
-    debugLog('[SnowballBlitz] projectile spawned', {
-        spawn: { x: spawnPos.x, y: spawnPos.y, z: spawnPos.z },
-        dir: { x: dir.x, y: dir.y, z: dir.z },
-        speed: projectileSpeed,
-        count: projectiles.length,
-    });
+    return { mesh, trailPoints, trailGeom, trailPositions, trailAge, trailIndex: 0, trailLength: MAX_TRAIL_POINTS, projectile: null };
 }
 
-function removeProjectile(idx) {
-    const p = projectiles[idx];
-    if (!p) return;
-    scene.remove(p.mesh);
-    if (p.trailPoints) {
-        scene.remove(p.trailPoints);
-        p.trailGeom.dispose();
-        p.trailPoints.material.dispose();
+function addProjectileVisual(projectile) {
+    // SFX (only when a shot actually fires; cluster fragments split off silently)
+    if (!isReplaySeeking() && projectile.parentId === null) sfx.playShoot();
+
+    const spawnPos = projectile.spawn;
+    const v = projectilePool.acquire();
+    v.projectile = projectile;
+
+    // Per projectile type (standard is bright red for visibility)
+    v.mesh.material.color.set(projectile.kind.color);
+    v.mesh.scale.setScalar(projectile.radius);
+    v.mesh.position.set(spawnPos.x, spawnPos.y, spawnPos.z);
+    v.mesh.visible = true;
+
+    // Restart the trail at the spawn point, all "old" so nothing shows until the ball moves.
+    // Its length follows the quality tier at launch (the buffers always hold MAX_TRAIL_POINTS).
+    v.trailLength = Math.min(MAX_TRAIL_POINTS, qualityTier.trailPoints);
+    v.trailGeom.setDrawRange(0, v.trailLength);
+    for (let i = 0; i < v.trailLength; i++) {
+        v.trailPositions[i * 3 + 0] = spawnPos.x;
+        v.trailPositions[i * 3 + 1] = spawnPos.y;
+        v.trailPositions[i * 3 + 2] = spawnPos.z;
+        v.trailAge[i] = 1.0;
     }
-    world.removeBody(p.body);
-    projectileByBodyId.delete(p.body.id);
-    projectilesToRemove.delete(p.body.id);
-    projectiles.splice(idx, 1);
+    v.trailIndex = 0;
+    v.trailGeom.attributes.position.needsUpdate = true;
+    v.trailGeom.attributes.age.needsUpdate = true;
+    v.trailPoints.visible = true;
+
+    projectileVisuals.set(projectile, v);
 }
 
-function updateProjectiles(dt) {
-    for (let i = projectiles.length - 1; i >= 0; i--) {
-        const p = projectiles[i];
-        p.age += dt;
+function removeProjectileVisual(projectile) {
+    const v = projectileVisuals.get(projectile);
+    if (!v) return;
+    projectileVisuals.delete(projectile);
+    projectilePool.release(v);
+}
 
+function updatePerfStats(dt) {
+    // Debug only: quality tier + frame time, then live / created / cap per pool (created stops growing once a pool is warm)
+    if (!perfStatsEl) return;
+    perfStatsTimer -= dt;
+    if (perfStatsTimer > 0) return;
+    perfStatsTimer = 0.25;
+    const frameMs = (quality.avgFrameSec * 1000).toFixed(1);
+    perfStatsEl.textContent = [
+        `quality ${qualityTier.id} (${quality.mode}) ${frameMs} ms`,
+        ...[projectilePool, burstPool, debrisPool].map(({ stats: s }) => `${s.name} ${s.active} live / ${s.created} made (max ${s.max}, peak ${s.peak}, recycled ${s.evicted})`),
+    ].join(' · ');
+}
+
+function updateProjectileVisuals(dt) {
+    for (const [projectile, p] of projectileVisuals) {
         // Sync mesh from physics body
-        const pos = p.body.position;
+        const body = projectile.body;
+        const pos = body.position;
         p.mesh.position.set(pos.x, pos.y, pos.z);
-        p.mesh.quaternion.set(
-            p.body.quaternion.x,
-            p.body.quaternion.y,
-            p.body.quaternion.z,
-            p.body.quaternion.w
-        );
+        p.mesh.quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
 
         // Update trail
-        if (p.trailPoints) {
+        {
             // Shift ages
             const ages = p.trailAge;
             const positions = p.trailPositions;
             
             // Age all existing points
-            for (let k = 0; k < MAX_TRAIL_POINTS; k++) {
+            for (let k = 0; k < p.trailLength; k++) {
                 ages[k] += dt / TRAIL_DURATION;
             }
 
             // Emit new point every frame (or throttle if needed)
             // Use a circular buffer approach for visual simplicity
-            p.trailIndex = (p.trailIndex + 1) % MAX_TRAIL_POINTS;
+            p.trailIndex = (p.trailIndex + 1) % p.trailLength;
             const idx = p.trailIndex;
             
             positions[idx * 3 + 0] = pos.x;
@@ -1667,29 +3007,6 @@ function updateProjectiles(dt) {
             // Update attributes
             p.trailGeom.attributes.position.needsUpdate = true;
             p.trailGeom.attributes.age.needsUpdate = true;
-            
-            // To make points fade, we could use a custom shader.
-            // For standard PointsMaterial, we can't easily fade per-vertex alpha without a shader.
-            // Hack: just keep them visible and short-lived.
-            // Or better: Use vertex colors to fade opacity? (Requires vertexColors: true)
-            // Let's stick to simple "white dots following" for now, maybe shrink them in shader later.
-        }
-
-        // Cleanup rules: lifetime or hit ground (y <= 0)
-        if (p.age > projectileMaxAgeSec) {
-            removeProjectile(i);
-            continue;
-        }
-
-        // Removal driven by collision with world geometry
-        if (projectilesToRemove.has(p.body.id)) {
-            removeProjectile(i);
-            continue;
-        }
-
-        // Failsafe: if it somehow falls far below world, remove it
-        if (p.body.position.y < -10) {
-            removeProjectile(i);
         }
     }
 }
@@ -1697,6 +3014,20 @@ function updateProjectiles(dt) {
 function onMouseDown(event) {
     sfx.unlock();
     bgm.unlock();
+    // Mouse look: the first click only captures the pointer
+    if (settings.get('mouseLook') && !pointerLocked && !replayPlayer && sim.state === 'playing') {
+        requestPointerLock();
+        event.preventDefault();
+        return;
+    }
+    // Bound buttons (right = zoom by default) act while held; dragging with any button aims.
+    // Under mouse look an unbound left button fires.
+    let actions = input.actionsFor('mouse', event.button);
+    if (pointerLocked && event.button === 0 && !actions.length) actions = ['fire'];
+    if (actions.length && !heldMouseActions.has(event.button)) {
+        heldMouseActions.set(event.button, actions);
+        for (const action of actions) onAction(action, true, 'mouse');
+    }
     isDragging = true;
     lastMouseX = event.clientX;
     lastMouseY = event.clientY;
@@ -1704,17 +3035,17 @@ function onMouseDown(event) {
 }
 
 function onMouseMove(event) {
+    if (pointerLocked) {
+        applyAim('mouseLook', event.movementX || 0, event.movementY || 0);
+        return;
+    }
     if (!isDragging) return;
     
     const deltaX = event.clientX - lastMouseX;
     const deltaY = event.clientY - lastMouseY;
     
-    // Adjust aim horizontally (yaw)
-    aimYaw -= deltaX * rotationSpeed;
-    
-    // Adjust aim vertically (pitch) with constraints
-    aimPitch -= deltaY * rotationSpeed;
-    aimPitch = Math.max(minAimPitch, Math.min(maxAimPitch, aimPitch));
+    // Adjust aim (yaw, and pitch within its limits)
+    applyAim('mouse', deltaX, deltaY);
     
     lastMouseX = event.clientX;
     lastMouseY = event.clientY;
@@ -1723,6 +3054,18 @@ function onMouseMove(event) {
 
 function onMouseUp(event) {
     isDragging = false;
+    // Leaving the canvas releases every held button (its mouseup would go elsewhere)
+    const buttons = event.type === 'mouseleave' ? [...heldMouseActions.keys()] : [event.button];
+    for (const button of buttons) {
+        const actions = heldMouseActions.get(button);
+        if (!actions) continue;
+        heldMouseActions.delete(button);
+        for (const action of actions) onAction(action, false, 'mouse');
+    }
+}
+
+function getPinchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
 }
 
 function onTouchStart(event) {
@@ -1733,21 +3076,35 @@ function onTouchStart(event) {
         lastTouchX = event.touches[0].clientX;
         lastTouchY = event.touches[0].clientY;
         event.preventDefault();
+    } else if (event.touches.length === 2) {
+        // Second finger: pinch instead of aiming
+        isDragging = false;
+        pinchStartDist = getPinchDistance(event.touches);
+        event.preventDefault();
     }
 }
 
 function onTouchMove(event) {
+    if (event.touches.length === 2 && pinchStartDist > 0) {
+        // Pinch out zooms in, pinch in zooms back out (it stays until then, so one finger can aim)
+        const dist = getPinchDistance(event.touches);
+        if (dist >= pinchStartDist * PINCH_ZOOM_RATIO) {
+            zoomInputs.add('pinch');
+            pinchStartDist = dist;
+        } else if (dist <= pinchStartDist / PINCH_ZOOM_RATIO) {
+            zoomInputs.delete('pinch');
+            pinchStartDist = dist;
+        }
+        event.preventDefault();
+        return;
+    }
     if (!isDragging || event.touches.length !== 1) return;
     
     const deltaX = event.touches[0].clientX - lastTouchX;
     const deltaY = event.touches[0].clientY - lastTouchY;
     
-    // Adjust aim horizontally (yaw)
-    aimYaw -= deltaX * rotationSpeed;
-    
-    // Adjust aim vertically (pitch) with constraints
-    aimPitch -= deltaY * rotationSpeed;
-    aimPitch = Math.max(minAimPitch, Math.min(maxAimPitch, aimPitch));
+    // Adjust aim (yaw, and pitch within its limits)
+    applyAim('touch', deltaX, deltaY);
     
     lastTouchX = event.touches[0].clientX;
     lastTouchY = event.touches[0].clientY;
@@ -1756,49 +3113,66 @@ function onTouchMove(event) {
 
 function onTouchEnd(event) {
     isDragging = false;
+    if (!event.touches || event.touches.length < 2) pinchStartDist = 0;
 }
 
 function animate() {
     requestAnimationFrame(animate);
 
-    const dt = Math.min(clock.getDelta(), 0.05); // cap for tab switching / hiccups
+    const frameSec = clock.getDelta();
+    const dt = Math.min(frameSec, 0.05); // cap for tab switching / hiccups
+    quality.sample(frameSec);
+
+    // Kill cam slow motion scales the world (sim ticks, trails, particles, snow); UI and input keep real time.
+    // Pausing stops the world entirely.
+    updateGamepad(dt);
+    updateKeyboardAim(dt);
+    updateCinematicCamera(paused ? 0 : dt);
+    const worldDt = paused ? 0 : dt * timeScale;
+
+    // Advance the rules in fixed ticks (target motion, physics, hits, waves, timer)
+    if (replayPlayer) {
+        // Replay drives the sim; the camera follows the recorded aim
+        replayPlayer.update(worldDt);
+        ({ yaw: aimYaw, pitch: aimPitch } = sim.aim);
+        ui.updateReplayBar({ timeSec: sim.timeSec, playing: replayPlayer.playing });
+    } else {
+        sim.setAim(aimYaw, aimPitch);
+        replayRecorder.recordAim();
+        sim.step(worldDt);
+    }
 
-    // Update physics world with variable delta (internally sub-stepped)
-    world.step(1 / 60, dt, 5);
+    // Sync simulation -> visuals
+    updateTargetMeshes();
+    updateDebrisMeshes();
+    updateProjectileVisuals(worldDt);
 
-    // Sync physics -> visuals
-    updateProjectiles(dt);
+    // New wave layout: refit the shadow camera, move the lanterns
+    if (lightingLayoutDirty) updateLightingLayout();
 
     // Update camera to follow aim
+    updateZoom(dt);
     updateCameraPosition();
+    environment.update(worldDt, { camera, wind: sim.wind });
 
     // Update predicted trajectory each frame (cheap at these point counts)
     updateTrajectoryLine();
+    updateWindIndicators();
 
     // Update floating combat text
     ui.updateFloatingTexts(dt);
 
     // Update particle effects
-    updateParticleBursts(dt);
-
-    // Timer/game loop
-    if (gameState === 'playing') {
-        // Also check win condition here (in case anything removes targets outside destroyTarget)
-        const remainingAlive = targets.reduce((n, t) => n + (t.alive ? 1 : 0), 0);
-        if (remainingAlive === 0) {
-            debugLog('[SnowballBlitz] win condition met (loop check)');
-            endGame('win');
-        }
+    updateParticleBursts(worldDt);
+    updatePerfStats(dt);
+
+    // Timer display (smooth-ish: rounded); the end state is shown by endGame()
+    if (sim.state === 'playing') ui.updateTimer(sim.timeRemainingSec, sim.state);
+
+    // Charge meter + reload ring progress (the refill itself arrives as an 'ammo' event)
+    if (chargeHeldSec !== null) chargeHeldSec += dt;
+    if (chargeHeldSec !== null || sim.ammo.reloading) updateFireButton();
 
-        timeRemainingSec -= dt;
-        if (timeRemainingSec <= 0) {
-            endGame('timeout');
-        } else {
-            // Update timer display (smooth-ish: rounded)
-            ui.updateTimer(timeRemainingSec, gameState);
-        }
-    }
-    
     // Render scene
     renderer.render(scene, camera);
 }
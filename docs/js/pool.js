@@ -0,0 +1,81 @@
+/**
+ * Fixed-size object pools for short-lived visuals (projectile meshes + trails, particle bursts, debris pieces).
+ *
+ * Instances are built lazily by `create()` up to `max` and then only recycled, so a long session of rapid
+ * fire settles at a fixed number of meshes, buffers and materials instead of allocating (and disposing)
+ * new ones per shot. When every instance is in use, `acquire()` takes back the oldest one: `onEvict(item)`
+ * lets the owner drop its reference before the instance is handed out again.
+ *
+ * This module is intentionally dependency-free (the caller builds and resets the Three.js objects).
+ */
+
+/**
+ * options:
+ * - name: label for stats / logs
+ * - max: upper bound on instances ever created
+ * - create(): build a new instance (parked: not shown)
+ * - reset(item): park an instance that's no longer used (e.g. hide it)
+ * - onEvict(item): the oldest active instance is being reused; forget it
+ */
+export function createPool({ name = 'pool', max = 32, create, reset = null, onEvict = null, debug = null } = {}) {
+    if (typeof create !== 'function') throw new Error('createPool requires create()');
+
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    const limit = Math.max(1, Math.floor(max));
+    const free = [];
+    const active = new Set(); // insertion order = acquire order, so the first entry is the oldest
+    const counters = { created: 0, acquired: 0, evicted: 0, peak: 0 };
+
+    const park = (item) => {
+        if (reset) reset(item);
+        free.push(item);
+    };
+
+    const acquire = () => {
+        let item;
+        if (free.length) {
+            item = free.pop();
+        } else if (counters.created < limit) {
+            item = create();
+            counters.created++;
+        } else {
+            // Full: recycle the oldest instance still in use.
+            item = active.values().next().value;
+            active.delete(item);
+            counters.evicted++;
+            if (onEvict) onEvict(item);
+            if (reset) reset(item);
+            if (counters.evicted === 1) log(`[SnowballBlitz] ${name} pool full; recycling the oldest`, { max: limit });
+        }
+        active.add(item);
+        counters.acquired++;
+        counters.peak = Math.max(counters.peak, active.size);
+        return item;
+    };
+
+    const release = (item) => {
+        if (!active.delete(item)) return false;
+        park(item);
+        return true;
+    };
+
+    const releaseAll = () => {
+        for (const item of Array.from(active)) release(item);
+    };
+
+    return {
+        acquire,
+        release,
+        releaseAll,
+        get stats() {
+            return { name, max: limit, active: active.size, free: free.length, ...counters };
+        },
+    };
+}
@@ -0,0 +1,247 @@
+/**
+ * Trajectory prediction against the live cannon-es world.
+ *
+ * A probe body is stepped through the same fixed ticks the sim runs, in the same order as
+ * World.internalStep / Body.integrate:
+ *   forces (wind, then gravity) -> contacts at the current position -> solver -> damping -> v += F/m·dt -> p += v·dt
+ * Contacts go through cannon's own narrowphase against the world's real shapes (planes, boxes, spheres,
+ * cylinders, convex hulls, ...) with the same collision filtering, per-shape transforms and contact
+ * materials, and bounces are resolved by a GSSolver configured like the world's. A shot therefore lands
+ * on the same tick and position the simulation reports (bounces can drift by solver noise when other
+ * bodies are resting in the world, since the real solver iterates over everything at once).
+ *
+ * Nothing here touches the world: the probe is never added to it. cannon-es is passed in (like sim.js),
+ * so this module runs headlessly too.
+ */
+
+/**
+ * Create a predictor. One probe body, narrowphase (per world) and solver are reused between calls.
+ */
+export function createTrajectoryPredictor({ CANNON } = {}) {
+    if (!CANNON) throw new Error('createTrajectoryPredictor requires CANNON (cannon-es)');
+
+    const narrowphases = new WeakMap(); // world -> CANNON.Narrowphase
+    const probeShape = new CANNON.Sphere(0.15);
+    const probe = new CANNON.Body({ mass: 1, shape: probeShape });
+    const solver = new CANNON.GSSolver();
+    const solverWorld = { bodies: [probe] }; // static bodies never move, so only the probe needs solving
+    const shapePos = new CANNON.Vec3();
+    const bodyPos = new CANNON.Vec3(); // where bodyAt() puts a moving body on the tick being tested
+    const shapeQuat = new CANNON.Quaternion();
+    const contacts = [];
+    const frictions = [];
+
+    const getNarrowphase = (world) => {
+        let np = narrowphases.get(world);
+        if (!np) {
+            np = new CANNON.Narrowphase(world);
+            narrowphases.set(world, np);
+        }
+        return np;
+    };
+
+    const recycle = (list, pool) => {
+        for (const eq of list) pool.push(eq);
+        list.length = 0;
+    };
+
+    /**
+     * Contact equations between the probe (where it is now) and `body` (centered at `at`), as World.step
+     * would build them. They're moved to `contacts` / `frictions`; returns whether the two touch.
+     */
+    const collide = (np, world, body, at, dt) => {
+        const si = probeShape;
+        const xi = probe.position;
+        const qi = probe.quaternion;
+        const cm = (probe.material && body.material && world.getContactMaterial(probe.material, body.material)) || world.defaultContactMaterial;
+        np.currentContactMaterial = cm;
+        for (let j = 0; j < body.shapes.length; j++) {
+            const sj = body.shapes[j];
+            if (!(si.collisionFilterMask & sj.collisionFilterGroup && sj.collisionFilterMask & si.collisionFilterGroup)) continue;
+            body.quaternion.mult(body.shapeOrientations[j], shapeQuat);
+            body.quaternion.vmult(body.shapeOffsets[j], shapePos);
+            shapePos.vadd(at, shapePos);
+            if (xi.distanceTo(shapePos) > si.boundingSphereRadius + sj.boundingSphereRadius) continue;
+            const resolver = np[si.type | sj.type];
+            if (!resolver) continue;
+            // Full contact generation, never justTest: a dynamic projectile doesn't get the test-only path.
+            if (si.type < sj.type) resolver.call(np, si, sj, xi, shapePos, qi, shapeQuat, probe, body, si, sj, false);
+            else resolver.call(np, sj, si, shapePos, xi, shapeQuat, qi, body, probe, si, sj, false);
+        }
+        const touching = np.result.length > 0;
+        // The world may not have stepped yet (world.dt is -1 until then); use the tick length.
+        for (const eq of np.result) {
+            eq.setSpookParams(cm.contactEquationStiffness, cm.contactEquationRelaxation, dt);
+            contacts.push(eq);
+        }
+        for (const eq of np.frictionResult) {
+            eq.setSpookParams(cm.frictionEquationStiffness, cm.frictionEquationRelaxation, dt);
+            frictions.push(eq);
+        }
+        np.result.length = 0;
+        np.frictionResult.length = 0;
+        return touching;
+    };
+
+    const setProbeShape = (radius, mass) => {
+        probeShape.radius = radius;
+        probeShape.updateBoundingSphereRadius();
+        probe.mass = mass;
+        probe.updateMassProperties();
+        probe.velocity.set(0, 0, 0);
+        probe.angularVelocity.set(0, 0, 0);
+        probe.quaternion.set(0, 0, 0, 1);
+    };
+
+    /**
+     * Step a launch through `world` until it hits something, leaves the world or times out.
+     *
+     * options:
+     * - position, velocity, radius, mass, material, linearDamping: the projectile as spawned
+     * - gravity: { x, y, z }; windAt(k, out): wind for the k-th tick after launch (1-based) as { x, z, strength }
+     * - dt, maxTicks, maxAgeSec, minY: the sim's tick length and cleanup rules
+     * - collisionMask: the projectile body's mask (bodies outside it are never tested)
+     * - classify(body): 'world' | 'target' | null (null = ignored)
+     * - bodyAt(body, k, out): where `body` is on tick k (return `out` filled in, body.position, or null when
+     *   it's out of play then); lets moving targets be tested where they will be, not where they are
+     * - stopAtTargets: end at the first target touched (else targets are passed through, like piercing)
+     * - bounces: world contacts the shot survives before it ends
+     * - split: { radius } once the arc tops out (cluster; follows the center fragment), or null
+     *
+     * Returns { points: [{ x, y, z }] one per tick, hit: { kind, position, body, tick } | null,
+     * bounces: [{ x, y, z }], targets: [{ body, position, tick }] (each target touched, in order) }.
+     */
+    const predict = ({
+        world,
+        position,
+        velocity,
+        radius,
+        mass = 1,
+        material = null,
+        linearDamping = 0.01,
+        gravity,
+        windAt = null,
+        dt = 1 / 60,
+        maxTicks = 180,
+        maxAgeSec = Infinity,
+        minY = -Infinity,
+        collisionMask = -1,
+        classify,
+        bodyAt = null,
+        stopAtTargets = true,
+        bounces = 0,
+        split = null,
+    }) => {
+        const points = [];
+        const bouncePoints = [];
+        const targets = [];
+        const done = (hit) => ({ points, hit, bounces: bouncePoints, targets });
+        if (!world) return done(null);
+
+        const np = getNarrowphase(world);
+        solver.iterations = world.solver.iterations;
+        solver.tolerance = world.solver.tolerance;
+        setProbeShape(radius, mass);
+        probe.material = material;
+        probe.linearDamping = linearDamping;
+        const p = probe.position;
+        const v = probe.velocity;
+        const f = probe.force;
+        p.set(position.x, position.y, position.z);
+        v.set(velocity.x, velocity.y, velocity.z);
+        const wind = { x: 0, z: 0, strength: 0 };
+
+        // Bodies touched on the previous tick: a contact only "begins" (and spends a bounce) once per touch.
+        let touching = new Set();
+        let next = new Set();
+        let bouncesLeft = bounces;
+        let canSplit = !!split;
+        let age = 0;
+        let hit = null;
+
+        for (let k = 1; k <= maxTicks; k++) {
+            points.push({ x: p.x, y: p.y, z: p.z });
+
+            // Forces, accumulated like the sim does: wind (before the step), then gravity (inside it)
+            f.set(0, 0, 0);
+            if (windAt) {
+                windAt(k, wind);
+                if (wind.strength > 0) {
+                    f.x += probe.mass * wind.x;
+                    f.z += probe.mass * wind.z;
+                }
+            }
+            f.x += probe.mass * gravity.x;
+            f.y += probe.mass * gravity.y;
+            f.z += probe.mass * gravity.z;
+
+            // Contacts at the position the step starts from
+            next.clear();
+            for (const body of world.bodies) {
+                if (!(body.collisionFilterGroup & collisionMask)) continue;
+                const kind = classify(body);
+                if (!kind) continue;
+                const at = bodyAt ? bodyAt(body, k, bodyPos) : body.position;
+                if (!at || !collide(np, world, body, at, dt)) continue;
+                next.add(body);
+                if (kind === 'target') {
+                    if (touching.has(body) || targets.some((t) => t.body === body)) continue;
+                    targets.push({ body, position: { x: p.x, y: p.y, z: p.z }, tick: k });
+                    if (stopAtTargets && !hit) hit = { kind, position: { x: p.x, y: p.y, z: p.z }, body, tick: k };
+                } else if (touching.has(body)) {
+                    // Still touching since an earlier tick: no new impact
+                } else if (bouncesLeft > 0) {
+                    bouncesLeft--;
+                    bouncePoints.push({ x: p.x, y: p.y, z: p.z });
+                } else if (!hit) {
+                    hit = { kind, position: { x: p.x, y: p.y, z: p.z }, body, tick: k };
+                }
+            }
+            [touching, next] = [next, touching];
+
+            // Solve (friction equations first, like World.step), then damping and Body.integrate's expressions
+            if (contacts.length) {
+                for (const eq of frictions) solver.addEquation(eq);
+                for (const eq of contacts) solver.addEquation(eq);
+                solver.solve(dt, solverWorld);
+                solver.removeAllEquations();
+                recycle(frictions, np.frictionEquationPool);
+                recycle(contacts, np.contactPointPool);
+            }
+            v.scale(Math.pow(1 - probe.linearDamping, dt), v);
+            probe.angularVelocity.scale(Math.pow(1 - probe.angularDamping, dt), probe.angularVelocity);
+            const iMdt = probe.invMass * dt;
+            v.x += f.x * iMdt;
+            v.y += f.y * iMdt;
+            v.z += f.z * iMdt;
+            p.x += v.x * dt;
+            p.y += v.y * dt;
+            p.z += v.z * dt;
+
+            // Cleanup rules in the sim's order: lifetime first, then the impact
+            age += dt;
+            if (age > maxAgeSec) return done(null);
+            if (hit) {
+                points.push(hit.position);
+                return done(hit);
+            }
+            if (p.y < minY) break;
+            if (canSplit && v.y <= 0) {
+                // The center fragment carries straight on as a new, smaller body.
+                const vx = v.x;
+                const vy = v.y;
+                const vz = v.z;
+                setProbeShape(split.radius, mass);
+                v.set(vx, vy, vz);
+                canSplit = false;
+                age = 0;
+                bouncesLeft = bounces;
+                touching.clear();
+            }
+        }
+        points.push({ x: p.x, y: p.y, z: p.z });
+        return done(null);
+    };
+
+    return { predict };
+}
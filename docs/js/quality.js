@@ -0,0 +1,141 @@
+/**
+ * Render quality tiers + an adaptive governor.
+ *
+ * The governor watches frame times and steps one tier down when frames stay slow, or one tier up when they
+ * stay comfortably fast for longer (so it doesn't flip back and forth). A manual Low/Medium/High choice
+ * pins the tier and turns the governor off. What a tier changes is up to the caller (see QUALITY_TIERS).
+ *
+ * This module is intentionally dependency-free.
+ */
+
+/**
+ * Per-tier render budgets, lowest first.
+ * - pixelRatio: cap on devicePixelRatio
+ * - antialias: MSAA (a WebGL context attribute, so it only changes when the renderer is created)
+ * - burstParticles / trailPoints: particles per snow burst / points per projectile trail
+ * - trajectoryMaxPoints: cap on the trajectory line's points (config trajectory.maxPoints still applies)
+ * - shadowMapSize: sun shadow map resolution (0 = no shadows); softShadows: PCF soft filtering
+ * - maxLanterns: cap on the lighting preset's lantern lights (each one is a per-pixel point light)
+ * - snowflakes / scenery: falling snow particles and the share of backdrop trees/rocks drawn (environment.js)
+ */
+export const QUALITY_TIERS = [
+    {
+        id: 'low', name: 'Low', pixelRatio: 1, antialias: false, burstParticles: 20, trailPoints: 10, trajectoryMaxPoints: 40,
+        shadowMapSize: 0, softShadows: false, maxLanterns: 2, snowflakes: 600, scenery: 0.4,
+    },
+    {
+        id: 'medium', name: 'Medium', pixelRatio: 1.5, antialias: false, burstParticles: 40, trailPoints: 20, trajectoryMaxPoints: 70,
+        shadowMapSize: 1024, softShadows: false, maxLanterns: 4, snowflakes: 1500, scenery: 0.7,
+    },
+    {
+        id: 'high', name: 'High', pixelRatio: 2, antialias: true, burstParticles: 60, trailPoints: 30, trajectoryMaxPoints: 100,
+        shadowMapSize: 2048, softShadows: true, maxLanterns: 6, snowflakes: 3000, scenery: 1,
+    },
+];
+
+export const QUALITY_MODES = ['auto', ...QUALITY_TIERS.map((t) => t.id)];
+
+export function getQualityTier(id) {
+    return QUALITY_TIERS.find((t) => t.id === id) || null;
+}
+
+/**
+ * options:
+ * - mode: 'auto' or a tier id (pinned)
+ * - autoTier: where 'auto' starts (e.g. the tier it settled on last session)
+ * - slowFrameSec / fastFrameSec: average frame time above which to step down / below which to step up
+ * - downAfterSec / upAfterSec: how long the average must stay past a threshold before stepping (the wait to
+ *   step up again doubles after each step up that turned out too slow)
+ * - onChange(tier, { mode, reason, avgFrameSec }): the active tier changed
+ */
+export function createQualityGovernor({
+    mode = 'auto',
+    autoTier = 'high',
+    slowFrameSec = 1 / 45,
+    fastFrameSec = 1 / 57,
+    downAfterSec = 2,
+    upAfterSec = 6,
+    onChange = null,
+    debug = null,
+} = {}) {
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    const indexOf = (id, fallback) => {
+        const i = QUALITY_TIERS.findIndex((t) => t.id === id);
+        return i >= 0 ? i : fallback;
+    };
+
+    let currentMode = QUALITY_MODES.includes(mode) ? mode : 'auto';
+    let index = currentMode === 'auto' ? indexOf(autoTier, QUALITY_TIERS.length - 1) : indexOf(currentMode, 0);
+    let avgFrameSec = 1 / 60;
+    let slowSec = 0;
+    let fastSec = 0;
+    let settleSec = 1; // ignore the first frames (shader compiles, asset loads) and the frames right after a change
+    let upDelaySec = upAfterSec; // doubles every time a step up has to be taken back, so it stops retrying
+    let lastReason = null;
+
+    const setIndex = (next, reason) => {
+        next = Math.max(0, Math.min(QUALITY_TIERS.length - 1, next));
+        slowSec = 0;
+        fastSec = 0;
+        settleSec = 1;
+        if (next === index) return;
+        index = next;
+        lastReason = reason;
+        const tier = QUALITY_TIERS[index];
+        log('[SnowballBlitz] quality tier', { tier: tier.id, mode: currentMode, reason, avgFrameMs: +(avgFrameSec * 1000).toFixed(1) });
+        if (typeof onChange === 'function') onChange(tier, { mode: currentMode, reason, avgFrameSec });
+    };
+
+    return {
+        get tier() {
+            return QUALITY_TIERS[index];
+        },
+
+        get mode() {
+            return currentMode;
+        },
+
+        get avgFrameSec() {
+            return avgFrameSec;
+        },
+
+        /** 'auto' (governor on) or a tier id (pinned). */
+        setMode(next) {
+            if (!QUALITY_MODES.includes(next)) return;
+            currentMode = next;
+            if (next !== 'auto') setIndex(indexOf(next, index), 'manual');
+            else setIndex(index, 'auto');
+        },
+
+        /**
+         * Feed one frame's real (uncapped) duration. Long stalls (tab switches, GC pauses) are skipped so a
+         * single hitch never costs a tier.
+         */
+        sample(frameSec) {
+            if (!(frameSec > 0) || frameSec > 0.25) return;
+            // ~0.5 s exponential average at 60 fps
+            avgFrameSec += (frameSec - avgFrameSec) * 0.03;
+            if (settleSec > 0) {
+                settleSec -= frameSec;
+                return;
+            }
+            if (currentMode !== 'auto') return;
+
+            slowSec = avgFrameSec > slowFrameSec ? slowSec + frameSec : 0;
+            fastSec = avgFrameSec < fastFrameSec ? fastSec + frameSec : 0;
+            if (slowSec >= downAfterSec && index > 0) {
+                if (lastReason === 'fast') upDelaySec = Math.min(upDelaySec * 2, 120);
+                setIndex(index - 1, 'slow');
+            } else if (fastSec >= upDelaySec && index < QUALITY_TIERS.length - 1) {
+                setIndex(index + 1, 'fast');
+            }
+        },
+    };
+}
@@ -0,0 +1,248 @@
+/**
+ * Match replays: record inputs, then play them back through the simulation.
+ *
+ * A replay holds everything the deterministic sim needs to reproduce one match:
+ *   {
+ *     "format": "snowballblitz-replay", "version": 1,
+ *     "seed": 12345,
+ *     "level": { ...normalized level (see levels.js) },
+ *     "config": { ...getLiveGameConfig() at match start },
+ *     "durationTicks": 2460,
+ *     "inputs": [[0, "a", 0, 5236], [95, "f"], [96, "a", -120, 5100], [150, "f", 640], [300, "p", "slush"], [400, "c", { ...config }]]
+ *   }
+ *
+ * Notes:
+ * - Inputs are keyed by sim tick (FIXED_DT). "a" = aim (yaw, pitch in AIM_RESOLUTION_RAD steps; the sim
+ *   quantizes aim the same way, so playback is bit-for-bit), "f" = fire (with the charge in CHARGE_RESOLUTION
+ *   steps when hold-to-charge is on), "p" = projectile type selected, "c" = config change mid-match.
+ * - A recording covers one match: it restarts whenever the sim resets.
+ * - Playback re-runs the sim from tick 0, so seeking backwards re-simulates from the start.
+ * - This module is intentionally dependency-free (the sim is passed in).
+ */
+
+import { AIM_RESOLUTION_RAD, CHARGE_RESOLUTION, DEFAULT_PROJECTILE_TYPE, FIXED_DT } from './sim.js';
+
+export const REPLAY_FORMAT = 'snowballblitz-replay';
+export const REPLAY_VERSION = 1;
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Keep recording a little past the end so the last shots land on screen.
+const END_TAIL_TICKS = Math.round(1.5 / FIXED_DT);
+
+const toAimSteps = (rad) => Math.round(rad / AIM_RESOLUTION_RAD);
+
+export function createReplayRecorder({ sim, getConfig } = {}) {
+    let replay = null;
+    let enabled = true;
+    let endTick = null;
+    let lastYaw = null;
+    let lastPitch = null;
+
+    const start = () => {
+        if (!enabled || !sim.level) return;
+        endTick = null;
+        lastYaw = null;
+        lastPitch = null;
+        replay = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: sim.seed,
+            level: sim.level,
+            config: typeof getConfig === 'function' ? getConfig() : null,
+            durationTicks: 0,
+            inputs: [],
+        };
+        // Playback starts from the default type; note the carried-over selection.
+        if (sim.projectileType !== DEFAULT_PROJECTILE_TYPE) replay.inputs.push([sim.tick, 'p', sim.projectileType]);
+    };
+
+    sim.on('reset', start);
+    sim.on('projectileTypeChanged', ({ type }) => {
+        if (enabled && replay) replay.inputs.push([sim.tick, 'p', type]);
+    });
+    sim.on('ended', () => {
+        if (enabled) endTick = sim.tick;
+    });
+
+    return {
+        /** Call after sim.setAim(); only changes are stored. */
+        recordAim() {
+            if (!enabled || !replay) return;
+            const yaw = toAimSteps(sim.aim.yaw);
+            const pitch = toAimSteps(sim.aim.pitch);
+            if (yaw === lastYaw && pitch === lastPitch) return;
+            lastYaw = yaw;
+            lastPitch = pitch;
+            replay.inputs.push([sim.tick, 'a', yaw, pitch]);
+        },
+
+        /** `charge` (0..1) only when hold-to-charge is on. */
+        recordFire(charge = null) {
+            if (!enabled || !replay) return;
+            if (Number.isFinite(charge)) replay.inputs.push([sim.tick, 'f', Math.round(charge / CHARGE_RESOLUTION)]);
+            else replay.inputs.push([sim.tick, 'f']);
+        },
+
+        recordConfig(config) {
+            if (!enabled || !replay) return;
+            replay.inputs.push([sim.tick, 'c', config]);
+        },
+
+        /** Paused while a replay is playing (its resets must not start a new recording). */
+        setEnabled(value) {
+            enabled = !!value;
+        },
+
+        /** Snapshot of the current match so far (or up to shortly after it ended). */
+        getReplay() {
+            if (!replay) return null;
+            const durationTicks = endTick === null ? sim.tick : Math.min(sim.tick, endTick + END_TAIL_TICKS);
+            return { ...replay, durationTicks, inputs: replay.inputs.slice() };
+        },
+    };
+}
+
+export function serializeReplay(replay) {
+    // Compact on purpose: one line, integer aim, ticks instead of timestamps.
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parse + validate a replay file. Throws with a readable message on bad input.
+ */
+export function parseReplay(text) {
+    let raw;
+    try {
+        raw = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch {
+        throw new Error('Replay is not valid JSON');
+    }
+    if (!raw || raw.format !== REPLAY_FORMAT) throw new Error('Not a Snowball Blitz replay');
+    if (raw.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${raw.version}`);
+    if (!Number.isFinite(raw.seed)) throw new Error('Replay has no seed');
+    const level = raw.level;
+    if (!level || !Array.isArray(level.platforms) || !Array.isArray(level.targets) || !level.shooter) {
+        throw new Error('Replay has no level');
+    }
+
+    const inputs = (Array.isArray(raw.inputs) ? raw.inputs : []).filter((input) => {
+        if (!Array.isArray(input) || !Number.isInteger(input[0]) || input[0] < 0) return false;
+        if (input[1] === 'a') return Number.isFinite(input[2]) && Number.isFinite(input[3]);
+        if (input[1] === 'c') return !!input[2] && typeof input[2] === 'object';
+        if (input[1] === 'f') return input.length < 3 || Number.isFinite(input[2]);
+        if (input[1] === 'p') return typeof input[2] === 'string';
+        return false;
+    });
+    // Recorded in order already; keep it stable for hand-edited files.
+    inputs.sort((a, b) => a[0] - b[0]);
+
+    const lastInputTick = inputs.length ? inputs[inputs.length - 1][0] : 0;
+    const durationTicks = Number.isInteger(raw.durationTicks) ? Math.max(raw.durationTicks, lastInputTick) : lastInputTick;
+
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        seed: raw.seed,
+        level,
+        config: raw.config && typeof raw.config === 'object' ? raw.config : null,
+        durationTicks,
+        inputs,
+    };
+}
+
+/**
+ * Drives the sim from a replay instead of live input.
+ * - applyConfig(config): apply a recorded config (rules + camera, like the tuning panel does)
+ * - applyLevel(level, seed): load the level and restart the match with the recorded seed
+ */
+export function createReplayPlayer({ sim, replay, applyConfig = null, applyLevel = null } = {}) {
+    let next = 0; // index of the next input to apply
+    let playing = true;
+    let speed = 1;
+    let seeking = false;
+    let accumulator = 0;
+
+    const restart = () => {
+        if (replay.config && typeof applyConfig === 'function') applyConfig(replay.config);
+        sim.setProjectileType(DEFAULT_PROJECTILE_TYPE);
+        if (typeof applyLevel === 'function') applyLevel(replay.level, replay.seed);
+        else sim.setLevel(replay.level, { seed: replay.seed });
+        next = 0;
+        accumulator = 0;
+    };
+
+    const stepOnce = () => {
+        // Same order as live play: inputs recorded at tick N apply before tick N runs.
+        const inputs = replay.inputs;
+        while (next < inputs.length && inputs[next][0] <= sim.tick) {
+            const [, type, a, b] = inputs[next++];
+            if (type === 'a') sim.setAim(a * AIM_RESOLUTION_RAD, b * AIM_RESOLUTION_RAD);
+            else if (type === 'f') sim.fire(Number.isFinite(a) ? { charge: a * CHARGE_RESOLUTION } : {});
+            else if (type === 'p') sim.setProjectileType(a);
+            else if (type === 'c' && typeof applyConfig === 'function') applyConfig(a);
+        }
+        sim.stepTick();
+    };
+
+    const player = {
+        get replay() { return replay; },
+        get tick() { return sim.tick; },
+        get durationTicks() { return replay.durationTicks; },
+        get playing() { return playing; },
+        get speed() { return speed; },
+        /** True while fast-forwarding for a seek (skip sounds / effects). */
+        get seeking() { return seeking; },
+
+        restart,
+
+        play() {
+            // Play from the end starts over.
+            if (sim.tick >= replay.durationTicks) player.seek(0);
+            playing = true;
+        },
+
+        pause() {
+            playing = false;
+        },
+
+        toggle() {
+            if (playing) player.pause();
+            else player.play();
+        },
+
+        setSpeed(value) {
+            if (Number.isFinite(value) && value > 0) speed = value;
+        },
+
+        /** Jump to a tick; going backwards re-simulates from the start. */
+        seek(tick) {
+            const target = Math.max(0, Math.min(Math.floor(tick), replay.durationTicks));
+            seeking = true;
+            try {
+                if (target < sim.tick) restart();
+                while (sim.tick < target) stepOnce();
+            } finally {
+                seeking = false;
+            }
+            accumulator = 0;
+        },
+
+        /** Advance by real elapsed time (scaled by speed). */
+        update(dt) {
+            if (!playing) return;
+            accumulator += dt * speed;
+            const maxTicks = Math.ceil(5 * Math.max(1, speed));
+            let n = 0;
+            while (accumulator >= FIXED_DT && n < maxTicks && sim.tick < replay.durationTicks) {
+                stepOnce();
+                accumulator -= FIXED_DT;
+                n++;
+            }
+            if (n === maxTicks) accumulator = Math.min(accumulator, FIXED_DT);
+            if (sim.tick >= replay.durationTicks) playing = false;
+        },
+    };
+
+    restart();
+    return player;
+}
@@ -0,0 +1,91 @@
+/**
+ * Player settings (device-local preferences, not game rules):
+ * - Defaults come from the caller; only keys present there are kept, and a stored value is used only when it
+ *   has the same type as its default (so old or hand-edited data can't break the game)
+ * - Persist in localStorage (silently memory-only when storage is unavailable)
+ * - onChange(fn) listeners run after every set()
+ *
+ * This module is intentionally dependency-free.
+ */
+
+const DEFAULT_STORAGE_KEY = 'snowballblitz:settings';
+
+function sameType(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) return Array.isArray(a) && Array.isArray(b);
+    return typeof a === typeof b && (typeof a !== 'number' || Number.isFinite(b));
+}
+
+export function createSettings({ storageKey = DEFAULT_STORAGE_KEY, defaults = {}, debug = null } = {}) {
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    const load = () => {
+        const values = { ...defaults };
+        try {
+            const raw = localStorage.getItem(storageKey);
+            const parsed = raw ? JSON.parse(raw) : null;
+            if (parsed && typeof parsed === 'object') {
+                for (const key of Object.keys(defaults)) {
+                    if (key in parsed && sameType(defaults[key], parsed[key])) values[key] = parsed[key];
+                }
+            }
+        } catch {
+            // ignore (defaults)
+        }
+        return values;
+    };
+
+    const save = () => {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(values));
+        } catch {
+            // ignore
+        }
+    };
+
+    const values = load();
+    const listeners = new Set();
+
+    return {
+        get(key) {
+            return values[key];
+        },
+
+        /**
+         * Update one setting (unknown keys and values of the wrong type are ignored). Returns whether it changed.
+         */
+        set(key, value) {
+            if (!(key in defaults) || !sameType(defaults[key], value)) {
+                log('[SnowballBlitz] settings: ignored', { key, value });
+                return false;
+            }
+            if (values[key] === value) return false;
+            values[key] = value;
+            save();
+            log('[SnowballBlitz] settings: changed', { key, value });
+            for (const fn of listeners) {
+                try {
+                    fn(key, value);
+                } catch {
+                    // ignore
+                }
+            }
+            return true;
+        },
+
+        /** Listen for changes; returns an unsubscribe function. */
+        onChange(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        },
+
+        getAll() {
+            return { ...values };
+        },
+    };
+}
@@ -0,0 +1,1463 @@
+/**
+ * Game-rules simulation (deterministic, fixed-step).
+ *
+ * Owns everything that decides the outcome of a match:
+ * - cannon-es world stepping at a fixed 60 Hz tick
+ * - projectile spawning, piercing + world collisions, projectile types (bounce, splash, cluster split)
+ * - targets (variants, HP, motion), waves, scoring and the timer
+ * - ammo: fire cooldown, optional magazine + reload
+ * - optional hold-to-charge launch speed (the caller measures the hold and passes `charge` to fire())
+ * - per-level wind (steady + seeded gusts, see wind.js) pushing projectiles every tick
+ * - destroyed snowmen break into short-lived debris bodies (body, head, nose, hat) that only touch the world
+ * - trajectory prediction stepped through the live world (see predict.js), plus a check against real shots
+ *
+ * Notes:
+ * - The only dependency is cannon-es, passed in as `CANNON` so the same module runs in the browser
+ *   (CDN build) and headlessly in Node (npm package) with no Three.js, DOM or GPU.
+ * - The renderer subscribes with `on(type, fn)` and mirrors bodies into meshes; it never mutates rules state.
+ * - Same level + config + seed + inputs (by tick) => same events, score and end state.
+ * - `run({ inputs })` plays a whole match from timed inputs and returns plain-data events.
+ * - `getStats()` returns per-match shot statistics as plain JSON (also attached to 'ended' and run()).
+ */
+
+import { getWaveLayout } from './levels.js';
+import { sampleMotion } from './targetMotion.js';
+import { getMaxWindStrength, sampleWind } from './wind.js';
+import { createTrajectoryPredictor } from './predict.js';
+
+export const FIXED_DT = 1 / 60;
+
+// Collision groups
+export const CG_PROJECTILE = 1;
+export const CG_TARGET = 2;
+export const CG_WORLD = 4;
+export const CG_DEBRIS = 8; // collides with the world only (not projectiles, targets or other debris)
+
+// Aim limits (+pitch aims down with our convention)
+export const MIN_AIM_PITCH = -Math.PI / 3;
+export const MAX_AIM_PITCH = Math.PI / 3;
+// Aim is quantized to this step so recorded inputs (see replay.js) reproduce shots exactly.
+export const AIM_RESOLUTION_RAD = 1e-4;
+// Charge (0..1) is quantized the same way, for the same reason.
+export const CHARGE_RESOLUTION = 1e-3;
+
+export const PROJECTILE_RADIUS = 0.15;
+export const PROJECTILE_LINEAR_DAMPING = 0.01;
+const PROJECTILE_MASS = 0.25;
+export const DEFAULT_PROJECTILE_TYPE = 'standard';
+const PROJECTILE_MAX_AGE_SEC = 8;
+const PROJECTILE_MIN_Y = -10; // failsafe: anything below this fell out of the world
+const CLUSTER_FRAGMENT_SCALE = 0.7; // cluster fragment radius vs the parent's
+// Debris pieces: mass (kg) and how hard the impact knocks them (light parts fly further)
+const DEBRIS_PARTS = {
+    body: { mass: 0.6, knock: 0.5 },
+    head: { mass: 0.3, knock: 1 },
+    nose: { mass: 0.02, knock: 1.2 },
+    hat: { mass: 0.05, knock: 1.3 },
+};
+const DEBRIS_MAX_KNOCK_SPEED = 7;
+const MAX_SUBSTEPS = 5;
+
+export const TARGET_LOOKS = ['standard', 'armored', 'golden', 'friendly'];
+export const AMMO_MODES = ['infinite', 'magazine'];
+
+function isFiniteNumber(n) {
+    return typeof n === 'number' && Number.isFinite(n);
+}
+
+function toFiniteNumber(value, fallback) {
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+function clampNumber(n, { min = -Infinity, max = Infinity } = {}) {
+    if (!Number.isFinite(n)) return n;
+    return Math.max(min, Math.min(max, n));
+}
+
+/**
+ * Small seeded PRNG (mulberry32). Returns floats in [0, 1).
+ */
+export function createRng(seed = 1) {
+    let a = (Math.floor(toFiniteNumber(seed, 1)) >>> 0) || 1;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function getSnowmanDims(h) {
+    // Original snowman height is ~1.19 units:
+    // - body radius 0.45 (body bottom at y=0, top at y=0.9)
+    // - head center at y=0.91, head radius 0.28 (top at y=1.19)
+    const baseH = 1.19;
+    const scale = h / baseH;
+    const bodyR = 0.45 * scale;
+    const headR = 0.28 * scale;
+    const gap = 0.18 * scale;
+    const noseR = 0.06 * scale;
+    const noseL = 0.25 * scale;
+    const colliderR = 0.55 * scale;
+    return { bodyR, headR, gap, noseR, noseL, colliderR };
+}
+
+export function getAimDirection(yaw, pitch) {
+    // Unit vector the projectile launches along (shooter faces -Z at yaw 0)
+    const x = -Math.sin(yaw) * Math.cos(pitch);
+    const y = -Math.sin(pitch);
+    const z = -Math.cos(yaw) * Math.cos(pitch);
+    const len = Math.sqrt(x * x + y * y + z * z) || 1;
+    return { x: x / len, y: y / len, z: z / len };
+}
+
+export function normalizeTargetType(id, raw, prev = {}) {
+    const hp = Math.floor(toFiniteNumber(raw?.hp, prev.hp ?? 1));
+    const points = raw?.points === null ? null : toFiniteNumber(raw?.points, prev.points ?? null);
+    const penaltyScore = toFiniteNumber(raw?.penaltyScore, prev.penaltyScore ?? 0);
+    const penaltyTimeSec = toFiniteNumber(raw?.penaltyTimeSec, prev.penaltyTimeSec ?? 0);
+    const look = typeof raw?.look === 'string' ? raw.look : (prev.look ?? id);
+    return {
+        hp: Math.max(1, hp),
+        points: isFiniteNumber(points) ? Math.max(0, points) : null,
+        penaltyScore: Math.max(0, penaltyScore),
+        penaltyTimeSec: Math.max(0, penaltyTimeSec),
+        countsForWave: typeof raw?.countsForWave === 'boolean' ? raw.countsForWave : (prev.countsForWave ?? true),
+        look: TARGET_LOOKS.includes(look) ? look : 'standard',
+    };
+}
+
+const toOddCount = (n) => (n > 0 && n % 2 === 0 ? n + 1 : n);
+
+/**
+ * Projectile type from config (merged over `prev`, so partial entries only override what they mention).
+ * - radius / mass / speedScale: hitbox, weight and launch speed multiplier
+ * - bounces + restitution: world contacts survived (and how bouncy they are) before it's removed
+ * - splashRadius: > 0 explodes on the first impact, damaging every target within the radius
+ * - cluster + clusterSpreadDeg: splits into this many fragments at the top of its arc (always an odd count:
+ *   an even one is rounded up, so one fragment carries straight on and the trajectory guide can follow it)
+ */
+export function normalizeProjectileType(id, raw, prev = {}) {
+    const num = (key, fallback) => toFiniteNumber(raw?.[key], prev[key] ?? fallback);
+    const color = typeof raw?.color === 'string' && /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : (prev.color ?? '#ff3b30');
+    return {
+        name: typeof raw?.name === 'string' && raw.name ? raw.name : (prev.name ?? id),
+        radius: clampNumber(num('radius', PROJECTILE_RADIUS), { min: 0.05, max: 1 }),
+        mass: Math.max(0.01, num('mass', PROJECTILE_MASS)),
+        speedScale: clampNumber(num('speedScale', 1), { min: 0.1, max: 3 }),
+        bounces: Math.max(0, Math.floor(num('bounces', 0))),
+        restitution: clampNumber(num('restitution', 0.6), { min: 0, max: 1 }),
+        splashRadius: Math.max(0, num('splashRadius', 0)),
+        cluster: toOddCount(Math.max(0, Math.floor(num('cluster', 0)))),
+        clusterSpreadDeg: clampNumber(num('clusterSpreadDeg', 12), { min: 0, max: 90 }),
+        color,
+    };
+}
+
+function createStats() {
+    // Raw counters; getStats() derives the reported values (accuracy, averages).
+    return {
+        shots: 0,
+        hits: 0, // shots that hit at least one target (any fragment of a cluster counts)
+        misses: 0, // shots whose projectiles were all removed without hitting a target
+        resolved: 0, // shots that are over (hit or miss), for the flight-time average
+        flightTimeTotalSec: 0,
+        kills: 0, // scoring targets destroyed (friendlies are counted as penalties)
+        multiKills: 0, // shots that destroyed 2+ targets
+        bestChain: 0,
+        penalties: 0,
+        longestHitDistance: 0,
+    };
+}
+
+export function createSimulation({ CANNON, config = null, seed = 1, debug = null } = {}) {
+    if (!CANNON) throw new Error('createSimulation requires CANNON (cannon-es)');
+
+    const log = (message, data) => {
+        try {
+            if (typeof debug === 'function') debug(message, data);
+        } catch {
+            // ignore
+        }
+    };
+
+    // Rules (see applyConfig)
+    let projectileSpeed = 18;
+    const gravity = { x: 0, y: -9.8, z: 0 };
+    let playerHeight = 2.0;
+    let snowmanHeight = 1.2;
+    let scorePerTarget = 50;
+    let pierceMultipliers = [1, 2, 3, 4]; // index = kill number within one projectile's hit chain (1st, 2nd, ...)
+    let targetTypes = { standard: normalizeTargetType('standard', { hp: 1 }) };
+    let waveRules = { maxWaves: 5, bonusTimeSec: 15, bonusTimeDecaySec: 2, minBonusTimeSec: 5, targetScaleStep: 0.08, minTargetScale: 0.6 };
+    // mode: 'infinite' (no limit; only the optional cooldown) | 'magazine' (magazineSize shots, then an automatic reload)
+    let ammoRules = { mode: 'infinite', magazineSize: 6, reloadTimeSec: 1.5, fireCooldownSec: 0 };
+    // Hold-to-charge: launch speed goes from minSpeed (tap) to maxSpeed (held fullChargeSec or longer)
+    let chargeRules = { enabled: false, minSpeed: 25, maxSpeed: 60, fullChargeSec: 1 };
+    let projectileTypes = { [DEFAULT_PROJECTILE_TYPE]: normalizeProjectileType(DEFAULT_PROJECTILE_TYPE, {}) };
+    let projectileTypeId = DEFAULT_PROJECTILE_TYPE; // selected for the next shot
+    // Snowman debris: at most maxPieces bodies at once (oldest go first); 0 turns it off
+    let debrisRules = { maxPieces: 24, lifetimeSec: 2.5 };
+
+    // Match state
+    let currentSeed = Math.floor(toFiniteNumber(seed, 1));
+    let debrisRng = createRng(currentSeed ^ 0x5bd1e995); // debris scatter; scoring itself uses no randomness
+    let world = null;
+    let level = null;
+    let state = 'idle'; // 'idle' (no level yet) | 'playing' | 'ended'
+    let endReason = null;
+    let tick = 0;
+    let accumulator = 0;
+    let score = 0;
+    let stats = createStats();
+    let rounds = 0; // shots left in the magazine ('magazine' mode)
+    let reloadTicksLeft = 0;
+    let cooldownTicksLeft = 0;
+    let timeLimitSec = 60;
+    let timeRemainingSec = 60;
+    let waveNumber = 1;
+    let waveTargetScale = 1; // snowman size multiplier for the current wave (shrinks as difficulty rises)
+    let targetClockSec = 0; // drives target motion and wind gusts (advances only while playing)
+    const wind = { x: 0, z: 0, strength: 0, directionDeg: 0, gust: 0 }; // current sample (see wind.js)
+    let aimYaw = 0;
+    let aimPitch = Math.PI / 6;
+    let nextId = 1;
+    const shooter = { x: 0, z: 0 };
+
+    const platforms = []; // { id, size, position, body }
+    const targets = []; // { id, type, variant, hp, maxHp, alive, active, motion, base, spawnTimeSec, height, colliderR, pose, body }
+    const projectiles = []; // { id, type, kind, shot, parentId, body, radius, speed, spawn, dir, age, bouncesLeft, canSplit, spawnTick, hitWorld, exploded, removed }
+    const debris = []; // { id, targetId, part, look, height, body, age, lifetimeSec }
+    const projectileByBodyId = new Map();
+    const targetByBodyId = new Map();
+    const worldBodyIds = new Set();
+    const pendingContacts = []; // [projectile, otherBody] collected during world.step, resolved after it
+    const motionSample = {}; // reused sampleMotion() output
+    const predictor = createTrajectoryPredictor({ CANNON });
+
+    // Events
+    const listeners = new Map(); // type -> Set<fn>; '*' receives (type, payload)
+    const emit = (type, payload = {}) => {
+        const set = listeners.get(type);
+        if (set) for (const fn of Array.from(set)) fn(payload);
+        const any = listeners.get('*');
+        if (any) for (const fn of Array.from(any)) fn(type, payload);
+    };
+
+    let worldMaterial = null; // ground + platforms; bouncy projectile types get a contact material against it
+    let projectileMaterials = new Map(); // type id -> CANNON.Material (per world)
+
+    const createWorld = () => {
+        const w = new CANNON.World();
+        w.gravity.set(gravity.x, gravity.y, gravity.z);
+        w.allowSleep = true;
+        worldMaterial = new CANNON.Material('world');
+        projectileMaterials = new Map();
+
+        // Ground plane (static)
+        const groundBody = new CANNON.Body({ mass: 0, material: worldMaterial });
+        groundBody.addShape(new CANNON.Plane());
+        groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        groundBody.collisionFilterGroup = CG_WORLD;
+        groundBody.collisionFilterMask = CG_PROJECTILE | CG_DEBRIS;
+        w.addBody(groundBody);
+
+        // Note: cannon-es emits beginContact in the middle of its step; removing bodies there
+        // breaks the step's loops, so contacts are queued and resolved once the step is done.
+        w.addEventListener('beginContact', (event) => {
+            const bodyA = event.bodyA;
+            const bodyB = event.bodyB;
+            if (!bodyA || !bodyB) return;
+            const projA = projectileByBodyId.get(bodyA.id);
+            const projB = projectileByBodyId.get(bodyB.id);
+            if (projA) pendingContacts.push([projA, bodyB]);
+            if (projB) pendingContacts.push([projB, bodyA]);
+        });
+
+        worldBodyIds.clear();
+        worldBodyIds.add(groundBody.id);
+        return w;
+    };
+
+    // --- Config ---
+
+    const applyConfig = (cfg) => {
+        if (!cfg) return { snowmanChanged: false };
+
+        const speed = cfg?.projectile?.initialSpeed;
+        if (isFiniteNumber(speed) && speed > 0) projectileSpeed = speed;
+
+        const g = cfg?.physics?.gravity;
+        if (isFiniteNumber(g?.x) && isFiniteNumber(g?.y) && isFiniteNumber(g?.z)) {
+            gravity.x = g.x;
+            gravity.y = g.y;
+            gravity.z = g.z;
+            if (world) world.gravity.set(gravity.x, gravity.y, gravity.z);
+        }
+
+        const nextPlayerH = cfg?.player?.height;
+        if (isFiniteNumber(nextPlayerH) && nextPlayerH > 0) playerHeight = nextPlayerH;
+
+        let snowmanChanged = false;
+        const nextSnowmanH = cfg?.snowman?.height;
+        if (isFiniteNumber(nextSnowmanH) && nextSnowmanH > 0) {
+            snowmanChanged = nextSnowmanH !== snowmanHeight;
+            snowmanHeight = nextSnowmanH;
+        }
+
+        // Scoring (base points + per-projectile pierce multiplier table)
+        const nextPerTarget = cfg?.scoring?.perTarget;
+        if (isFiniteNumber(nextPerTarget) && nextPerTarget >= 0) scorePerTarget = nextPerTarget;
+        const nextMultipliers = cfg?.scoring?.pierceMultipliers;
+        if (Array.isArray(nextMultipliers)) {
+            const table = nextMultipliers.map((m) => toFiniteNumber(m, NaN)).filter((m) => Number.isFinite(m) && m >= 0);
+            if (table.length) pierceMultipliers = table;
+        }
+
+        // Target variants (merge over current so partial configs only override what they mention)
+        const nextTypes = cfg?.targetTypes;
+        if (nextTypes && typeof nextTypes === 'object') {
+            const merged = { ...targetTypes };
+            for (const [id, raw] of Object.entries(nextTypes)) {
+                if (!raw || typeof raw !== 'object') continue;
+                merged[id] = normalizeTargetType(id, raw, targetTypes[id]);
+            }
+            targetTypes = merged;
+        }
+
+        // Wave progression (maxWaves: 0 = endless)
+        const nextWaves = cfg?.waves;
+        if (nextWaves && typeof nextWaves === 'object') {
+            const w = { ...waveRules };
+            const maxWaves = toFiniteNumber(nextWaves.maxWaves, w.maxWaves);
+            if (maxWaves >= 0) w.maxWaves = Math.floor(maxWaves);
+            for (const key of ['bonusTimeSec', 'bonusTimeDecaySec', 'minBonusTimeSec', 'targetScaleStep']) {
+                const v = toFiniteNumber(nextWaves[key], w[key]);
+                if (v >= 0) w[key] = v;
+            }
+            w.minTargetScale = clampNumber(toFiniteNumber(nextWaves.minTargetScale, w.minTargetScale), { min: 0.1, max: 1 });
+            waveRules = w;
+        }
+
+        // Ammo (a new mode or magazine size starts from a full magazine)
+        const nextAmmo = cfg?.ammo;
+        if (nextAmmo && typeof nextAmmo === 'object') {
+            const a = { ...ammoRules };
+            if (AMMO_MODES.includes(nextAmmo.mode)) a.mode = nextAmmo.mode;
+            const size = Math.floor(toFiniteNumber(nextAmmo.magazineSize, a.magazineSize));
+            if (size >= 1) a.magazineSize = size;
+            for (const key of ['reloadTimeSec', 'fireCooldownSec']) {
+                const v = toFiniteNumber(nextAmmo[key], a[key]);
+                if (v >= 0) a[key] = v;
+            }
+            const refill = a.mode !== ammoRules.mode || a.magazineSize !== ammoRules.magazineSize;
+            ammoRules = a;
+            if (refill) {
+                rounds = ammoRules.magazineSize;
+                reloadTicksLeft = 0;
+            }
+            emit('ammo', getAmmo());
+        }
+
+        // Debris
+        const nextDebris = cfg?.debris;
+        if (nextDebris && typeof nextDebris === 'object') {
+            const maxPieces = toFiniteNumber(nextDebris.maxPieces, debrisRules.maxPieces);
+            const lifetimeSec = toFiniteNumber(nextDebris.lifetimeSec, debrisRules.lifetimeSec);
+            debrisRules = {
+                maxPieces: clampNumber(Math.floor(maxPieces), { min: 0, max: 200 }),
+                lifetimeSec: lifetimeSec > 0 ? lifetimeSec : debrisRules.lifetimeSec,
+            };
+        }
+
+        // Charge
+        const nextCharge = cfg?.charge;
+        if (nextCharge && typeof nextCharge === 'object') {
+            const c = { ...chargeRules };
+            if (typeof nextCharge.enabled === 'boolean') c.enabled = nextCharge.enabled;
+            const minSpeed = toFiniteNumber(nextCharge.minSpeed, c.minSpeed);
+            if (minSpeed > 0) c.minSpeed = minSpeed;
+            const maxSpeed = toFiniteNumber(nextCharge.maxSpeed, c.maxSpeed);
+            c.maxSpeed = Math.max(c.minSpeed, maxSpeed);
+            const fullChargeSec = toFiniteNumber(nextCharge.fullChargeSec, c.fullChargeSec);
+            if (fullChargeSec > 0) c.fullChargeSec = fullChargeSec;
+            chargeRules = c;
+        }
+
+        // Projectile types (merged like target types)
+        const nextProjectileTypes = cfg?.projectileTypes;
+        if (nextProjectileTypes && typeof nextProjectileTypes === 'object') {
+            const merged = { ...projectileTypes };
+            for (const [id, raw] of Object.entries(nextProjectileTypes)) {
+                if (!raw || typeof raw !== 'object') continue;
+                merged[id] = normalizeProjectileType(id, raw, projectileTypes[id]);
+            }
+            projectileTypes = merged;
+            // Contact materials are built per type on first use; drop them so new restitution applies.
+            projectileMaterials = new Map();
+        }
+
+        // If snowman size changed, respawn the current wave's targets so collider + mesh match.
+        if (snowmanChanged && level) {
+            clearTargets();
+            createTargets(getWaveLayout(level, waveNumber).targets);
+        }
+
+        return { snowmanChanged };
+    };
+
+    const getConfig = () => ({
+        projectile: { initialSpeed: projectileSpeed },
+        physics: { gravity: { ...gravity } },
+        player: { height: playerHeight },
+        snowman: { height: snowmanHeight },
+        scoring: { perTarget: scorePerTarget, pierceMultipliers: pierceMultipliers.slice() },
+        targetTypes: Object.fromEntries(Object.entries(targetTypes).map(([id, t]) => [id, { ...t }])),
+        waves: { ...waveRules },
+        ammo: { ...ammoRules },
+        charge: { ...chargeRules },
+        debris: { ...debrisRules },
+        projectileTypes: Object.fromEntries(Object.entries(projectileTypes).map(([id, t]) => [id, { ...t }])),
+    });
+
+    // --- Level layout ---
+
+    const getTargetVariant = (type) => targetTypes[type] || targetTypes.standard || normalizeTargetType('standard', {});
+
+    const getTargetHeight = () => {
+        // Configured snowman height, scaled down by wave difficulty.
+        const h = clampNumber(toFiniteNumber(snowmanHeight, 1.2), { min: 0.2, max: 50 });
+        return h * waveTargetScale;
+    };
+
+    const createPlatforms = (list) => {
+        for (const p of list || []) {
+            const { w, h, d } = p.size;
+            const body = new CANNON.Body({
+                mass: 0,
+                material: worldMaterial,
+                shape: new CANNON.Box(new CANNON.Vec3(w / 2, h / 2, d / 2)),
+                position: new CANNON.Vec3(p.position.x, p.position.y, p.position.z),
+            });
+            body.collisionFilterGroup = CG_WORLD;
+            body.collisionFilterMask = CG_PROJECTILE | CG_DEBRIS;
+            world.addBody(body);
+            worldBodyIds.add(body.id);
+
+            const rec = { id: nextId++, size: { ...p.size }, position: { ...p.position }, body };
+            platforms.push(rec);
+            emit('platformAdded', { platform: rec });
+        }
+    };
+
+    const clearPlatforms = () => {
+        for (const p of platforms) {
+            world.removeBody(p.body);
+            worldBodyIds.delete(p.body.id);
+            emit('platformRemoved', { platform: p });
+        }
+        platforms.length = 0;
+    };
+
+    const syncTargetMotion = (target) => {
+        // Kinematic collider follows the sampled pose; the renderer copies `pose` onto the mesh.
+        const m = sampleMotion(target.motion, targetClockSec - target.spawnTimeSec, motionSample, {
+            targetHeight: target.height,
+        });
+        const pose = target.pose;
+        pose.x = target.base.x + m.dx;
+        pose.y = target.base.y + m.dy;
+        pose.z = target.base.z + m.dz;
+        pose.yaw = m.yaw;
+        // Fully sunk pop-ups are hidden (they'd poke out under ground-level placements).
+        pose.visible = m.dy > -target.height;
+
+        target.body.position.set(pose.x, pose.y + target.colliderR, pose.z);
+        target.body.aabbNeedsUpdate = true;
+
+        if (m.active !== target.active) {
+            target.active = m.active;
+            // Out-of-play targets keep their body but stop reporting contacts.
+            target.body.collisionFilterMask = m.active ? CG_PROJECTILE : 0;
+        }
+    };
+
+    const createTargets = (list) => {
+        const height = getTargetHeight();
+        const { colliderR } = getSnowmanDims(height);
+        for (const t of list || []) {
+            const variant = getTargetVariant(t.type);
+            const motion = t.motion || null;
+            const { x, y, z } = t.position;
+
+            // Static body, or kinematic when the level gives it a motion behavior.
+            // Single sphere collider; center sits above the platform surface.
+            const body = new CANNON.Body({
+                mass: 0,
+                type: motion ? CANNON.Body.KINEMATIC : CANNON.Body.STATIC,
+                shape: new CANNON.Sphere(colliderR),
+                position: new CANNON.Vec3(x, y + colliderR, z),
+            });
+            // Targets should not deflect the projectile (piercing), but should still report contacts.
+            body.collisionResponse = false;
+            body.collisionFilterGroup = CG_TARGET;
+            body.collisionFilterMask = CG_PROJECTILE;
+            // Moving targets are repositioned every tick; never let them fall asleep.
+            if (motion) body.allowSleep = false;
+            world.addBody(body);
+
+            const rec = {
+                id: nextId++,
+                type: t.type,
+                variant,
+                hp: variant.hp,
+                maxHp: variant.hp,
+                alive: true,
+                active: true, // false while a pop-up target is down (out of play)
+                motion,
+                base: { x, y, z },
+                spawnTimeSec: targetClockSec,
+                height,
+                colliderR,
+                pose: { x, y, z, yaw: 0, visible: true }, // y = surface the snowman stands on
+                body,
+            };
+            targets.push(rec);
+            targetByBodyId.set(body.id, rec);
+            if (motion) syncTargetMotion(rec);
+            emit('targetAdded', { target: rec });
+        }
+        log('[SnowballBlitz] targets created', { count: targets.length, wave: waveNumber });
+    };
+
+    const removeTargetBody = (t) => {
+        world.removeBody(t.body);
+        targetByBodyId.delete(t.body.id);
+    };
+
+    const clearTargets = () => {
+        for (const t of targets) {
+            if (!t.alive) continue;
+            t.alive = false;
+            removeTargetBody(t);
+            emit('targetRemoved', { target: t });
+        }
+        targets.length = 0;
+        targetByBodyId.clear();
+    };
+
+    // --- Debris ---
+
+    const removeDebrisAt = (idx, reason) => {
+        const d = debris[idx];
+        world.removeBody(d.body);
+        debris.splice(idx, 1);
+        emit('debrisRemoved', { debris: d, reason });
+    };
+
+    const spawnDebris = (target, projectile) => {
+        if (debrisRules.maxPieces <= 0) return;
+        const { bodyR, headR, gap, noseR, noseL } = getSnowmanDims(target.height);
+        const { x, y, z, yaw } = target.pose;
+        const look = target.variant.look;
+        const headY = bodyR + headR + gap; // above the surface the snowman stands on
+        // Same parts as the renderer's snowman; armored helmets are already gone unless it died to one hit.
+        const parts = [
+            { part: 'body', shape: new CANNON.Sphere(bodyR), offset: { x: 0, y: bodyR, z: 0 } },
+            { part: 'head', shape: new CANNON.Sphere(headR), offset: { x: 0, y: headY, z: 0 } },
+            { part: 'nose', shape: new CANNON.Sphere(Math.max(noseR, noseL * 0.3)), offset: { x: 0, y: headY, z: -headR } },
+        ];
+        if (look === 'friendly') {
+            const shape = new CANNON.Cylinder(headR * 0.05, headR * 0.8, headR * 1.2, 8);
+            parts.push({ part: 'hat', shape, offset: { x: 0, y: headY + headR * 1.35, z: 0 } });
+        } else if (look === 'armored' && target.maxHp <= 1) {
+            const shape = new CANNON.Cylinder(headR * 0.95, headR * 1.05, headR * 0.7, 8);
+            parts.push({ part: 'hat', shape, offset: { x: 0, y: headY + headR * 0.85, z: 0 } });
+        }
+
+        // Knocked along the projectile's flight (splash kills have no useful velocity: they just pop up)
+        const v = projectile && !projectile.exploded ? projectile.body.velocity : { x: 0, y: 0, z: 0 };
+        const speed = Math.hypot(v.x, v.y, v.z);
+        const knockScale = speed > 0 ? Math.min(DEBRIS_MAX_KNOCK_SPEED, speed * 0.25) / speed : 0;
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        for (const { part, shape, offset } of parts) {
+            // Keep the total under the cap by retiring the oldest pieces.
+            while (debris.length >= debrisRules.maxPieces) removeDebrisAt(0, 'cap');
+            const { mass, knock } = DEBRIS_PARTS[part];
+            const k = knockScale * knock;
+            const body = new CANNON.Body({
+                mass,
+                shape,
+                position: new CANNON.Vec3(x + offset.x * cos + offset.z * sin, y + offset.y, z - offset.x * sin + offset.z * cos),
+            });
+            body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), yaw);
+            body.collisionFilterGroup = CG_DEBRIS;
+            body.collisionFilterMask = CG_WORLD;
+            body.linearDamping = 0.1;
+            body.angularDamping = 0.3;
+            body.velocity.set(
+                v.x * k + (debrisRng() - 0.5) * 2,
+                Math.max(0, v.y * k) + 1.5 + debrisRng() * 2,
+                v.z * k + (debrisRng() - 0.5) * 2
+            );
+            body.angularVelocity.set((debrisRng() - 0.5) * 10, (debrisRng() - 0.5) * 10, (debrisRng() - 0.5) * 10);
+            world.addBody(body);
+
+            const rec = {
+                id: nextId++,
+                targetId: target.id,
+                part,
+                look,
+                height: target.height,
+                body,
+                age: 0,
+                lifetimeSec: debrisRules.lifetimeSec,
+            };
+            debris.push(rec);
+            emit('debrisSpawned', { debris: rec });
+        }
+    };
+
+    const updateDebris = () => {
+        for (let i = debris.length - 1; i >= 0; i--) {
+            const d = debris[i];
+            d.age += FIXED_DT;
+            if (d.age >= d.lifetimeSec) removeDebrisAt(i, 'age');
+            else if (d.body.position.y < -10) removeDebrisAt(i, 'fell');
+        }
+    };
+
+    // --- Projectiles ---
+
+    /**
+     * Launch of a shot fired right now. `speed` is the base speed (before the type's speedScale);
+     * the result also carries the type's behavior so previews can follow it.
+     */
+    const getLaunch = ({ yaw = aimYaw, pitch = aimPitch, speed: baseSpeed = projectileSpeed, type = projectileTypeId } = {}) => {
+        const kind = projectileTypes[type] || projectileTypes[DEFAULT_PROJECTILE_TYPE];
+        const speed = baseSpeed * kind.speedScale;
+        // Spawn slightly in front of and above the player (player center is at half height).
+        const dir = getAimDirection(yaw, pitch);
+        const position = {
+            x: shooter.x + dir.x,
+            y: playerHeight * 0.5 + 1.0 + dir.y,
+            z: shooter.z + dir.z,
+        };
+        return {
+            position,
+            direction: dir,
+            speed,
+            velocity: { x: dir.x * speed, y: dir.y * speed, z: dir.z * speed },
+            radius: kind.radius,
+            linearDamping: PROJECTILE_LINEAR_DAMPING,
+            type: projectileTypes[type] ? type : DEFAULT_PROJECTILE_TYPE,
+            bounces: kind.bounces,
+            restitution: kind.restitution,
+            splashRadius: kind.splashRadius,
+            cluster: kind.cluster,
+        };
+    };
+
+    /**
+     * Where a shot fired right now would go, stepped tick by tick through the live world (see predict.js).
+     * Takes getLaunch()'s options plus `maxTimeSec` and `stopAtTargets` (end at the first standing snowman;
+     * false flies through them). By default it follows the type: splash balls burst on the first snowman,
+     * everything else pierces. Moving snowmen are tested where their motion puts them on each tick.
+     * Returns { launch, points, hit: { kind: 'world' | 'target', position, body, tick } | null, bounces,
+     * targets: [target records the shot would touch, in order] }.
+     */
+    const predict = ({ maxTimeSec = PROJECTILE_MAX_AGE_SEC, stopAtTargets = null, ...aim } = {}) => {
+        const launch = getLaunch(aim);
+        const kind = projectileTypes[launch.type];
+        // Gusts and target motion follow the target clock as of tick k after launch (it only runs during
+        // play; accumulated tick by tick like stepTick so the samples match exactly).
+        const clockRunning = state === 'playing';
+        let clock = targetClockSec;
+        let clockTick = 0;
+        const clockAt = (k) => {
+            for (; clockTick < k; clockTick++) if (clockRunning) clock += FIXED_DT;
+            return clock;
+        };
+        const windAt = (k, out) => sampleWind(level ? level.wind : null, clockAt(k), currentSeed, out);
+        const classify = (body) => {
+            if (worldBodyIds.has(body.id)) return 'world';
+            const target = targetByBodyId.get(body.id);
+            return target && target.alive ? 'target' : null;
+        };
+        const bodyAt = (body, k, out) => {
+            // Same pose syncTargetMotion() will give the collider on that tick
+            const target = targetByBodyId.get(body.id);
+            if (!target) return body.position;
+            if (!target.motion) return target.active ? body.position : null;
+            const m = sampleMotion(target.motion, clockAt(k) - target.spawnTimeSec, motionSample, {
+                targetHeight: target.height,
+            });
+            if (!m.active) return null;
+            out.set(target.base.x + m.dx, target.base.y + m.dy + target.colliderR, target.base.z + m.dz);
+            return out;
+        };
+        const result = predictor.predict({
+            world,
+            position: launch.position,
+            velocity: launch.velocity,
+            radius: launch.radius,
+            mass: kind.mass,
+            material: world ? getProjectileMaterial(launch.type, kind) : null,
+            linearDamping: PROJECTILE_LINEAR_DAMPING,
+            gravity,
+            windAt,
+            dt: FIXED_DT,
+            maxTicks: Math.ceil(Math.max(0, toFiniteNumber(maxTimeSec, PROJECTILE_MAX_AGE_SEC)) / FIXED_DT),
+            maxAgeSec: PROJECTILE_MAX_AGE_SEC,
+            minY: PROJECTILE_MIN_Y,
+            collisionMask: CG_WORLD | CG_TARGET,
+            classify,
+            bodyAt,
+            stopAtTargets: stopAtTargets === null ? kind.splashRadius > 0 : !!stopAtTargets,
+            bounces: kind.bounces,
+            split: kind.cluster > 1 ? { radius: getFragmentRadius(kind) } : null,
+        });
+        return { launch, ...result, targets: result.targets.map((t) => targetByBodyId.get(t.body.id)) };
+    };
+
+    // --- Projectile types ---
+
+    const setProjectileType = (id) => {
+        if (!projectileTypes[id] || id === projectileTypeId) return !!projectileTypes[id];
+        projectileTypeId = id;
+        emit('projectileTypeChanged', { type: id });
+        return true;
+    };
+
+    const getProjectileMaterial = (typeId, kind) => {
+        if (kind.bounces <= 0) return null;
+        let material = projectileMaterials.get(typeId);
+        if (!material) {
+            material = new CANNON.Material(`projectile:${typeId}`);
+            world.addContactMaterial(new CANNON.ContactMaterial(worldMaterial, material, { friction: 0.05, restitution: kind.restitution }));
+            projectileMaterials.set(typeId, material);
+        }
+        return material;
+    };
+
+    const spawnProjectile = ({ typeId, kind, shot, parentId = null, position: p, velocity: v, radius, canSplit }) => {
+        const body = new CANNON.Body({
+            mass: kind.mass,
+            shape: new CANNON.Sphere(radius),
+            position: new CANNON.Vec3(p.x, p.y, p.z),
+        });
+        const material = getProjectileMaterial(typeId, kind);
+        if (material) body.material = material;
+        body.collisionFilterGroup = CG_PROJECTILE;
+        body.collisionFilterMask = CG_WORLD | CG_TARGET;
+        body.velocity.set(v.x, v.y, v.z);
+        body.linearDamping = PROJECTILE_LINEAR_DAMPING;
+        world.addBody(body);
+
+        const speed = Math.hypot(v.x, v.y, v.z);
+        const rec = {
+            id: nextId++,
+            type: typeId,
+            kind,
+            shot, // shared by a shot and its cluster fragments: { id, origin, hitAny, hitChain, live, maxAge }
+            parentId,
+            body,
+            radius,
+            speed,
+            spawn: { ...p },
+            dir: { x: v.x / (speed || 1), y: v.y / (speed || 1), z: v.z / (speed || 1) },
+            age: 0,
+            bouncesLeft: kind.bounces,
+            canSplit,
+            spawnTick: tick,
+            hitWorld: false,
+            exploded: false,
+            removed: false,
+        };
+        shot.live++;
+        projectiles.push(rec);
+        projectileByBodyId.set(body.id, rec);
+        emit('projectileSpawned', { projectile: rec });
+        return rec;
+    };
+
+    /**
+     * Launch speed for a charge level (0..1). Without charge rules every shot uses projectile.initialSpeed.
+     */
+    const getChargeSpeed = (charge = 1) => {
+        if (!chargeRules.enabled) return projectileSpeed;
+        const c = quantizeCharge(clampNumber(toFiniteNumber(charge, 1), { min: 0, max: 1 }));
+        return chargeRules.minSpeed + (chargeRules.maxSpeed - chargeRules.minSpeed) * c;
+    };
+
+    /**
+     * Upper bound on how far from the shooter (horizontally, in meters) any shot can still reach the ground:
+     * the fastest projectile type at full launch speed, at its best angle and without drag, plus the hops its
+     * bounces allow and the sideways drift of the strongest wind the level can blow. Infinity without gravity.
+     */
+    const getMaxShotRange = () => {
+        const g = -gravity.y;
+        if (!(g > 0)) return Infinity;
+        const launchSpeed = Math.max(projectileSpeed, getChargeSpeed(1));
+        const h = playerHeight * 0.5 + 2; // highest spawn (see getLaunch)
+        let range = 0;
+        let flightSec = 0;
+        for (const kind of Object.values(projectileTypes)) {
+            const v = launchSpeed * kind.speedScale;
+            let reach = (v / g) * Math.sqrt(v * v + 2 * g * h);
+            // Each bounce keeps the horizontal speed and scales the vertical one by the restitution
+            for (let i = 1, e = kind.restitution; i <= kind.bounces; i++, e *= kind.restitution) reach += (e * v * v) / g;
+            range = Math.max(range, reach);
+            flightSec = Math.max(flightSec, ((v + Math.sqrt(v * v + 2 * g * h)) / g) * (1 + kind.bounces));
+        }
+        const w = getMaxWindStrength(level && level.wind);
+        return range + 0.5 * w * flightSec * flightSec;
+    };
+
+    // --- Ammo ---
+
+    const secToTicks = (sec) => Math.round(sec / FIXED_DT);
+
+    const getAmmo = () => ({
+        mode: ammoRules.mode,
+        rounds: ammoRules.mode === 'magazine' ? rounds : null, // null = unlimited
+        magazineSize: ammoRules.magazineSize,
+        reloading: reloadTicksLeft > 0,
+        // 0 when the reload just started, 1 when it's done
+        reloadProgress: reloadTicksLeft > 0 ? Math.max(0, 1 - reloadTicksLeft / Math.max(1, secToTicks(ammoRules.reloadTimeSec))) : 1,
+        cooldownRemainingSec: cooldownTicksLeft * FIXED_DT,
+    });
+
+    const startReload = () => {
+        reloadTicksLeft = Math.max(1, secToTicks(ammoRules.reloadTimeSec));
+        emit('ammo', getAmmo());
+    };
+
+    const updateAmmo = () => {
+        if (cooldownTicksLeft > 0) cooldownTicksLeft--;
+        if (reloadTicksLeft > 0) {
+            // Progress is read from `sim.ammo` each frame; only the refill is an event.
+            reloadTicksLeft--;
+            if (reloadTicksLeft === 0) {
+                rounds = ammoRules.magazineSize;
+                emit('ammo', getAmmo());
+            }
+        }
+    };
+
+    const fire = ({ charge = 1 } = {}) => {
+        if (state !== 'playing') return null;
+        // Cooldown swallows mashed shots silently; an empty/reloading magazine "clicks".
+        if (cooldownTicksLeft > 0) return null;
+        if (ammoRules.mode === 'magazine' && (reloadTicksLeft > 0 || rounds <= 0)) {
+            emit('dryFire', { ammo: getAmmo() });
+            return null;
+        }
+        const launch = getLaunch({ speed: getChargeSpeed(charge) });
+        const kind = projectileTypes[launch.type];
+        stats.shots++;
+        const shot = { id: stats.shots, origin: { ...launch.position }, hitAny: false, hitChain: 0, live: 0, maxAge: 0 };
+        const rec = spawnProjectile({
+            typeId: launch.type,
+            kind,
+            shot,
+            position: launch.position,
+            velocity: launch.velocity,
+            radius: launch.radius,
+            canSplit: kind.cluster > 1,
+        });
+
+        cooldownTicksLeft = secToTicks(ammoRules.fireCooldownSec);
+        if (ammoRules.mode === 'magazine') {
+            rounds--;
+            if (rounds <= 0) startReload();
+            else emit('ammo', getAmmo());
+        }
+        return rec;
+    };
+
+    const removeProjectileAt = (idx, reason) => {
+        const p = projectiles[idx];
+        if (!p) return;
+        p.removed = true;
+        world.removeBody(p.body);
+        projectileByBodyId.delete(p.body.id);
+        projectiles.splice(idx, 1);
+        const shot = p.shot;
+        shot.live--;
+        shot.maxAge = Math.max(shot.maxAge, p.age);
+        if (reason !== 'reset' && reason !== 'split' && shot.live === 0) {
+            // A shot is resolved once its last projectile (or fragment) is gone; count misses and flight time here.
+            if (!shot.hitAny) stats.misses++;
+            stats.resolved++;
+            stats.flightTimeTotalSec += shot.maxAge;
+        }
+        emit('projectileRemoved', { projectile: p, reason });
+    };
+
+    const getFragmentRadius = (kind) => Math.max(0.05, kind.radius * CLUSTER_FRAGMENT_SCALE);
+
+    const splitProjectile = (p) => {
+        // Fragments fan out around the current heading (same speed), smaller and unable to split again.
+        const { kind } = p;
+        const pos = p.body.position;
+        const vel = p.body.velocity;
+        const spread = (kind.clusterSpreadDeg * Math.PI) / 180;
+        const radius = getFragmentRadius(kind);
+        for (let k = 0; k < kind.cluster; k++) {
+            const a = kind.cluster > 1 ? spread * ((2 * k) / (kind.cluster - 1) - 1) : 0;
+            const cos = Math.cos(a);
+            const sin = Math.sin(a);
+            spawnProjectile({
+                typeId: p.type,
+                kind,
+                shot: p.shot,
+                parentId: p.id,
+                position: { x: pos.x, y: pos.y, z: pos.z },
+                velocity: { x: vel.x * cos + vel.z * sin, y: vel.y, z: -vel.x * sin + vel.z * cos },
+                radius,
+                canSplit: false,
+            });
+        }
+    };
+
+    const updateProjectiles = () => {
+        for (let i = projectiles.length - 1; i >= 0; i--) {
+            const p = projectiles[i];
+            p.age += FIXED_DT;
+            // Cleanup rules: lifetime, impact (world / splash), or fell far below the world (failsafe)
+            if (p.age > PROJECTILE_MAX_AGE_SEC) removeProjectileAt(i, 'age');
+            else if (p.exploded) removeProjectileAt(i, 'explode');
+            else if (p.hitWorld) removeProjectileAt(i, 'world');
+            else if (p.body.position.y < PROJECTILE_MIN_Y) removeProjectileAt(i, 'fell');
+            else if (p.canSplit && p.body.velocity.y <= 0) {
+                // Cluster: top of the arc reached (fragments are appended, so this backwards loop skips them)
+                removeProjectileAt(i, 'split');
+                splitProjectile(p);
+            }
+        }
+    };
+
+    // --- Scoring / targets ---
+
+    const getPierceMultiplier = (chain) => {
+        // Chains longer than the table keep using its last entry.
+        if (!pierceMultipliers.length) return 1;
+        const idx = Math.max(0, Math.min(chain, pierceMultipliers.length) - 1);
+        return pierceMultipliers[idx];
+    };
+
+    const addScore = (delta) => {
+        const prev = score;
+        score = Math.max(0, score + delta);
+        if (score !== prev) emit('score', { score, delta: score - prev });
+    };
+
+    const countRemainingTargets = () =>
+        // Only targets that count for the wave (e.g. not friendlies) keep it going.
+        targets.reduce((n, t) => n + (t.alive && t.variant.countsForWave ? 1 : 0), 0);
+
+    const destroyTarget = (target, projectile) => {
+        target.alive = false;
+        removeTargetBody(target);
+        const variant = target.variant;
+
+        const result = { target, projectile, points: 0, chain: 0, multiplier: 1, penaltyScore: 0, penaltyTimeSec: 0 };
+        if (variant.penaltyScore > 0 || variant.penaltyTimeSec > 0) {
+            // Penalty target (friendly): costs score/time and doesn't extend the pierce chain.
+            result.penaltyScore = variant.penaltyScore;
+            result.penaltyTimeSec = variant.penaltyTimeSec;
+            timeRemainingSec = Math.max(0, timeRemainingSec - variant.penaltyTimeSec);
+        } else {
+            // Each shot (cluster fragments included) tracks its own hit chain; 2nd+ kills score the pierce bonus.
+            result.chain = projectile ? ++projectile.shot.hitChain : 1;
+            result.multiplier = getPierceMultiplier(result.chain);
+            result.points = Math.round((variant.points ?? scorePerTarget) * result.multiplier);
+            stats.kills++;
+            if (result.chain === 2) stats.multiKills++;
+            stats.bestChain = Math.max(stats.bestChain, result.chain);
+        }
+        if (result.penaltyScore > 0 || result.penaltyTimeSec > 0) stats.penalties++;
+        spawnDebris(target, projectile);
+        emit('targetDestroyed', result);
+        addScore(result.points - result.penaltyScore);
+
+        const remaining = countRemainingTargets();
+        log('[SnowballBlitz] target destroyed', { type: target.type, remaining });
+        // Wave cleared: next wave (or win after the final one)
+        if (state === 'playing' && remaining === 0) onAllTargetsCleared();
+    };
+
+    const damageTarget = (target, projectile, { splash = false } = {}) => {
+        const shot = projectile.shot;
+        if (!shot.hitAny) {
+            shot.hitAny = true;
+            stats.hits++;
+        }
+        // Straight-line distance from the muzzle to where the snowball connected.
+        const pos = projectile.body.position;
+        const dist = Math.hypot(pos.x - shot.origin.x, pos.y - shot.origin.y, pos.z - shot.origin.z);
+        stats.longestHitDistance = Math.max(stats.longestHitDistance, dist);
+        target.hp -= 1;
+        log('[SnowballBlitz] projectile hit target', { projectileId: projectile.id, targetId: target.id, hp: target.hp, splash });
+        if (target.hp > 0) emit('targetHit', { target, projectile, splash });
+        else destroyTarget(target, projectile);
+    };
+
+    const explodeProjectile = (projectile, directHit = null) => {
+        // Splash: every other standing target whose collider overlaps the blast takes one hit.
+        projectile.exploded = true;
+        const { x, y, z } = projectile.body.position;
+        const position = { x, y, z };
+        const radius = projectile.kind.splashRadius;
+        emit('projectileExploded', { projectile, position, radius });
+        for (const t of targets.slice()) {
+            if (t === directHit || !t.alive || !t.active || state !== 'playing') continue;
+            const c = t.body.position;
+            const reach = radius + t.colliderR;
+            const dx = c.x - x;
+            const dy = c.y - y;
+            const dz = c.z - z;
+            if (dx * dx + dy * dy + dz * dz <= reach * reach) damageTarget(t, projectile, { splash: true });
+        }
+    };
+
+    const handleProjectileContact = (projectile, otherBody) => {
+        if (projectile.removed || projectile.exploded) return;
+
+        // Projectile vs target: damage/destroy target, keep projectile (piercing) unless it explodes
+        const target = targetByBodyId.get(otherBody.id);
+        if (target) {
+            if (!target.alive || !target.active || state !== 'playing') return;
+            damageTarget(target, projectile);
+            if (projectile.kind.splashRadius > 0) explodeProjectile(projectile, target);
+            return;
+        }
+
+        // Projectile vs world: bounce if it has bounces left, else explode / get removed at the end of this tick
+        if (!worldBodyIds.has(otherBody.id)) return;
+        if (projectile.bouncesLeft > 0) {
+            projectile.bouncesLeft--;
+            const { x, y, z } = projectile.body.position;
+            emit('projectileBounced', { projectile, position: { x, y, z } });
+        } else if (projectile.kind.splashRadius > 0) {
+            explodeProjectile(projectile);
+        } else {
+            projectile.hitWorld = true;
+        }
+    };
+
+    // --- Waves ---
+
+    const getWaveTargetScale = (n) => Math.max(waveRules.minTargetScale, 1 - waveRules.targetScaleStep * (n - 1));
+
+    const getWaveBonusTime = (n, layout) => {
+        // Level files may pin a wave's bonus; otherwise it shrinks each wave down to a floor.
+        if (layout && isFiniteNumber(layout.bonusTimeSec)) return layout.bonusTimeSec;
+        const decayed = waveRules.bonusTimeSec - waveRules.bonusTimeDecaySec * Math.max(0, n - 2);
+        return Math.max(Math.min(waveRules.minBonusTimeSec, waveRules.bonusTimeSec), decayed);
+    };
+
+    const startWave = (n) => {
+        const prevLayout = getWaveLayout(level, waveNumber);
+        const layout = getWaveLayout(level, n);
+        waveNumber = n;
+        waveTargetScale = getWaveTargetScale(n);
+
+        // Only rebuild platforms when the wave brings its own layout.
+        if (layout.platforms !== prevLayout.platforms) {
+            clearPlatforms();
+            createPlatforms(layout.platforms);
+        }
+        clearTargets();
+        createTargets(layout.targets);
+
+        const bonusTimeSec = getWaveBonusTime(n, layout);
+        timeRemainingSec += bonusTimeSec;
+        emit('waveStarted', { wave: n, bonusTimeSec, targetScale: waveTargetScale, repeated: layout.repeated });
+    };
+
+    const end = (reason) => {
+        if (state !== 'playing') return;
+        state = 'ended';
+        endReason = reason;
+        if (reason === 'timeout') timeRemainingSec = 0;
+        emit('ended', { reason, score, wave: waveNumber, timeRemainingSec, stats: getStats() });
+    };
+
+    const getStats = () => ({
+        shots: stats.shots,
+        hits: stats.hits,
+        misses: stats.misses,
+        inFlight: stats.shots - stats.resolved,
+        accuracy: stats.shots > 0 ? stats.hits / stats.shots : 0,
+        kills: stats.kills,
+        multiKills: stats.multiKills,
+        bestChain: stats.bestChain,
+        penalties: stats.penalties,
+        longestHitDistance: Math.round(stats.longestHitDistance * 100) / 100,
+        avgFlightTimeSec: stats.resolved > 0 ? Math.round((stats.flightTimeTotalSec / stats.resolved) * 1000) / 1000 : 0,
+    });
+
+    const onAllTargetsCleared = () => {
+        if (state !== 'playing') return;
+        if (waveRules.maxWaves > 0 && waveNumber >= waveRules.maxWaves) {
+            log('[SnowballBlitz] win condition met (final wave cleared)', { wave: waveNumber });
+            end('win');
+            return;
+        }
+        startWave(waveNumber + 1);
+    };
+
+    // --- Match lifecycle ---
+
+    const reset = ({ seed: nextSeed } = {}) => {
+        if (isFiniteNumber(nextSeed)) currentSeed = Math.floor(nextSeed);
+        debrisRng = createRng(currentSeed ^ 0x5bd1e995);
+
+        // Tell subscribers about everything that goes away, then start from a fresh world so
+        // replays don't depend on whatever the previous match left in cannon's internal state.
+        for (let i = projectiles.length - 1; i >= 0; i--) removeProjectileAt(i, 'reset');
+        for (let i = debris.length - 1; i >= 0; i--) removeDebrisAt(i, 'reset');
+        if (world) {
+            clearTargets();
+            clearPlatforms();
+        }
+        pendingContacts.length = 0;
+        projectileByBodyId.clear();
+        world = createWorld();
+
+        tick = 0;
+        accumulator = 0;
+        score = 0;
+        stats = createStats();
+        rounds = ammoRules.magazineSize;
+        reloadTicksLeft = 0;
+        cooldownTicksLeft = 0;
+        nextId = 1;
+        waveNumber = 1;
+        waveTargetScale = 1;
+        targetClockSec = 0;
+        updateWind();
+        endReason = null;
+        timeLimitSec = level ? level.timeLimitSec : 60;
+        timeRemainingSec = timeLimitSec;
+        state = level ? 'playing' : 'idle';
+
+        if (level) {
+            const layout = getWaveLayout(level, 1);
+            createPlatforms(layout.platforms);
+            createTargets(layout.targets);
+        }
+        emit('reset', { seed: currentSeed, level });
+    };
+
+    const setLevel = (nextLevel, { seed: nextSeed } = {}) => {
+        level = nextLevel || null;
+        if (level) {
+            shooter.x = level.shooter.x;
+            shooter.z = level.shooter.z;
+        }
+        reset({ seed: nextSeed });
+    };
+
+    const quantizeAim = (rad) => Math.round(rad / AIM_RESOLUTION_RAD) * AIM_RESOLUTION_RAD;
+    const quantizeCharge = (c) => Math.round(c / CHARGE_RESOLUTION) * CHARGE_RESOLUTION;
+
+    const setAim = (yaw, pitch) => {
+        if (isFiniteNumber(yaw)) aimYaw = quantizeAim(yaw);
+        if (isFiniteNumber(pitch)) aimPitch = quantizeAim(clampNumber(pitch, { min: MIN_AIM_PITCH, max: MAX_AIM_PITCH }));
+    };
+
+    const updateWind = () => sampleWind(level ? level.wind : null, targetClockSec, currentSeed, wind);
+
+    const stepTick = () => {
+        if (!world) return;
+
+        // Move animated targets before physics so contacts use current poses
+        if (state === 'playing') {
+            targetClockSec += FIXED_DT;
+            updateAmmo();
+        }
+        for (const t of targets) {
+            if (t.alive && t.motion) syncTargetMotion(t);
+        }
+
+        // Wind: a horizontal acceleration on every projectile (cannon clears forces after each step)
+        updateWind();
+        if (wind.strength > 0) {
+            for (const p of projectiles) {
+                p.body.force.x += p.body.mass * wind.x;
+                p.body.force.z += p.body.mass * wind.z;
+            }
+        }
+
+        world.step(FIXED_DT);
+
+        // Resolve contacts collected during the step (in the order cannon reported them)
+        for (let i = 0; i < pendingContacts.length; i++) {
+            const [projectile, other] = pendingContacts[i];
+            handleProjectileContact(projectile, other);
+        }
+        pendingContacts.length = 0;
+
+        updateProjectiles();
+        updateDebris();
+
+        if (state === 'playing') {
+            // Also check wave clear here (in case anything removed targets outside destroyTarget)
+            if (countRemainingTargets() === 0) onAllTargetsCleared();
+            timeRemainingSec -= FIXED_DT;
+            if (timeRemainingSec <= 0) end('timeout');
+        }
+        tick++;
+    };
+
+    /**
+     * Advance by real elapsed time; runs whole fixed ticks and carries the remainder.
+     * Returns the number of ticks run.
+     */
+    const step = (dt) => {
+        accumulator += Math.max(0, toFiniteNumber(dt, 0));
+        let n = 0;
+        while (accumulator >= FIXED_DT && n < MAX_SUBSTEPS) {
+            stepTick();
+            accumulator -= FIXED_DT;
+            n++;
+        }
+        // Drop time we couldn't catch up on (tab switches / hiccups) instead of spiraling.
+        if (n === MAX_SUBSTEPS) accumulator = Math.min(accumulator, FIXED_DT);
+        return n;
+    };
+
+    /**
+     * Apply one recorded input: { type: 'aim', yaw, pitch } | { type: 'fire', charge? } | { type: 'projectile', id }
+     * | { type: 'restart' }.
+     */
+    const applyInput = (input) => {
+        if (!input) return;
+        if (input.type === 'aim') setAim(input.yaw, input.pitch);
+        else if (input.type === 'fire') fire({ charge: input.charge });
+        else if (input.type === 'projectile') setProjectileType(input.id);
+        else if (input.type === 'restart') reset();
+    };
+
+    const describeEvent = (type, payload) => {
+        // Plain-data view of an event (no cannon bodies), for headless runs and logs.
+        switch (type) {
+            case 'projectileSpawned':
+                return {
+                    id: payload.projectile.id,
+                    projectileType: payload.projectile.type,
+                    parentId: payload.projectile.parentId,
+                    spawn: payload.projectile.spawn,
+                    dir: payload.projectile.dir,
+                };
+            case 'projectileBounced':
+                return { id: payload.projectile.id, position: payload.position };
+            case 'projectileExploded':
+                return { id: payload.projectile.id, position: payload.position, radius: payload.radius };
+            case 'projectileRemoved': {
+                const pos = payload.projectile.body.position;
+                return { id: payload.projectile.id, reason: payload.reason, position: { x: pos.x, y: pos.y, z: pos.z } };
+            }
+            case 'targetAdded':
+            case 'targetRemoved':
+                return { id: payload.target.id, targetType: payload.target.type };
+            case 'targetHit':
+                return {
+                    id: payload.target.id,
+                    targetType: payload.target.type,
+                    hp: payload.target.hp,
+                    projectileId: payload.projectile.id,
+                    splash: payload.splash,
+                };
+            case 'targetDestroyed':
+                return {
+                    id: payload.target.id,
+                    targetType: payload.target.type,
+                    projectileId: payload.projectile ? payload.projectile.id : null,
+                    points: payload.points,
+                    chain: payload.chain,
+                    multiplier: payload.multiplier,
+                    penaltyScore: payload.penaltyScore,
+                    penaltyTimeSec: payload.penaltyTimeSec,
+                };
+            case 'debrisSpawned':
+                return { id: payload.debris.id, targetId: payload.debris.targetId, part: payload.debris.part };
+            case 'debrisRemoved':
+                return { id: payload.debris.id, reason: payload.reason };
+            case 'platformAdded':
+            case 'platformRemoved':
+                return { id: payload.platform.id };
+            case 'reset':
+                return { seed: payload.seed, level: payload.level ? payload.level.id : null };
+            default:
+                return { ...payload };
+        }
+    };
+
+    /**
+     * Play a whole match headlessly from timed inputs.
+     * inputs: [{ tick | t, type, ... }] (t in seconds is rounded to the nearest tick).
+     * Returns { events, score, state, endReason, wave, timeRemainingSec, ticks, stats }.
+     */
+    const run = ({ inputs = [], maxTimeSec = 600, stopOnEnd = true, restart = true } = {}) => {
+        if (!level) throw new Error('run() needs a level (call setLevel first)');
+        const queue = inputs
+            .map((input, i) => ({
+                input,
+                i,
+                tick: isFiniteNumber(input?.tick) ? Math.floor(input.tick) : Math.round(toFiniteNumber(input?.t, 0) / FIXED_DT),
+            }))
+            .sort((a, b) => a.tick - b.tick || a.i - b.i);
+
+        const events = [];
+        const off = on('*', (type, payload) => events.push({ tick, type, ...describeEvent(type, payload) }));
+        try {
+            if (restart) reset();
+            const maxTicks = Math.ceil(maxTimeSec / FIXED_DT);
+            let q = 0;
+            while (tick < maxTicks) {
+                while (q < queue.length && queue[q].tick <= tick) applyInput(queue[q++].input);
+                if (stopOnEnd && state === 'ended' && q >= queue.length) break;
+                stepTick();
+            }
+        } finally {
+            off();
+        }
+        return { events, score, state, endReason, wave: waveNumber, timeRemainingSec, ticks: tick, stats: getStats() };
+    };
+
+    function on(type, fn) {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(fn);
+        return () => off(type, fn);
+    }
+
+    function off(type, fn) {
+        const set = listeners.get(type);
+        if (set) set.delete(fn);
+    }
+
+    applyConfig(config);
+
+    return {
+        on,
+        off,
+        applyConfig,
+        getConfig,
+        setLevel,
+        reset,
+        setAim,
+        fire,
+        step,
+        stepTick,
+        applyInput,
+        run,
+        getLaunch,
+        predict,
+        getChargeSpeed,
+        getMaxShotRange,
+        setProjectileType,
+        countRemainingTargets,
+        getStats,
+        get world() { return world; },
+        get level() { return level; },
+        get state() { return state; },
+        get endReason() { return endReason; },
+        get tick() { return tick; },
+        get timeSec() { return tick * FIXED_DT; },
+        get seed() { return currentSeed; },
+        get score() { return score; },
+        get wave() { return waveNumber; },
+        get timeLimitSec() { return timeLimitSec; },
+        get timeRemainingSec() { return timeRemainingSec; },
+        get aim() { return { yaw: aimYaw, pitch: aimPitch }; },
+        get ammo() { return getAmmo(); },
+        get shooter() { return { ...shooter }; },
+        get gravity() { return { ...gravity }; },
+        get wind() { return { ...wind }; },
+        get projectileSpeed() { return projectileSpeed; },
+        get charge() { return { ...chargeRules }; },
+        get projectileType() { return projectileTypeId; },
+        get projectileTypes() { return Object.entries(projectileTypes).map(([id, t]) => ({ id, ...t })); },
+        get playerHeight() { return playerHeight; },
+        get targets() { return targets; },
+        get platforms() { return platforms; },
+        get projectiles() { return projectiles; },
+        get debris() { return debris; },
+        get worldBodyIds() { return worldBodyIds; },
+    };
+}
+
+/**
+ * Automated check that predict() matches the simulation: for every aim in a yaw × pitch grid, predict the
+ * landing (flying through snowmen), then fire the same shot in a fresh match and measure how far from the
+ * prediction it actually hit the world. Splash shots that touch a snowman may burst on it instead of
+ * reaching the world, so those aims are counted as skipped. Expect agreement to floating-point noise.
+ *
+ * Returns { type, tolerance, checked, skipped, maxError, failures: [{ yaw, pitch, predicted, simulated, error }] }
+ * (`predicted` / `simulated` may be null when only one side landed within the projectile lifetime).
+ */
+export function checkTrajectoryPrediction({
+    CANNON,
+    config = null,
+    level,
+    seed = 1,
+    type = DEFAULT_PROJECTILE_TYPE,
+    yaws = [-0.6, -0.3, 0, 0.3, 0.6],
+    pitches = [-0.8, -0.5, -0.3, -0.1, 0.1, 0.3],
+    tolerance = 0.01,
+} = {}) {
+    if (!level) throw new Error('checkTrajectoryPrediction needs a level');
+    const sim = createSimulation({ CANNON, config, seed });
+    sim.setLevel(level);
+    const report = { type, tolerance, checked: 0, skipped: 0, maxError: 0, failures: [] };
+    const maxTicks = Math.ceil(PROJECTILE_MAX_AGE_SEC / FIXED_DT) + 2;
+
+    for (const yaw of yaws) {
+        for (const pitch of pitches) {
+            sim.reset();
+            sim.setProjectileType(type);
+            sim.setAim(yaw, pitch);
+            const aim = sim.aim; // quantized, exactly what fire() uses
+            const speed = sim.getChargeSpeed(1);
+            const prediction = sim.predict({ yaw: aim.yaw, pitch: aim.pitch, speed, stopAtTargets: false });
+            const predicted = prediction.hit ? prediction.hit.position : null;
+
+            // Landings of this shot (cluster fragments included); the closest one is compared.
+            const landings = [];
+            const off = sim.on('projectileRemoved', ({ projectile, reason }) => {
+                if (reason !== 'world' && reason !== 'explode') return;
+                // Impacts are detected before the step that removes the body moves it, i.e. at previousPosition.
+                const { x, y, z } = projectile.body.previousPosition;
+                landings.push({ x, y, z, burstOnTarget: reason === 'explode' && projectile.shot.hitAny });
+            });
+            const rec = sim.fire({ charge: 1 });
+            for (let i = 0; rec && rec.shot.live > 0 && i < maxTicks; i++) sim.stepTick();
+            off();
+
+            if (landings.some((l) => l.burstOnTarget)) {
+                report.skipped++;
+                continue;
+            }
+            let simulated = null;
+            let error = predicted ? Infinity : 0;
+            for (const l of landings) {
+                const d = predicted ? Math.hypot(l.x - predicted.x, l.y - predicted.y, l.z - predicted.z) : Infinity;
+                if (!simulated || d < error) {
+                    simulated = { x: l.x, y: l.y, z: l.z };
+                    error = d;
+                }
+            }
+            report.checked++;
+            if (Number.isFinite(error)) report.maxError = Math.max(report.maxError, error);
+            if (!(error <= tolerance)) report.failures.push({ yaw: aim.yaw, pitch: aim.pitch, predicted, simulated, error });
+        }
+    }
+    return report;
+}
@@ -0,0 +1,129 @@
+/**
+ * Target motion behaviors (moving / animated snowmen).
+ *
+ * A level target may carry a `motion` block:
+ *   { "type": "slide",    "axis": "x", "distance": 2, "periodSec": 3, "phase": 0 }
+ *   { "type": "bob",      "height": 0.8, "periodSec": 2, "phase": 0 }
+ *   { "type": "carousel", "radius": 2, "periodSec": 6, "phase": 0.25 }   // target position = carousel center
+ *   { "type": "popup",    "upSec": 2.5, "downSec": 2, "phase": 0 }         // sinks out of reach while down
+ *
+ * `phase` is a 0..1 fraction of the cycle so several targets can share one pattern out of step.
+ * Sampling is a pure function of time, so the same clock always gives the same pose.
+ * This module is intentionally dependency-free (no Three.js / cannon-es required).
+ */
+
+export const MOTION_TYPES = ['slide', 'bob', 'carousel', 'popup'];
+
+// Popup rise/sink duration (seconds) at each end of the "up" window.
+const POPUP_TRANSITION_SEC = 0.25;
+
+function toFiniteNumber(value, fallback) {
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+function positive(value, fallback) {
+    const n = toFiniteNumber(value, fallback);
+    return n > 0 ? n : fallback;
+}
+
+/**
+ * Validate a raw `motion` block; returns null for static targets or unknown types.
+ */
+export function normalizeMotion(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const type = typeof raw.type === 'string' ? raw.type : '';
+    const phase = ((toFiniteNumber(raw.phase, 0) % 1) + 1) % 1;
+
+    switch (type) {
+        case 'slide':
+            return {
+                type,
+                axis: raw.axis === 'z' ? 'z' : 'x',
+                distance: Math.abs(toFiniteNumber(raw.distance, 2)),
+                periodSec: positive(raw.periodSec, 3),
+                phase,
+            };
+        case 'bob':
+            return {
+                type,
+                height: Math.abs(toFiniteNumber(raw.height, 0.8)),
+                periodSec: positive(raw.periodSec, 2),
+                phase,
+            };
+        case 'carousel':
+            return {
+                type,
+                radius: Math.abs(toFiniteNumber(raw.radius, 2)),
+                periodSec: positive(raw.periodSec, 6) * (raw.clockwise ? -1 : 1),
+                phase,
+            };
+        case 'popup':
+            return {
+                type,
+                upSec: positive(raw.upSec, 2.5),
+                downSec: positive(raw.downSec, 2),
+                phase,
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Pose offset relative to the target's level position at `timeSec` (seconds since spawn).
+ * Writes into `out` and returns it: { dx, dy, dz, yaw, active }.
+ * `active: false` means the target is out of play (popup down) and should not collide.
+ */
+export function sampleMotion(motion, timeSec, out = {}, { targetHeight = 1 } = {}) {
+    out.dx = 0;
+    out.dy = 0;
+    out.dz = 0;
+    out.yaw = 0;
+    out.active = true;
+    if (!motion) return out;
+
+    const t = Math.max(0, timeSec);
+    switch (motion.type) {
+        case 'slide': {
+            const s = Math.sin(2 * Math.PI * (t / motion.periodSec + motion.phase));
+            if (motion.axis === 'z') out.dz = s * motion.distance;
+            else out.dx = s * motion.distance;
+            break;
+        }
+        case 'bob': {
+            // 0..height so the snowman never sinks into its platform.
+            const c = Math.cos(2 * Math.PI * (t / motion.periodSec + motion.phase));
+            out.dy = (0.5 - 0.5 * c) * motion.height;
+            break;
+        }
+        case 'carousel': {
+            const a = 2 * Math.PI * (t / motion.periodSec + motion.phase);
+            out.dx = Math.cos(a) * motion.radius;
+            out.dz = Math.sin(a) * motion.radius;
+            // Keep the nose (modelled at -Z) pointing along the direction of travel: the velocity is
+            // (-sin a, cos a) counter-clockwise and the reverse clockwise (negative period).
+            out.yaw = motion.periodSec < 0 ? -a : Math.PI - a;
+            break;
+        }
+        case 'popup': {
+            const cycle = motion.upSec + motion.downSec;
+            const local = (t + motion.phase * cycle) % cycle;
+            const edge = Math.min(POPUP_TRANSITION_SEC, motion.upSec / 2);
+            let up = 0;
+            if (local < motion.upSec) {
+                if (local < edge) up = local / edge;
+                else if (local > motion.upSec - edge) up = (motion.upSec - local) / edge;
+                else up = 1;
+            }
+            const depth = targetHeight * 1.1;
+            out.dy = -(1 - up) * depth;
+            // Only hittable once mostly out of the platform.
+            out.active = up > 0.5;
+            break;
+        }
+        default:
+            break;
+    }
+    return out;
+}
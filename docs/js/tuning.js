@@ -5,8 +5,12 @@
  * - Live-edit projectile initial speed + gravity vector
  * - Live-edit camera (height/distance/pitch in degrees)
  * - Live-edit target min/max distance (keeps direction/layout fixed)
+ * - Live-edit ammo rules (infinite/magazine, magazine size, reload, fire cooldown)
+ * - Live-edit hold-to-charge (on/off, min/max launch speed, full charge time)
  * - Persist in localStorage
  * - Copy JSON to clipboard / Download game.json
+ * - Download / load a match replay (when `replay` hooks are passed in)
+ * - Copy the current match's shot stats as JSON (when `getStats` is passed in)
  */
 
 const DEFAULT_STORAGE_KEY = 'snowballblitz:tuning';
@@ -171,6 +175,17 @@ function injectStylesOnce() {
         color: #fff;
         outline: none;
       }
+      .tuning-panel select {
+        width: 120px;
+        padding: 6px 8px;
+        border-radius: 10px;
+        border: 1px solid rgba(255, 255, 255, 0.18);
+        background: rgba(255, 255, 255, 0.06);
+        color: #fff;
+      }
+      .tuning-panel select option {
+        color: #111;
+      }
       .tuning-panel input[type="number"]:focus {
         border-color: rgba(255, 255, 255, 0.35);
       }
@@ -248,6 +263,9 @@ export function createTuningPanel({
     setConfig,
     defaultConfig,
     fileConfig,
+    replay = null, // { getReplay(): { filename, text } | null, loadReplay(text) } (throws on bad files)
+    getStats = null, // () => plain stats object (see sim.getStats)
+    checkTrajectory = null, // () => prediction-vs-simulation report (see checkTrajectoryPrediction in sim.js)
     storageKey = DEFAULT_STORAGE_KEY,
     debug = null,
 } = {}) {
@@ -344,6 +362,48 @@ export function createTuningPanel({
           <input id="tune-snowman-height" type="number" step="0.1" min="0.1" />
         </div>
 
+        <h3 class="section-title">Ammo</h3>
+        <div class="row">
+          <label for="tune-ammo-mode">Mode</label>
+          <select id="tune-ammo-mode">
+            <option value="infinite">Infinite</option>
+            <option value="magazine">Magazine</option>
+          </select>
+        </div>
+        <div class="row">
+          <label for="tune-ammo-mag">Magazine size</label>
+          <input id="tune-ammo-mag" type="number" step="1" min="1" />
+        </div>
+        <div class="row">
+          <label for="tune-ammo-reload">Reload (s)</label>
+          <input id="tune-ammo-reload" type="number" step="0.1" min="0" />
+        </div>
+        <div class="row">
+          <label for="tune-ammo-cooldown">Fire cooldown (s)</label>
+          <input id="tune-ammo-cooldown" type="number" step="0.05" min="0" />
+        </div>
+
+        <h3 class="section-title">Charge</h3>
+        <div class="row">
+          <label for="tune-charge-enabled">Hold to charge</label>
+          <select id="tune-charge-enabled">
+            <option value="off">Off</option>
+            <option value="on">On</option>
+          </select>
+        </div>
+        <div class="row">
+          <label for="tune-charge-min">Min speed</label>
+          <input id="tune-charge-min" type="number" step="0.5" min="0.1" />
+        </div>
+        <div class="row">
+          <label for="tune-charge-max">Max speed</label>
+          <input id="tune-charge-max" type="number" step="0.5" min="0.1" />
+        </div>
+        <div class="row">
+          <label for="tune-charge-time">Full charge (s)</label>
+          <input id="tune-charge-time" type="number" step="0.05" min="0.05" />
+        </div>
+
         <h3 class="section-title">Trajectory</h3>
         <div class="row">
           <label for="tune-traj-seg">Segment length</label>
@@ -359,6 +419,11 @@ export function createTuningPanel({
           <button type="button" id="tune-download" class="secondary">Download game.json</button>
           <button type="button" id="tune-reset-file" class="secondary">Reset to file</button>
           <button type="button" id="tune-reset-defaults" class="secondary">Reset defaults</button>
+          <button type="button" id="tune-replay-download" class="secondary">Download replay</button>
+          <button type="button" id="tune-replay-load" class="secondary">Load replay</button>
+          <input type="file" id="tune-replay-file" accept=".json,application/json" hidden />
+          <button type="button" id="tune-stats-copy" class="secondary">Copy stats JSON</button>
+          <button type="button" id="tune-trajectory-check" class="secondary">Check trajectory</button>
         </div>
         <textarea class="json" id="tune-json" spellcheck="false" readonly></textarea>
         <div class="status" id="tune-status"></div>
@@ -383,6 +448,14 @@ export function createTuningPanel({
     const elSfxVol = panel.querySelector('#tune-sfx-vol');
     const elPlayerHeight = panel.querySelector('#tune-player-height');
     const elSnowmanHeight = panel.querySelector('#tune-snowman-height');
+    const elAmmoMode = panel.querySelector('#tune-ammo-mode');
+    const elAmmoMag = panel.querySelector('#tune-ammo-mag');
+    const elAmmoReload = panel.querySelector('#tune-ammo-reload');
+    const elAmmoCooldown = panel.querySelector('#tune-ammo-cooldown');
+    const elChargeEnabled = panel.querySelector('#tune-charge-enabled');
+    const elChargeMin = panel.querySelector('#tune-charge-min');
+    const elChargeMax = panel.querySelector('#tune-charge-max');
+    const elChargeTime = panel.querySelector('#tune-charge-time');
     const elTrajSeg = panel.querySelector('#tune-traj-seg');
     const elTrajMaxPts = panel.querySelector('#tune-traj-maxpts');
     const elJson = panel.querySelector('#tune-json');
@@ -410,6 +483,13 @@ export function createTuningPanel({
 
         const playerH = clampNumber(toNumber(elPlayerHeight.value, defaultConfig?.player?.height ?? 2), { min: 0.1 });
         const snowmanH = clampNumber(toNumber(elSnowmanHeight.value, defaultConfig?.snowman?.height ?? 1.2), { min: 0.1 });
+        const ammoMode = elAmmoMode.value === 'magazine' ? 'magazine' : 'infinite';
+        const ammoMag = clampNumber(toNumber(elAmmoMag.value, defaultConfig?.ammo?.magazineSize ?? 6), { min: 1 });
+        const ammoReload = clampNumber(toNumber(elAmmoReload.value, defaultConfig?.ammo?.reloadTimeSec ?? 1.5), { min: 0 });
+        const ammoCooldown = clampNumber(toNumber(elAmmoCooldown.value, defaultConfig?.ammo?.fireCooldownSec ?? 0), { min: 0 });
+        const chargeMin = clampNumber(toNumber(elChargeMin.value, defaultConfig?.charge?.minSpeed ?? 25), { min: 0.1 });
+        const chargeMax = clampNumber(toNumber(elChargeMax.value, defaultConfig?.charge?.maxSpeed ?? 60), { min: chargeMin });
+        const chargeTime = clampNumber(toNumber(elChargeTime.value, defaultConfig?.charge?.fullChargeSec ?? 1), { min: 0.05 });
         const trajSeg = clampNumber(toNumber(elTrajSeg.value, defaultConfig?.trajectory?.segmentLength ?? 0.35), { min: 0.05 });
         const trajMaxPts = clampNumber(toNumber(elTrajMaxPts.value, defaultConfig?.trajectory?.maxPoints ?? 80), { min: 4 });
 
@@ -421,6 +501,8 @@ export function createTuningPanel({
             audio: { bgmVolume: bgmVol, sfxVolume: sfxVol },
             player: { height: playerH },
             snowman: { height: snowmanH },
+            ammo: { mode: ammoMode, magazineSize: Math.floor(ammoMag), reloadTimeSec: ammoReload, fireCooldownSec: ammoCooldown },
+            charge: { enabled: elChargeEnabled.value === 'on', minSpeed: chargeMin, maxSpeed: chargeMax, fullChargeSec: chargeTime },
             trajectory: { segmentLength: trajSeg, maxPoints: Math.floor(trajMaxPts) },
         };
     };
@@ -441,6 +523,8 @@ export function createTuningPanel({
         const aud = cfg?.audio ?? { bgmVolume: 0.12, sfxVolume: 0.55 };
         const playerCfg = cfg?.player ?? { height: 2 };
         const snowmanCfg = cfg?.snowman ?? { height: 1.2 };
+        const ammoCfg = cfg?.ammo ?? { mode: 'infinite', magazineSize: 6, reloadTimeSec: 1.5, fireCooldownSec: 0 };
+        const chargeCfg = cfg?.charge ?? { enabled: false, minSpeed: 25, maxSpeed: 60, fullChargeSec: 1 };
         const trajCfg = cfg?.trajectory ?? { segmentLength: 0.35, maxPoints: 80 };
         setIfNotFocused(elSpeed, speed);
         setIfNotFocused(elGx, g.x ?? 0);
@@ -456,6 +540,14 @@ export function createTuningPanel({
         setIfNotFocused(elSfxVol, aud.sfxVolume ?? 0.55);
         setIfNotFocused(elPlayerHeight, playerCfg.height ?? 2);
         setIfNotFocused(elSnowmanHeight, snowmanCfg.height ?? 1.2);
+        setIfNotFocused(elAmmoMode, ammoCfg.mode === 'magazine' ? 'magazine' : 'infinite');
+        setIfNotFocused(elAmmoMag, ammoCfg.magazineSize ?? 6);
+        setIfNotFocused(elAmmoReload, ammoCfg.reloadTimeSec ?? 1.5);
+        setIfNotFocused(elAmmoCooldown, ammoCfg.fireCooldownSec ?? 0);
+        setIfNotFocused(elChargeEnabled, chargeCfg.enabled ? 'on' : 'off');
+        setIfNotFocused(elChargeMin, chargeCfg.minSpeed ?? 25);
+        setIfNotFocused(elChargeMax, chargeCfg.maxSpeed ?? 60);
+        setIfNotFocused(elChargeTime, chargeCfg.fullChargeSec ?? 1);
         setIfNotFocused(elTrajSeg, trajCfg.segmentLength ?? 0.35);
         setIfNotFocused(elTrajMaxPts, trajCfg.maxPoints ?? 80);
 
@@ -558,6 +650,14 @@ export function createTuningPanel({
     elSfxVol.addEventListener('input', scheduleApply);
     elPlayerHeight.addEventListener('input', scheduleApply);
     elSnowmanHeight.addEventListener('input', scheduleApply);
+    elAmmoMode.addEventListener('change', scheduleApply);
+    elAmmoMag.addEventListener('input', scheduleApply);
+    elAmmoReload.addEventListener('input', scheduleApply);
+    elAmmoCooldown.addEventListener('input', scheduleApply);
+    elChargeEnabled.addEventListener('change', scheduleApply);
+    elChargeMin.addEventListener('input', scheduleApply);
+    elChargeMax.addEventListener('input', scheduleApply);
+    elChargeTime.addEventListener('input', scheduleApply);
     elTrajSeg.addEventListener('input', scheduleApply);
     elTrajMaxPts.addEventListener('input', scheduleApply);
 
@@ -700,6 +800,67 @@ export function createTuningPanel({
         setStatus('Reset to file config (saved locally).');
     });
 
+    const btnReplayDownload = panel.querySelector('#tune-replay-download');
+    const btnReplayLoad = panel.querySelector('#tune-replay-load');
+    const elReplayFile = panel.querySelector('#tune-replay-file');
+    if (!replay) {
+        btnReplayDownload.hidden = true;
+        btnReplayLoad.hidden = true;
+    }
+
+    btnReplayDownload.addEventListener('click', () => {
+        const file = replay && replay.getReplay();
+        if (!file) {
+            setStatus('Nothing recorded yet.');
+            return;
+        }
+        downloadTextFile({ filename: file.filename, text: file.text, mime: 'application/json' });
+        setStatus(`Downloaded ${file.filename}.`);
+    });
+
+    btnReplayLoad.addEventListener('click', () => elReplayFile.click());
+    elReplayFile.addEventListener('change', async () => {
+        const file = elReplayFile.files && elReplayFile.files[0];
+        elReplayFile.value = '';
+        if (!file || !replay) return;
+        try {
+            replay.loadReplay(await file.text());
+            setStatus(`Playing ${file.name}.`);
+        } catch (err) {
+            setStatus(`Replay not loaded: ${err && err.message ? err.message : String(err)}`);
+            log('[SnowballBlitz] replay load failed', { error: err && err.message ? err.message : String(err) });
+        }
+    });
+
+    const btnStatsCopy = panel.querySelector('#tune-stats-copy');
+    if (typeof getStats !== 'function') btnStatsCopy.hidden = true;
+    btnStatsCopy.addEventListener('click', async () => {
+        const json = prettyJSON(getStats());
+        // Show it too, so it can be read/copied by hand if the clipboard is blocked.
+        elJson.value = json;
+        try {
+            await copyToClipboard(json);
+            setStatus('Copied stats JSON to clipboard.');
+        } catch (err) {
+            setStatus('Copy failed. The stats are in the text area.');
+            log('[SnowballBlitz] stats copy failed', { error: err && err.message ? err.message : String(err) });
+        }
+    });
+
+    const btnTrajectoryCheck = panel.querySelector('#tune-trajectory-check');
+    if (typeof checkTrajectory !== 'function') btnTrajectoryCheck.hidden = true;
+    btnTrajectoryCheck.addEventListener('click', () => {
+        try {
+            const report = checkTrajectory();
+            elJson.value = prettyJSON(report);
+            const verdict = report.failures.length ? `${report.failures.length} off by more than ${report.tolerance} m` : 'all within tolerance';
+            setStatus(`Trajectory check: ${report.checked} aims, max error ${report.maxError.toExponential(2)} m, ${verdict}.`);
+        } catch (err) {
+            setStatus(`Trajectory check failed: ${err && err.message ? err.message : String(err)}`);
+            log('[SnowballBlitz] trajectory check failed', { error: err && err.message ? err.message : String(err) });
+        }
+    });
+
     setStatus(persisted ? 'Loaded saved tuning from this browser.' : 'Ready.');
 
     return {
@@ -1,10 +1,28 @@
 /**
  * UI/HUD helpers:
- * - score + timer HUD
- * - end overlay (restart)
+ * - score + timer + wave + ammo + wind HUD
+ * - wave banner
+ * - scope overlay (zoom aiming)
+ * - end overlay (restart, shot stats, new-best badge + leaderboard name)
+ * - leaderboard screen
+ * - settings screen + controls screen (rebinding, sensitivity, invert-Y)
+ * - pause screen
+ * - replay playback bar
  * - floating combat text
  */
 
+function downloadTextFile({ filename, text, mime = 'application/json' }) {
+    const blob = new Blob([text], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
 export function createUI({ debug = null } = {}) {
     const log = (message, data) => {
         try {
@@ -18,12 +36,34 @@ export function createUI({ debug = null } = {}) {
     let scoreValueEl = null;
     let timerEl = null;
     let timerValueEl = null;
+    let waveValueEl = null;
+    let ammoEl = null;
+    let windEl = null;
+    let windValueEl = null;
     let overlayEl = null;
+    let bannerEl = null;
+    let bannerTimer = 0;
+    let scopeEl = null;
 
     // End overlay refs
     let endOverlayEl = null;
     let endTitleEl = null;
     let endScoreEl = null;
+    let endWaveEl = null;
+    let endStatsEl = null;
+    let endRecordEl = null;
+    let endNameInputEl = null;
+    let onEndRename = null;
+
+    // Leaderboard screen refs
+    let leaderboardEl = null;
+    let settingsEl = null;
+    let controlsEl = null;
+    let pauseEl = null;
+
+    // Replay bar refs
+    let replayBarEl = null;
+    let replayBarRefs = null;
 
     // State
     let score = 0;
@@ -60,12 +100,29 @@ export function createUI({ debug = null } = {}) {
             <div class="panel">
                 <h2 id="end-title">Time’s up!</h2>
                 <div class="final-score">Score: <span id="end-score">0</span></div>
+                <div class="final-wave">Wave reached: <span id="end-wave">1</span></div>
+                <div class="final-stats" id="end-stats" hidden></div>
+                <div class="end-record" id="end-record" hidden>
+                    <div class="new-best-badge" hidden>NEW BEST!</div>
+                    <div class="end-rank"></div>
+                    <label class="end-name">Name <input type="text" id="end-name" maxlength="24" autocomplete="off" /></label>
+                </div>
                 <button type="button" id="restart-button">Restart</button>
             </div>
         `;
         overlayEl.appendChild(endOverlayEl);
         endTitleEl = endOverlayEl.querySelector('#end-title');
         endScoreEl = endOverlayEl.querySelector('#end-score');
+        endWaveEl = endOverlayEl.querySelector('#end-wave');
+        endStatsEl = endOverlayEl.querySelector('#end-stats');
+        endRecordEl = endOverlayEl.querySelector('#end-record');
+        endNameInputEl = endOverlayEl.querySelector('#end-name');
+        endNameInputEl.addEventListener('change', () => {
+            if (typeof onEndRename === 'function') onEndRename(endNameInputEl.value);
+        });
+        endNameInputEl.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') endNameInputEl.blur();
+        });
         const restartBtn = endOverlayEl.querySelector('#restart-button');
         restartBtn.addEventListener('click', (e) => {
             e.preventDefault();
@@ -96,6 +153,7 @@ export function createUI({ debug = null } = {}) {
             });
 
             this.setScore(0);
+            this.setWave(1);
             this.updateTimer(timeLimitSec, 'playing');
             ensureEndOverlay(onRestart);
             this.hideEnd();
@@ -124,11 +182,123 @@ export function createUI({ debug = null } = {}) {
             }
         },
 
-        showEnd({ reason = 'timeout', finalScore = score } = {}) {
+        setWave(n) {
+            if (!waveValueEl) waveValueEl = document.getElementById('hud-wave-value');
+            if (waveValueEl) waveValueEl.textContent = String(n);
+        },
+
+        /** `ammo` is sim.ammo; the counter only shows in 'magazine' mode. */
+        setAmmo(ammo) {
+            if (!ammoEl) ammoEl = document.getElementById('hud-ammo');
+            if (!ammoEl) return;
+            const limited = !!ammo && ammo.mode === 'magazine';
+            ammoEl.hidden = !limited;
+            if (!limited) return;
+            ammoEl.textContent = ammo.reloading ? 'Reloading…' : `Ammo ${ammo.rounds}/${ammo.magazineSize}`;
+            ammoEl.classList.toggle('hud-ammo-reloading', ammo.reloading);
+            ammoEl.classList.toggle('hud-ammo-low', !ammo.reloading && ammo.rounds <= Math.ceil(ammo.magazineSize / 4));
+        },
+
+        /**
+         * Wind indicator: `wind` is { strength, angleDeg (screen-relative, 0 = away from the camera), gusting },
+         * or null for calm levels (hidden).
+         */
+        setWind(wind) {
+            if (!windEl) {
+                windEl = document.getElementById('hud-wind');
+                windValueEl = document.getElementById('hud-wind-value');
+            }
+            if (!windEl) return;
+            windEl.hidden = !wind;
+            if (!wind) return;
+            windEl.style.setProperty('--wind-angle', `${Math.round(wind.angleDeg)}deg`);
+            windEl.classList.toggle('hud-wind-gust', !!wind.gusting);
+            if (windValueEl) windValueEl.textContent = `Wind ${wind.strength.toFixed(1)}`;
+        },
+
+        /** Scope overlay (vignette + crosshair) faded in by `amount` (0 = hidden .. 1 = fully zoomed). */
+        setScope(amount) {
+            if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
+            if (!overlayEl) return;
+            if (!scopeEl) {
+                scopeEl = document.createElement('div');
+                scopeEl.className = 'scope-overlay';
+                scopeEl.innerHTML = '<div class="scope-crosshair"></div>';
+                overlayEl.prepend(scopeEl); // under the HUD text
+            }
+            scopeEl.hidden = !(amount > 0.01);
+            scopeEl.style.opacity = String(Math.max(0, Math.min(1, amount)));
+        },
+
+        showBanner(title, subtitle = '', { durationMs = 1600 } = {}) {
+            if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
+            if (!overlayEl) return;
+            if (!bannerEl) {
+                bannerEl = document.createElement('div');
+                bannerEl.className = 'wave-banner';
+                bannerEl.innerHTML = '<div class="title"></div><div class="subtitle"></div>';
+                overlayEl.appendChild(bannerEl);
+            }
+            bannerEl.querySelector('.title').textContent = title;
+            bannerEl.querySelector('.subtitle').textContent = subtitle;
+
+            // Restart the CSS animation if a banner is already showing.
+            bannerEl.classList.remove('visible');
+            void bannerEl.offsetWidth;
+            bannerEl.classList.add('visible');
+
+            if (bannerTimer) clearTimeout(bannerTimer);
+            bannerTimer = setTimeout(() => {
+                bannerTimer = 0;
+                if (bannerEl) bannerEl.classList.remove('visible');
+            }, durationMs);
+        },
+
+        /**
+         * `record` (optional) is the leaderboard result: { rank, isBest, name, onRename(name) }.
+         * Without it (e.g. during a replay) only the score and wave are shown.
+         * `stats` is sim.getStats() (accuracy, longest hit, best pierce chain).
+         */
+        showEnd({ reason = 'timeout', finalScore = score, wave = 1, stats = null, record = null } = {}) {
             ensureEndOverlay(null);
             if (!endOverlayEl) return;
             if (endTitleEl) endTitleEl.textContent = reason === 'win' ? 'You win!' : 'Time’s up!';
             if (endScoreEl) endScoreEl.textContent = String(finalScore);
+            if (endWaveEl) endWaveEl.textContent = String(wave);
+            if (endStatsEl) {
+                endStatsEl.hidden = !stats;
+                if (stats) {
+                    endStatsEl.innerHTML = '';
+                    const rows = [
+                        ['Accuracy', `${Math.round(stats.accuracy * 100)}% (${stats.hits}/${stats.shots})`],
+                        ['Longest hit', `${stats.longestHitDistance.toFixed(1)} m`],
+                        ['Best pierce', stats.bestChain > 1 ? `${stats.bestChain}x` : '—'],
+                    ];
+                    for (const [label, value] of rows) {
+                        const el = document.createElement('div');
+                        el.className = 'stat';
+                        el.innerHTML = '<span class="label"></span><span class="value"></span>';
+                        el.querySelector('.label').textContent = label;
+                        el.querySelector('.value').textContent = value;
+                        endStatsEl.appendChild(el);
+                    }
+                }
+            }
+
+            onEndRename = null;
+            if (endRecordEl) {
+                endRecordEl.hidden = !record;
+                if (record) {
+                    endRecordEl.querySelector('.new-best-badge').hidden = !record.isBest;
+                    endRecordEl.querySelector('.end-rank').textContent = record.rank
+                        ? `Leaderboard rank #${record.rank}`
+                        : 'Not in the top 10 this time';
+                    // Only entries that made the table can be renamed.
+                    endRecordEl.querySelector('.end-name').hidden = !record.rank;
+                    endNameInputEl.value = record.name || '';
+                    onEndRename = record.rank ? record.onRename : null;
+                }
+            }
             endOverlayEl.style.display = 'flex';
         },
 
@@ -136,12 +306,456 @@ export function createUI({ debug = null } = {}) {
             if (endOverlayEl) endOverlayEl.style.display = 'none';
         },
 
-        spawnFloatingText(text, worldPos) {
+        /**
+         * Leaderboard screen.
+         * - boards: [{ key, levelName, mode, configHash, best, count }] (see leaderboard.js listBoards)
+         * - getEntries(key): entries for the selected board
+         * - onExport(): { filename, text } to download
+         * - onImport(text): merge a file (throws on bad files); returns a status message
+         */
+        showLeaderboard({ boards = [], selectedKey = null, highlightId = null, getEntries, onExport, onImport, onClose } = {}) {
+            if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
+            if (!overlayEl) return;
+            this.hideLeaderboard();
+
+            leaderboardEl = document.createElement('div');
+            leaderboardEl.className = 'leaderboard-overlay';
+            leaderboardEl.innerHTML = `
+                <div class="panel">
+                    <h2>Leaderboard</h2>
+                    <select class="leaderboard-board" aria-label="Board"></select>
+                    <table class="leaderboard-table">
+                        <thead><tr><th>#</th><th>Name</th><th>Score</th><th>Acc.</th><th>Time left</th><th>Date</th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                    <div class="leaderboard-empty" hidden>No scores yet — finish a match to get on the board.</div>
+                    <div class="leaderboard-status"></div>
+                    <div class="leaderboard-actions">
+                        <button type="button" class="leaderboard-export">Export</button>
+                        <button type="button" class="leaderboard-import">Import</button>
+                        <input type="file" class="leaderboard-file" accept=".json,application/json" hidden />
+                        <button type="button" class="leaderboard-close">Close</button>
+                    </div>
+                </div>
+            `;
+            overlayEl.appendChild(leaderboardEl);
+
+            const select = leaderboardEl.querySelector('.leaderboard-board');
+            const tbody = leaderboardEl.querySelector('tbody');
+            const emptyEl = leaderboardEl.querySelector('.leaderboard-empty');
+            const statusEl = leaderboardEl.querySelector('.leaderboard-status');
+            const fileEl = leaderboardEl.querySelector('.leaderboard-file');
+
+            const fillBoards = (list, key) => {
+                select.innerHTML = '';
+                for (const b of list) {
+                    const opt = document.createElement('option');
+                    opt.value = b.key;
+                    opt.textContent = `${b.levelName} · ${b.mode} · ${b.configHash}`;
+                    select.appendChild(opt);
+                }
+                select.hidden = list.length === 0;
+                if (key && list.some((b) => b.key === key)) select.value = key;
+            };
+
+            const renderEntries = () => {
+                const entries = select.value && typeof getEntries === 'function' ? getEntries(select.value) : [];
+                tbody.innerHTML = '';
+                entries.forEach((e, i) => {
+                    const tr = document.createElement('tr');
+                    if (e.id === highlightId) tr.className = 'highlight';
+                    const cells = [
+                        String(i + 1),
+                        e.name,
+                        String(e.score),
+                        `${Math.round(e.accuracy * 100)}%`,
+                        formatTimeMMSS(e.timeLeftSec),
+                        new Date(e.date).toLocaleDateString(),
+                    ];
+                    for (const text of cells) {
+                        const td = document.createElement('td');
+                        td.textContent = text;
+                        tr.appendChild(td);
+                    }
+                    tbody.appendChild(tr);
+                });
+                emptyEl.hidden = entries.length > 0;
+            };
+
+            fillBoards(boards, selectedKey);
+            renderEntries();
+            select.addEventListener('change', renderEntries);
+
+            leaderboardEl.querySelector('.leaderboard-export').addEventListener('click', (e) => {
+                e.preventDefault();
+                const file = typeof onExport === 'function' ? onExport() : null;
+                if (!file) return;
+                downloadTextFile(file);
+                statusEl.textContent = `Saved ${file.filename}`;
+            });
+            leaderboardEl.querySelector('.leaderboard-import').addEventListener('click', (e) => {
+                e.preventDefault();
+                fileEl.value = '';
+                fileEl.click();
+            });
+            fileEl.addEventListener('change', async () => {
+                const file = fileEl.files && fileEl.files[0];
+                if (!file || typeof onImport !== 'function') return;
+                try {
+                    const result = onImport(await file.text()) || {};
+                    fillBoards(result.boards || boards, select.value);
+                    renderEntries();
+                    statusEl.textContent = result.message || 'Imported';
+                } catch (err) {
+                    statusEl.textContent = err && err.message ? err.message : String(err);
+                    log('[SnowballBlitz] leaderboard import failed', { error: statusEl.textContent });
+                }
+            });
+            leaderboardEl.querySelector('.leaderboard-close').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.hideLeaderboard();
+                if (typeof onClose === 'function') onClose();
+            });
+        },
+
+        hideLeaderboard() {
+            if (leaderboardEl) leaderboardEl.remove();
+            leaderboardEl = null;
+        },
+
+        get leaderboardOpen() {
+            return !!leaderboardEl;
+        },
+
+        /**
+         * Settings screen: one row per field, a select (or a checkbox for type 'toggle', or a button for type
+         * 'button' that calls the field's onClick).
+         * - fields: [{ key, label, value, type, options: [{ value, label }], hint, text, onClick }] (hint: text or
+         *   () => text, refreshed after every change)
+         * - onChange(key, value): a field was changed
+         */
+        showSettings({ fields = [], onChange, onClose } = {}) {
+            if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
+            if (!overlayEl) return;
+            this.hideSettings();
+
+            settingsEl = document.createElement('div');
+            settingsEl.className = 'settings-overlay';
+            settingsEl.innerHTML = `
+                <div class="panel">
+                    <h2>Settings</h2>
+                    <div class="settings-fields"></div>
+                    <div class="settings-actions">
+                        <button type="button" class="settings-close">Close</button>
+                    </div>
+                </div>
+            `;
+            overlayEl.appendChild(settingsEl);
+
+            const listEl = settingsEl.querySelector('.settings-fields');
+            const hints = [];
+            const refreshHints = () => {
+                for (const { el, hint } of hints) el.textContent = typeof hint === 'function' ? hint() : hint;
+            };
+
+            for (const field of fields) {
+                const row = document.createElement('label');
+                row.className = 'settings-row';
+                const labelEl = document.createElement('span');
+                labelEl.className = 'settings-label';
+                labelEl.textContent = field.label;
+                let input;
+                if (field.type === 'button') {
+                    input = document.createElement('button');
+                    input.type = 'button';
+                    input.className = 'settings-button';
+                    input.textContent = field.text || field.label;
+                    input.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        if (typeof field.onClick === 'function') field.onClick();
+                    });
+                    row.append(labelEl, input);
+                    listEl.appendChild(row);
+                    continue;
+                }
+                if (field.type === 'toggle') {
+                    input = document.createElement('input');
+                    input.type = 'checkbox';
+                    input.checked = !!field.value;
+                } else {
+                    input = document.createElement('select');
+                    for (const o of field.options || []) {
+                        const opt = document.createElement('option');
+                        opt.value = o.value;
+                        opt.textContent = o.label;
+                        input.appendChild(opt);
+                    }
+                    input.value = field.value;
+                }
+                input.addEventListener('change', () => {
+                    const value = field.type === 'toggle' ? input.checked : input.value;
+                    if (typeof onChange === 'function') onChange(field.key, value);
+                    refreshHints();
+                });
+                row.append(labelEl, input);
+                if (field.hint) {
+                    const hintEl = document.createElement('span');
+                    hintEl.className = 'settings-hint';
+                    row.appendChild(hintEl);
+                    hints.push({ el: hintEl, hint: field.hint });
+                }
+                listEl.appendChild(row);
+            }
+            refreshHints();
+
+            settingsEl.querySelector('.settings-close').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.hideSettings();
+                if (typeof onClose === 'function') onClose();
+            });
+        },
+
+        hideSettings() {
+            if (settingsEl) settingsEl.remove();
+            settingsEl = null;
+        },
+
+        get settingsOpen() {
+            return !!settingsEl;
+        },
+
+        /**
+         * Controls screen: per device, one button per bindable action (click it, then press the new key /
+         * button), an aim sensitivity select, invert-Y and a reset. Rebuilt by the caller after each change.
+         * - devices: [{ id, name, bindings: [{ action, label, text }], sensitivity, invertY }]
+         * - sensitivityOptions: [numbers]
+         * - onRebind(device, action), onPref(device, 'sensitivity' | 'invertY', value), onReset(device), onClose()
+         */
+        showControls({ devices = [], sensitivityOptions = [1], onRebind, onPref, onReset, onClose } = {}) {
+            if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
+            if (!overlayEl) return;
+            this.hideSettings();
+            this.hideControls();
+
+            controlsEl = document.createElement('div');
+            controlsEl.className = 'settings-overlay controls-overlay';
+            controlsEl.innerHTML = `
+                <div class="panel">
+                    <h2>Controls</h2>
+                    <div class="settings-fields"></div>
+                    <div class="settings-actions">
+                        <button type="button" class="settings-close">Close</button>
+                    </div>
+                </div>
+            `;
+            overlayEl.appendChild(controlsEl);
+            // Right-clicks are for rebinding the mouse here, not the browser menu
+            controlsEl.addEventListener('contextmenu', (e) => e.preventDefault());
+
+            const listEl = controlsEl.querySelector('.settings-fields');
+            const call = (fn, ...args) => {
+                if (typeof fn === 'function') fn(...args);
+            };
+            const addRow = (label, control) => {
+                const row = document.createElement('label');
+                row.className = 'settings-row';
+                const labelEl = document.createElement('span');
+                labelEl.className = 'settings-label';
+                labelEl.textContent = label;
+                row.append(labelEl, control);
+                listEl.appendChild(row);
+            };
+
+            for (const device of devices) {
+                const heading = document.createElement('h3');
+                heading.className = 'controls-device';
+                heading.textContent = device.name;
+                listEl.appendChild(heading);
+
+                for (const b of device.bindings) {
+                    const btn = document.createElement('button');
+                    btn.type = 'button';
+                    btn.className = 'settings-button';
+                    btn.textContent = b.text;
+                    btn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        call(onRebind, device.id, b.action);
+                    });
+                    addRow(b.label, btn);
+                }
+
+                const select = document.createElement('select');
+                for (const v of sensitivityOptions) {
+                    const opt = document.createElement('option');
+                    opt.value = String(v);
+                    opt.textContent = `${v}×`;
+                    select.appendChild(opt);
+                }
+                if (!sensitivityOptions.includes(device.sensitivity)) {
+                    const opt = document.createElement('option');
+                    opt.value = String(device.sensitivity);
+                    opt.textContent = `${device.sensitivity}×`;
+                    select.appendChild(opt);
+                }
+                select.value = String(device.sensitivity);
+                select.addEventListener('change', () => call(onPref, device.id, 'sensitivity', Number(select.value)));
+                addRow('Aim sensitivity', select);
+
+                const invert = document.createElement('input');
+                invert.type = 'checkbox';
+                invert.checked = !!device.invertY;
+                invert.addEventListener('change', () => call(onPref, device.id, 'invertY', invert.checked));
+                addRow('Invert Y', invert);
+
+                const reset = document.createElement('button');
+                reset.type = 'button';
+                reset.className = 'settings-button';
+                reset.textContent = 'Reset';
+                reset.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    call(onReset, device.id);
+                });
+                addRow(`${device.name} defaults`, reset);
+            }
+
+            controlsEl.querySelector('.settings-close').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.hideControls();
+                call(onClose);
+            });
+        },
+
+        hideControls() {
+            if (controlsEl) controlsEl.remove();
+            controlsEl = null;
+        },
+
+        get controlsOpen() {
+            return !!controlsEl;
+        },
+
+        showPause({ onResume, onRestart } = {}) {
+            if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
+            if (!overlayEl) return;
+            this.hidePause();
+
+            pauseEl = document.createElement('div');
+            pauseEl.className = 'pause-overlay';
+            pauseEl.innerHTML = `
+                <div class="panel">
+                    <h2>Paused</h2>
+                    <div class="pause-actions">
+                        <button type="button" class="pause-resume">Resume</button>
+                        <button type="button" class="pause-restart">Restart</button>
+                    </div>
+                </div>
+            `;
+            overlayEl.appendChild(pauseEl);
+
+            const bind = (selector, fn) => {
+                pauseEl.querySelector(selector).addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (typeof fn === 'function') fn();
+                });
+            };
+            bind('.pause-resume', onResume);
+            bind('.pause-restart', onRestart);
+        },
+
+        hidePause() {
+            if (pauseEl) pauseEl.remove();
+            pauseEl = null;
+        },
+
+        showReplayBar({ durationSec = 0, speeds = [1], title = 'Replay', onTogglePlay, onSeek, onSpeed, onRestart, onExit } = {}) {
+            if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
+            if (!overlayEl) return;
+            this.hideReplayBar();
+
+            replayBarEl = document.createElement('div');
+            replayBarEl.className = 'replay-bar';
+            replayBarEl.innerHTML = `
+                <div class="replay-title"></div>
+                <button type="button" class="replay-restart" title="Restart (R)">⏮</button>
+                <button type="button" class="replay-play" title="Play/Pause (Space)">⏸</button>
+                <input type="range" class="replay-scrub" min="0" step="0.01" value="0" aria-label="Replay position" />
+                <span class="replay-time">00:00 / 00:00</span>
+                <select class="replay-speed" aria-label="Replay speed"></select>
+                <button type="button" class="replay-exit" title="Back to the game">Exit</button>
+            `;
+            overlayEl.appendChild(replayBarEl);
+
+            const refs = {
+                title: replayBarEl.querySelector('.replay-title'),
+                restart: replayBarEl.querySelector('.replay-restart'),
+                play: replayBarEl.querySelector('.replay-play'),
+                scrub: replayBarEl.querySelector('.replay-scrub'),
+                time: replayBarEl.querySelector('.replay-time'),
+                speed: replayBarEl.querySelector('.replay-speed'),
+                exit: replayBarEl.querySelector('.replay-exit'),
+                durationSec,
+                scrubbing: false,
+            };
+            replayBarRefs = refs;
+            refs.title.textContent = title;
+            refs.scrub.max = String(durationSec);
+            for (const s of speeds) {
+                const opt = document.createElement('option');
+                opt.value = String(s);
+                opt.textContent = `${s}x`;
+                refs.speed.appendChild(opt);
+            }
+            refs.speed.value = '1';
+
+            const call = (fn, ...args) => {
+                if (typeof fn === 'function') fn(...args);
+            };
+            refs.play.addEventListener('click', (e) => {
+                e.preventDefault();
+                call(onTogglePlay);
+            });
+            refs.restart.addEventListener('click', (e) => {
+                e.preventDefault();
+                call(onRestart);
+            });
+            refs.exit.addEventListener('click', (e) => {
+                e.preventDefault();
+                call(onExit);
+            });
+            refs.scrub.addEventListener('input', () => {
+                refs.scrubbing = true;
+                call(onSeek, Number(refs.scrub.value));
+            });
+            refs.scrub.addEventListener('change', () => {
+                refs.scrubbing = false;
+            });
+            refs.speed.addEventListener('change', () => call(onSpeed, Number(refs.speed.value)));
+            // Keep Space/R from also reaching the game while these have focus.
+            for (const el of [refs.scrub, refs.speed]) el.addEventListener('keydown', (e) => e.stopPropagation());
+        },
+
+        updateReplayBar({ timeSec = 0, playing = false } = {}) {
+            const refs = replayBarRefs;
+            if (!refs) return;
+            refs.play.textContent = playing ? '⏸' : '▶';
+            if (!refs.scrubbing) refs.scrub.value = String(timeSec);
+            refs.time.textContent = `${formatTimeMMSS(timeSec)} / ${formatTimeMMSS(refs.durationSec)}`;
+        },
+
+        hideReplayBar() {
+            if (replayBarEl) replayBarEl.remove();
+            replayBarEl = null;
+            replayBarRefs = null;
+        },
+
+        spawnFloatingText(text, worldPos, { variant = null, duration = null } = {}) {
             if (!overlayEl) overlayEl = document.getElementById('ui-overlay');
             if (!overlayEl) return;
 
             const el = document.createElement('div');
             el.className = 'floating-text';
+            // Variants map to CSS modifiers (e.g. 'pierce' -> .floating-text-pierce)
+            if (variant) el.classList.add(`floating-text-${variant}`);
             el.textContent = text;
             overlayEl.appendChild(el);
 
@@ -149,7 +763,7 @@ export function createUI({ debug = null } = {}) {
                 el,
                 worldPos,
                 age: 0,
-                duration: 0.9,
+                duration: Number.isFinite(duration) && duration > 0 ? duration : (variant ? 1.3 : 0.9),
             });
         },
 
@@ -0,0 +1,93 @@
+/**
+ * Level wind (steady breeze + gusts) pushing projectiles sideways.
+ *
+ * A level may carry a `wind` block:
+ *   { "directionDeg": 90, "strength": 1.5, "gustStrength": 2, "gustAngleDeg": 30, "gustPeriodSec": 3 }
+ *
+ * - `directionDeg`: where the wind blows toward, seen from above: 0 = downrange (-Z), 90 = right (+X),
+ *   180 = back at the shooter, 270 = left.
+ * - `strength`: steady push on projectiles (m/s², horizontal; applied like a sideways gravity).
+ * - `gustStrength`: extra push a gust can add on top (0 = steady wind only).
+ * - `gustAngleDeg`: how far gusts swing the direction either way.
+ * - `gustPeriodSec`: average time between gust peaks.
+ *
+ * Gusts are smooth seeded noise, so sampling is a pure function of (wind, time, seed): a replay of the
+ * same match gets the same gusts. This module is intentionally dependency-free.
+ */
+
+function toFiniteNumber(value, fallback) {
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Validate a raw `wind` block; returns null for calm levels (no block, or no strength at all).
+ */
+export function normalizeWind(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const strength = Math.max(0, toFiniteNumber(raw.strength, 0));
+    const gustStrength = Math.max(0, toFiniteNumber(raw.gustStrength, 0));
+    if (strength === 0 && gustStrength === 0) return null;
+    const periodSec = toFiniteNumber(raw.gustPeriodSec, 3);
+    return {
+        directionDeg: ((toFiniteNumber(raw.directionDeg, 90) % 360) + 360) % 360,
+        strength,
+        gustStrength,
+        gustAngleDeg: Math.min(180, Math.abs(toFiniteNumber(raw.gustAngleDeg, 20))),
+        gustPeriodSec: periodSec > 0.1 ? periodSec : 3,
+    };
+}
+
+function hash01(seed, channel, k) {
+    // Integer hash -> [0, 1); same inputs always give the same value.
+    let h = Math.imul((seed >>> 0) ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(channel + 1, 0xc2b2ae35) ^ Math.imul(k, 0x27d4eb2f);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x2c1b3c6d);
+    h ^= h >>> 12;
+    h = Math.imul(h, 0x297a2d39);
+    h ^= h >>> 15;
+    return (h >>> 0) / 4294967296;
+}
+
+function smoothNoise(seed, channel, u) {
+    // Value noise: random knots at whole u, smoothstep in between (0..1).
+    const k = Math.floor(u);
+    const f = u - k;
+    const s = f * f * (3 - 2 * f);
+    const a = hash01(seed, channel, k);
+    const b = hash01(seed, channel, k + 1);
+    return a + (b - a) * s;
+}
+
+/**
+ * Wind at `timeSec` for a match `seed`: { x, z, strength, directionDeg, gust (0..1) }.
+ * `x` / `z` are the horizontal acceleration on projectiles. Calm (null) wind samples as zero.
+ */
+export function sampleWind(wind, timeSec, seed = 1, out = {}) {
+    if (!wind) {
+        out.x = 0;
+        out.z = 0;
+        out.strength = 0;
+        out.directionDeg = 0;
+        out.gust = 0;
+        return out;
+    }
+    const u = Math.max(0, timeSec) / wind.gustPeriodSec;
+    // Squaring keeps most of the time near the steady wind with occasional strong gusts.
+    const gust = wind.gustStrength > 0 ? smoothNoise(seed, 0, u) ** 2 : 0;
+    const swing = wind.gustAngleDeg > 0 ? (smoothNoise(seed, 1, u * 0.5) * 2 - 1) * wind.gustAngleDeg : 0;
+    const strength = wind.strength + wind.gustStrength * gust;
+    const directionDeg = (((wind.directionDeg + swing) % 360) + 360) % 360;
+    const rad = (directionDeg * Math.PI) / 180;
+    out.x = Math.sin(rad) * strength;
+    out.z = -Math.cos(rad) * strength;
+    out.strength = strength;
+    out.directionDeg = directionDeg;
+    out.gust = gust;
+    return out;
+}
+
+/** Strongest push a wind can reach (steady + full gust); 0 when calm. */
+export function getMaxWindStrength(wind) {
+    return wind ? wind.strength + wind.gustStrength : 0;
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { createInputBindings, DEFAULT_BINDINGS, SENSITIVITY_RANGE } from '../docs/js/input.js';
+
+const STORAGE_KEY = 'snowballblitz:controls';
+let stored;
+
+beforeEach(() => {
+    stored = new Map();
+    globalThis.localStorage = {
+        getItem: (k) => (stored.has(k) ? stored.get(k) : null),
+        setItem: (k, v) => stored.set(k, String(v)),
+        removeItem: (k) => stored.delete(k),
+    };
+});
+
+test('stored controls are validated against the defaults', () => {
+    stored.set(
+        STORAGE_KEY,
+        JSON.stringify({
+            keyboard: { bindings: { fire: ['KeyX', 'not a key!', 42], bogus: ['KeyB'] }, sensitivity: 99, invertY: 'yes' },
+            gamepad: { bindings: { zoom: [3, -1, 1.5, 'A'] }, sensitivity: 0.5, invertY: true },
+        })
+    );
+    const input = createInputBindings();
+    assert.deepEqual(input.getBindings('keyboard').fire, ['KeyX']);
+    assert.equal('bogus' in input.getBindings('keyboard'), false);
+    assert.deepEqual(input.getBindings('keyboard').restart, DEFAULT_BINDINGS.keyboard.restart);
+    assert.deepEqual(input.getPrefs('keyboard'), { sensitivity: SENSITIVITY_RANGE.max, invertY: false });
+    assert.deepEqual(input.getBindings('gamepad').zoom, [3]);
+    assert.deepEqual(input.getPrefs('gamepad'), { sensitivity: 0.5, invertY: true });
+});
+
+test('corrupt stored controls fall back to the defaults', () => {
+    stored.set(STORAGE_KEY, '{oops');
+    const input = createInputBindings();
+    assert.deepEqual(input.getBindings('keyboard'), DEFAULT_BINDINGS.keyboard);
+});
+
+test('binding a key takes it away from the action that had it', () => {
+    const input = createInputBindings();
+    assert.equal(input.setBinding('keyboard', 'fire', 'KeyR'), true);
+    assert.deepEqual(input.actionsFor('keyboard', 'KeyR'), ['fire']);
+    assert.deepEqual(input.getBindings('keyboard').restart, []);
+    assert.deepEqual(input.actionsFor('keyboard', 'Space'), []);
+
+    // Same binding again, unknown actions and invalid codes change nothing
+    assert.equal(input.setBinding('keyboard', 'fire', 'KeyR'), false);
+    assert.equal(input.setBinding('keyboard', 'teleport', 'KeyT'), false);
+    assert.equal(input.setBinding('mouse', 'zoom', 'KeyT'), false);
+
+    // Saved for the next session
+    const reloaded = createInputBindings();
+    assert.deepEqual(reloaded.getBindings('keyboard').fire, ['KeyR']);
+    assert.deepEqual(reloaded.getBindings('keyboard').restart, []);
+});
+
+test('aim deltas apply sensitivity and invert-Y per device', () => {
+    const input = createInputBindings();
+    const base = input.aimDelta('mouseLook', 10, 10);
+    input.setPref('mouseLook', 'sensitivity', 2);
+    input.setPref('mouseLook', 'invertY', true);
+    const tuned = input.aimDelta('mouseLook', 10, 10);
+    assert.equal(tuned.yaw, base.yaw * 2);
+    assert.equal(tuned.pitch, -base.pitch * 2);
+    assert.deepEqual(input.aimDelta('mouse', 10, 10), createInputBindings().aimDelta('mouse', 10, 10));
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { createLeaderboard } from '../docs/js/leaderboard.js';
+
+// localStorage whose writes can be made to fail (quota), and an in-memory IndexedDB with just what
+// leaderboard.js uses (open + one object store with get/put)
+let lsData;
+let lsFull;
+let idbData;
+
+const request = (result) => {
+    const req = { result };
+    queueMicrotask(() => req.onsuccess && req.onsuccess());
+    return req;
+};
+
+beforeEach(() => {
+    lsData = new Map();
+    lsFull = false;
+    idbData = new Map();
+    globalThis.localStorage = {
+        getItem: (k) => (lsData.has(k) ? lsData.get(k) : null),
+        setItem: (k, v) => {
+            if (lsFull && !k.endsWith(':probe')) throw new Error('QuotaExceededError');
+            lsData.set(k, String(v));
+        },
+        removeItem: (k) => lsData.delete(k),
+    };
+    const store = {
+        get: (k) => request(idbData.has(k) ? structuredClone(idbData.get(k)) : undefined),
+        put: (v, k) => request(idbData.set(k, structuredClone(v)) && undefined),
+    };
+    const db = { transaction: () => ({ objectStore: () => store }), createObjectStore: () => store };
+    globalThis.indexedDB = {
+        open: () => {
+            const req = { result: db };
+            setTimeout(() => {
+                if (req.onupgradeneeded) req.onupgradeneeded();
+                req.onsuccess();
+            });
+            return req;
+        },
+    };
+});
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+const META = { levelId: 'classic', levelName: 'Classic', mode: 'waves', configHash: 'abc' };
+const KEY = 'classic|waves|abc';
+
+test('boards moved to IndexedDB by a failed save are still there after a reload', async () => {
+    const first = createLeaderboard();
+    await first.init();
+    assert.equal(first.backend, 'localStorage');
+    first.submit(META, { score: 5 });
+    await settle();
+
+    lsFull = true;
+    first.submit(META, { score: 7 });
+    await settle();
+    assert.equal(first.backend, 'indexedDB');
+
+    // Reload: localStorage still opens (the probe write succeeds) and holds the older copy
+    const reloaded = createLeaderboard();
+    await reloaded.init();
+    assert.equal(reloaded.backend, 'indexedDB');
+    assert.deepEqual(reloaded.getEntries(KEY).map((e) => e.score), [7, 5]);
+});
+
+test('corrupt localStorage data starts empty on localStorage and is set aside', async () => {
+    lsData.set('snowballblitz:leaderboard', '{not json');
+    const lb = createLeaderboard();
+    await lb.init();
+    assert.equal(lb.backend, 'localStorage');
+    assert.deepEqual(lb.listBoards(), []);
+    assert.equal(lsData.get('snowballblitz:leaderboard:corrupt'), '{not json');
+});
+
+test('import only counts entries that make the top 10', async () => {
+    const lb = createLeaderboard();
+    await lb.init();
+    for (let i = 0; i < 10; i++) lb.submit(META, { score: 100 + i });
+    const entries = [1, 2, 500].map((score) => ({ id: `x${score}`, score, date: '2020-01-01T00:00:00.000Z' }));
+    const file = { format: 'snowballblitz-leaderboard', version: 1, boards: { [KEY]: { entries } } };
+    assert.equal(lb.importJSON(JSON.stringify(file)), 1);
+    assert.equal(lb.getEntries(KEY)[0].score, 500);
+});
@@ -0,0 +1,97 @@
+// Needs cannon-es (see tools/check-trajectory.mjs for how to install it)
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import * as CANNON from 'cannon-es';
+import { buildClassicLevel, normalizeLevel } from '../docs/js/levels.js';
+import { createReplayPlayer, createReplayRecorder, parseReplay, serializeReplay } from '../docs/js/replay.js';
+import { createSimulation } from '../docs/js/sim.js';
+
+const readJSON = (path) => JSON.parse(readFileSync(new URL(`../docs/${path}`, import.meta.url), 'utf8'));
+const config = readJSON('config/game.json');
+const levels = [buildClassicLevel(config.targets)];
+for (const entry of readJSON('levels/index.json').levels) {
+    levels.push(normalizeLevel(readJSON(`levels/${entry.file}`), { fallbackId: entry.id }));
+}
+
+// A shot every half second, sweeping the aim across the arena
+const sweep = [];
+for (let i = 0; i < 60; i++) {
+    sweep.push({ t: i * 0.5, type: 'aim', yaw: 0.4 * Math.sin(i * 0.7), pitch: -0.35 + 0.25 * Math.sin(i * 1.3) });
+    sweep.push({ t: i * 0.5 + 0.05, type: 'fire' });
+}
+
+const runMatch = (level, seed) => {
+    const sim = createSimulation({ CANNON, config, seed });
+    sim.setLevel(level);
+    return sim.run({ inputs: sweep });
+};
+
+for (const level of levels) {
+    test(`${level.id}: same seed + inputs plays the same match`, () => {
+        const a = runMatch(level, 42);
+        const b = runMatch(level, 42);
+        assert.equal(a.state, 'ended');
+        assert.ok(a.stats.shots > 0 && a.events.length > 0);
+        assert.equal(a.score, b.score);
+        assert.deepEqual(a.stats, b.stats);
+        assert.deepEqual(a.events, b.events);
+    });
+}
+
+test('one shot through a row of three snowmen scores the pierce combo and clears the wave', () => {
+    const level = normalizeLevel({
+        id: 'row',
+        timeLimitSec: 30,
+        platforms: [],
+        targets: [0, 1, 2].map((i) => ({ position: { x: 0, z: -6 - i * 1.2 } })),
+        waves: [{ targets: [{ position: { x: 2, z: -8 } }] }],
+    });
+    const sim = createSimulation({ CANNON, config, seed: 7 });
+    sim.setLevel(level);
+    const result = sim.run({
+        inputs: [
+            { t: 0, type: 'aim', yaw: 0, pitch: 0.01 },
+            { t: 0.1, type: 'fire' },
+        ],
+        maxTimeSec: 1,
+        stopOnEnd: false,
+    });
+
+    const kills = result.events.filter((e) => e.type === 'targetDestroyed');
+    assert.deepEqual(kills.map((e) => e.chain), [1, 2, 3]);
+    assert.deepEqual(kills.map((e) => e.multiplier), config.scoring.pierceMultipliers.slice(0, 3));
+    assert.equal(result.score, kills.reduce((sum, e) => sum + e.points, 0));
+    assert.equal(result.stats.multiKills, 1);
+    assert.equal(result.stats.bestChain, 3);
+    assert.equal(result.wave, 2);
+    assert.ok(result.events.some((e) => e.type === 'waveStarted' && e.wave === 2));
+});
+
+test('a recorded match plays back the same after serializing and parsing the replay', () => {
+    const sim = createSimulation({ CANNON, config, seed: 99 });
+    const recorder = createReplayRecorder({ sim, getConfig: () => config });
+    sim.setLevel(levels[0]);
+    for (let i = 0; i < 600; i++) {
+        if (i % 30 === 0) {
+            sim.setAim(0.3 * Math.sin(i), -0.35 + 0.25 * Math.cos(i));
+            recorder.recordAim();
+        }
+        if (i % 30 === 5) {
+            sim.fire();
+            recorder.recordFire();
+        }
+        if (i === 200) sim.setProjectileType('ice');
+        sim.stepTick();
+    }
+    assert.equal(sim.getStats().shots, 20);
+    const replay = parseReplay(serializeReplay(recorder.getReplay()));
+    assert.equal(replay.durationTicks, 600);
+
+    const playback = createSimulation({ CANNON, config: replay.config, seed: 1 });
+    const player = createReplayPlayer({ sim: playback, replay });
+    player.seek(replay.durationTicks);
+    assert.equal(playback.tick, sim.tick);
+    assert.equal(playback.score, sim.score);
+    assert.deepEqual(playback.getStats(), sim.getStats());
+});
@@ -0,0 +1,23 @@
+// Run with: node --test test/
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeMotion, sampleMotion } from '../docs/js/targetMotion.js';
+
+// Direction the snowman's nose (modelled at -Z) points for a Three.js rotation.y of `yaw`
+const noseDirection = (yaw) => ({ x: -Math.sin(yaw), z: -Math.cos(yaw) });
+
+for (const clockwise of [false, true]) {
+    test(`carousel nose follows the direction of travel (${clockwise ? 'clockwise' : 'counter-clockwise'})`, () => {
+        const motion = normalizeMotion({ type: 'carousel', radius: 2, periodSec: 6, phase: 0.25, clockwise });
+        const h = 1e-4;
+        for (let t = 0; t < 6; t += 0.37) {
+            const a = sampleMotion(motion, t);
+            const b = sampleMotion(motion, t + h);
+            const vx = (b.dx - a.dx) / h;
+            const vz = (b.dz - a.dz) / h;
+            const speed = Math.hypot(vx, vz);
+            const nose = noseDirection(a.yaw);
+            assert.ok(Math.abs(nose.x - vx / speed) < 1e-3 && Math.abs(nose.z - vz / speed) < 1e-3, `t=${t.toFixed(2)}`);
+        }
+    });
+}
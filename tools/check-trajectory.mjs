@@ -0,0 +1,67 @@
+/**
+ * Trajectory guide regression check: runs checkTrajectoryPrediction (sim.js) for every level (the built-in
+ * classic layout plus docs/levels/index.json) and every projectile type in docs/config/game.json, plus the
+ * cluster ball with even fragment counts (config-tunable), prints one line per pair and exits non-zero when
+ * any landing is further than the tolerance from its prediction.
+ *
+ *   node tools/check-trajectory.mjs [--tolerance 0.01]
+ *
+ * Needs cannon-es (the version main.js loads) resolvable from this folder, e.g. from the repo root:
+ *   npm install --no-save --no-package-lock cannon-es@0.20.0
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { buildClassicLevel, normalizeLevel } from '../docs/js/levels.js';
+import { checkTrajectoryPrediction } from '../docs/js/sim.js';
+
+const DOCS = fileURLToPath(new URL('../docs/', import.meta.url));
+const readJSON = (path) => JSON.parse(readFileSync(`${DOCS}${path}`, 'utf8'));
+
+const arg = process.argv.indexOf('--tolerance');
+const tolerance = arg >= 0 ? Number(process.argv[arg + 1]) : 0.01;
+if (!(tolerance > 0)) {
+    console.error('--tolerance must be a positive number (meters)');
+    process.exit(2);
+}
+
+let CANNON;
+try {
+    CANNON = await import('cannon-es');
+} catch {
+    console.error('cannon-es not found; install it with: npm install --no-save --no-package-lock cannon-es@0.20.0');
+    process.exit(2);
+}
+
+const config = readJSON('config/game.json');
+const levels = [buildClassicLevel(config.targets)];
+for (const entry of readJSON('levels/index.json').levels) {
+    const level = normalizeLevel(readJSON(`levels/${entry.file}`), { fallbackId: entry.id });
+    level.id = entry.id;
+    levels.push(level);
+}
+const types = ['standard', ...Object.keys(config.projectileTypes || {}).filter((id) => id !== 'standard')];
+// [label, type, config]: the file's config for every type, then the cluster ball split into an even count
+const runs = types.map((type) => [type, type, config]);
+for (const cluster of [2, 4]) {
+    const projectileTypes = { ...config.projectileTypes, cluster: { ...config.projectileTypes?.cluster, cluster } };
+    runs.push([`cluster x${cluster}`, 'cluster', { ...config, projectileTypes }]);
+}
+
+let failed = 0;
+for (const level of levels) {
+    for (const [label, type, runConfig] of runs) {
+        const report = checkTrajectoryPrediction({ CANNON, config: runConfig, level, type, tolerance });
+        const ok = report.failures.length === 0;
+        if (!ok) failed++;
+        console.log(
+            `${ok ? 'ok  ' : 'FAIL'} ${level.id} / ${label}: checked ${report.checked}, skipped ${report.skipped}, ` +
+                `max error ${report.maxError.toExponential(2)} m`
+        );
+        for (const f of report.failures) {
+            console.log(`     yaw ${f.yaw.toFixed(4)} pitch ${f.pitch.toFixed(4)}: error ${f.error} m`);
+        }
+    }
+}
+console.log(failed ? `${failed} level / type pair(s) over ${tolerance} m` : `all within ${tolerance} m`);
+process.exit(failed ? 1 : 0);